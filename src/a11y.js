@@ -0,0 +1,70 @@
+// Accessibility helpers
+// Screen reader announcements through an ARIA live region, focus handling for dialogs,
+// and the text helpers of the HTML tooltips.
+
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// Plain text of an HTML snippet (tooltips are built as HTML)
+export function textOf(html) {
+  const div = document.createElement('div');
+  div.innerHTML = html.replace(/<br\s*\/?>/gi, '. ');
+  return div.textContent.replace(/\s+/g, ' ').trim();
+}
+
+// Text from loaded files (rule set or area names) escaped for tooltip and legend HTML
+export function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+// announce(text): reads text out through a polite live region, one per viewer; repeats
+// of the last message are skipped
+export function createAnnouncer(liveRegion) {
+  let lastAnnouncement = '';
+  return (text) => {
+    if (!text || text === lastAnnouncement) return;
+    lastAnnouncement = text;
+    liveRegion.textContent = text;
+  };
+}
+
+// Focused element, looking inside shadow roots (a viewer element keeps its UI in one)
+function activeElementOf(node) {
+  return node.getRootNode().activeElement ?? document.activeElement;
+}
+
+// Keep Tab inside a dialog and close it with Escape. Focus moves into the dialog and
+// goes back to the previously focused element on release. Returns release().
+export function trapFocus(container, { onEscape, label }) {
+  const previous = activeElementOf(container);
+  container.setAttribute('role', 'dialog');
+  container.setAttribute('aria-modal', 'true');
+  if (label) container.setAttribute('aria-label', label);
+
+  const onKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      onEscape();
+      return;
+    }
+    if (e.key !== 'Tab') return;
+    const items = [...container.querySelectorAll(FOCUSABLE)];
+    if (!items.length) return;
+    const first = items[0];
+    const last = items[items.length - 1];
+    const active = activeElementOf(container);
+    if (e.shiftKey && active === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && active === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  };
+  container.addEventListener('keydown', onKeyDown);
+  container.querySelector(FOCUSABLE)?.focus();
+
+  return () => {
+    container.removeEventListener('keydown', onKeyDown);
+    if (previous?.isConnected) previous.focus();
+  };
+}
@@ -0,0 +1,72 @@
+// Catchment / park pressure panel
+// Shows the catchment of the selected green structure (residents served, green m² per
+// resident, member parks) or, in park pressure mode, the most crowded structures.
+
+import { t, formatNumber, formatArea, formatPopulation } from './i18n.js';
+
+const PRESSURE_ROWS = 8;
+
+export class CatchmentPanel {
+  // onClose() is called when the user closes the panel
+  constructor(container, { onClose, onSelectStructure }) {
+    this._container = container;
+    this._onSelectStructure = onSelectStructure;
+    this._container.style.display = 'none';
+    this._container.innerHTML = `
+      <div class="catchment-header">
+        <div class="legend-title catchment-title"></div>
+        <button type="button" class="catchment-close" aria-label="${t('common.close')}">×</button>
+      </div>
+      <div class="catchment-body"></div>
+    `;
+    this._container.querySelector('.catchment-close').addEventListener('click', onClose);
+  }
+
+  _render(title, body) {
+    this._container.querySelector('.catchment-title').textContent = title;
+    this._container.querySelector('.catchment-body').innerHTML = body;
+    this._container.style.display = 'block';
+  }
+
+  showLoading(title) {
+    this._render(title, `<div class="catchment-row">${t('common.loading')}</div>`);
+  }
+
+  showCatchment({ structure, routes, parcelIds, population, greenM2, m2PerResident }) {
+    const parks = structure.parks.length
+      ? `<ul class="catchment-parks">${structure.parks.map(p =>
+          `<li>${p.name || '—'} <span>${formatArea(p.m2)}</span></li>`
+        ).join('')}</ul>`
+      : '';
+    this._render(t('catchment.structure', { id: structure.id }), `
+      <div class="catchment-main">${formatPopulation(population)} <span>${t('catchment.residentsServed')}</span></div>
+      <div class="catchment-row">${t('catchment.greenArea', { area: formatArea(greenM2), hectares: formatNumber(structure.hectares, 1) })}</div>
+      <div class="catchment-row">${t('catchment.perResident', { area: m2PerResident === null ? '—' : formatArea(m2PerResident, 1) })}</div>
+      <div class="catchment-row">${t('catchment.counts', { parcels: formatNumber(parcelIds.size), routes: formatNumber(routes.length) })}</div>
+      ${parks}
+    `);
+  }
+
+  // rows: output of CatchmentAnalysis.pressure(), most crowded first
+  showPressure(rows, structures) {
+    const top = rows.filter(r => r.population > 0).slice(0, PRESSURE_ROWS);
+    const list = top.map(r => {
+      const name = structures.get(r.id)?.parks[0]?.name || t('catchment.structureShort', { id: r.id });
+      return `<li data-structure-id="${r.id}">${name} <span>${formatNumber(r.residentsPerHa)} /ha</span></li>`;
+    }).join('');
+    this._render(t('buttons.pressure'), `
+      <div class="pressure-gradient"></div>
+      <div class="gradient-labels"><span>${t('pressure.fewer')}</span><span>${t('pressure.more')}</span></div>
+      <div class="catchment-row" style="margin-top:8px;">${t('pressure.mostCrowded')}</div>
+      <ul class="catchment-parks pressure-list">${list}</ul>
+    `);
+    this._container.querySelectorAll('.pressure-list li').forEach(li => {
+      const row = top.find(r => String(r.id) === li.dataset.structureId);
+      li.addEventListener('click', () => this._onSelectStructure(row.id));
+    });
+  }
+
+  hide() {
+    this._container.style.display = 'none';
+  }
+}
@@ -0,0 +1,202 @@
+// Green structure catchments
+// A parcel belongs to the catchment of the green structure its shortest route ends at.
+// Parcels carrying a green_structure_id property are assigned directly; otherwise the
+// route end point is matched to the structure that contains it (or lies within
+// ENDPOINT_TOLERANCE_M of it, as routes stop on the street next to the park).
+
+import { geometryBbox, bboxesIntersect, pointInPolygon, distanceToPolygonBoundary, lineEndpoints } from './geometry.js';
+
+const ENDPOINT_TOLERANCE_M = 60;
+const WALK_TIME_TOLERANCE_MIN = 0.5;  // rounding between route and parcel walk times
+
+// Structures keyed by green_structure_id, with member parks from green_areas
+// (members reference their structure through green_structucture_id, sic).
+export function buildStructureIndex(greenStructures, greenAreas) {
+  const structures = new Map();
+  for (const feature of greenStructures?.features || []) {
+    const id = feature.properties?.green_structure_id;
+    if (id === undefined || id === null) continue;
+    structures.set(id, {
+      id,
+      feature,
+      hectares: Number(feature.properties.green_structure_ha) || 0,
+      parks: [],
+      parksM2: 0,
+      bbox: geometryBbox(feature.geometry)
+    });
+  }
+  for (const park of greenAreas?.features || []) {
+    const p = park.properties || {};
+    const structure = structures.get(p.green_structure_id ?? p.green_structucture_id);
+    if (!structure) continue;
+    structure.parks.push({ id: p.green_area_id, name: p.green_area_name, m2: Number(p.green_area_m2) || 0 });
+    structure.parksM2 += Number(p.green_area_m2) || 0;
+  }
+  return structures;
+}
+
+// Green surface of a structure in m²: its member parks, or the structure area without members
+export function structureGreenM2(structure) {
+  return structure.parksM2 || structure.hectares * 10000;
+}
+
+// Walk time of a route in minutes; routes without one sort last
+function routeMinutes(route) {
+  const minutes = route.properties?.walk_time;
+  return minutes === undefined || minutes === null ? Infinity : Number(minutes);
+}
+
+// Structure id a route ends at, or null
+export function routeDestination(route, structures) {
+  const ends = lineEndpoints(route.geometry);
+  if (!ends) return null;
+  const end = ends[1];
+  const pad = ENDPOINT_TOLERANCE_M / 111320;
+  const point = { minX: end[0] - pad * 1.5, minY: end[1] - pad, maxX: end[0] + pad * 1.5, maxY: end[1] + pad };
+
+  let best = null;
+  let bestDistance = ENDPOINT_TOLERANCE_M;
+  for (const structure of structures.values()) {
+    if (!bboxesIntersect(structure.bbox, point)) continue;
+    if (pointInPolygon(end, structure.feature.geometry)) return structure.id;
+    const d = distanceToPolygonBoundary(end, structure.feature.geometry);
+    if (d <= bestDistance) {
+      best = structure.id;
+      bestDistance = d;
+    }
+  }
+  return best;
+}
+
+export class CatchmentAnalysis {
+  // decoder: FgbDecoder; getParcels() returns the loaded parcel features
+  constructor({ decoder, getParcels }) {
+    this._decoder = decoder;
+    this._getParcels = getParcels;
+  }
+
+  setCity({ routesUrl, greenStructures, greenAreas }) {
+    this._routesUrl = routesUrl;
+    this.structures = buildStructureIndex(greenStructures, greenAreas);
+    this._assignment = null;
+  }
+
+  // Catchment of one structure: the parcels it is nearest to, their routes to it and the
+  // residents served
+  async catchmentOf(structureId, signal) {
+    const structure = this.structures.get(structureId);
+    if (!structure) return null;
+
+    // Every route ending at the structure intersects its bounding box
+    const { collection } = await this._decoder.load(this._routesUrl, {
+      rect: structure.bbox,
+      signal
+    });
+    const reaching = collection.features.filter(r => routeDestination(r, this.structures) === structureId);
+
+    // Shortest route of each parcel to this structure
+    const shortest = new Map();
+    for (const route of reaching) {
+      const id = route.properties?.parcel_id;
+      if (id === undefined || id === null) continue;
+      if (!shortest.has(id) || routeMinutes(route) < routeMinutes(shortest.get(id))) shortest.set(id, route);
+    }
+
+    // A parcel belongs here when this is its nearest structure: assigned directly, or its
+    // route here is as short as its walk time (the time to its nearest park; routes without
+    // a time are kept). Parcels not loaded (tiled loading) are left out, as their residents
+    // are not counted either.
+    const parcelIds = new Set();
+    const routes = [];
+    for (const parcel of this._getParcels()) {
+      const p = parcel.properties || {};
+      const route = shortest.get(p.parcel_id);
+      if (p.green_structure_id !== undefined) {
+        if (p.green_structure_id !== structureId) continue;
+        parcelIds.add(p.parcel_id);
+        if (route) routes.push(route);
+        continue;
+      }
+      if (!route) continue;
+      const walkTime = p.walk_time === undefined || p.walk_time === null ? Infinity : Number(p.walk_time);
+      const minutes = routeMinutes(route);
+      if (minutes === Infinity || minutes <= walkTime + WALK_TIME_TOLERANCE_MIN) {
+        parcelIds.add(p.parcel_id);
+        routes.push(route);
+      }
+    }
+
+    let population = 0;
+    for (const parcel of this._getParcels()) {
+      if (parcelIds.has(parcel.properties?.parcel_id)) population += Number(parcel.properties.population) || 0;
+    }
+
+    const greenM2 = structureGreenM2(structure);
+    return {
+      structure,
+      routes,
+      parcelIds,
+      population,
+      greenM2,
+      m2PerResident: population ? greenM2 / population : null
+    };
+  }
+
+  // Residents served by every structure and residents per hectare ("park pressure")
+  async pressure(signal) {
+    const assignment = await this._assignParcels(signal);
+    const served = new Map();
+    for (const parcel of this._getParcels()) {
+      const id = assignment.get(parcel.properties?.parcel_id);
+      if (id === undefined || id === null) continue;
+      served.set(id, (served.get(id) || 0) + (Number(parcel.properties.population) || 0));
+    }
+
+    const rows = [...this.structures.values()].map(structure => {
+      const population = served.get(structure.id) || 0;
+      return {
+        id: structure.id,
+        hectares: structure.hectares,
+        population,
+        residentsPerHa: structure.hectares ? population / structure.hectares : 0
+      };
+    });
+
+    // Rank 0 (least crowded) .. 1 (most crowded), for colouring
+    const sorted = [...rows].sort((a, b) => a.residentsPerHa - b.residentsPerHa);
+    sorted.forEach((row, i) => {
+      row.rank = sorted.length > 1 ? i / (sorted.length - 1) : 0;
+    });
+    return sorted.reverse();
+  }
+
+  // parcel_id -> green_structure_id of the structure each parcel's shortest route ends at
+  destinations(signal) {
+    return this._assignParcels(signal);
+  }
+
+  // parcel_id -> green_structure_id for the whole city, computed once per city
+  async _assignParcels(signal) {
+    if (this._assignment) return this._assignment;
+
+    const routesUrl = this._routesUrl;
+    const assignment = new Map();
+    const parcels = this._getParcels();
+    if (parcels.some(p => p.properties?.green_structure_id !== undefined)) {
+      parcels.forEach(p => assignment.set(p.properties.parcel_id, p.properties.green_structure_id));
+    } else {
+      // Decoded in the worker; only the destination of each parcel's shortest route is kept
+      const { collection } = await this._decoder.load(this._routesUrl, { signal });
+      const shortest = new Map();
+      for (const route of collection.features) {
+        const id = route.properties?.parcel_id;
+        if (id === undefined || id === null) continue;
+        if (!shortest.has(id) || routeMinutes(route) < routeMinutes(shortest.get(id))) shortest.set(id, route);
+      }
+      shortest.forEach((route, id) => assignment.set(id, routeDestination(route, this.structures)));
+    }
+    // Keep it unless the city changed meanwhile
+    if (routesUrl === this._routesUrl) this._assignment = assignment;
+    return assignment;
+  }
+}
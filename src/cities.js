@@ -0,0 +1,80 @@
+// City manifests
+// Each city lives in its own folder under ./data with a manifest.json that lists
+// its datasets, initial camera, slider range and geocoder bounds.
+
+const DATA_ROOT = './data';
+const NOMINATIM_ENDPOINT = 'https://nominatim.openstreetmap.org/search';
+
+// Load the list of available cities ({ default, cities: [{ id, name }] }); dataRoot is the
+// folder holding cities.json and the city folders
+export async function loadCityIndex(dataRoot = DATA_ROOT) {
+  const response = await fetch(`${dataRoot}/cities.json`);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+  const index = await response.json();
+  if (!Array.isArray(index.cities) || index.cities.length === 0) {
+    throw new Error('City index lists no cities');
+  }
+  return {
+    default: index.default || index.cities[0].id,
+    cities: index.cities
+  };
+}
+
+// Load a city manifest and resolve its dataset paths against the city folder
+export async function loadCityManifest(cityId, dataRoot = DATA_ROOT) {
+  const dir = `${dataRoot}/${cityId}`;
+  const response = await fetch(`${dir}/manifest.json`);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+  const manifest = await response.json();
+
+  const resolve = (file) => (/^(https?:)?\/\//.test(file) ? file : `${dir}/${file}`);
+  const data = {};
+  for (const [key, file] of Object.entries(manifest.data || {})) {
+    data[key] = resolve(file);
+  }
+  // Other runs of the analysis (e.g. after a new park) for the compare view
+  const variants = (manifest.variants || []).filter(v => v?.parcels).map((v, i) => ({
+    id: String(v.id ?? `variant-${i + 1}`),
+    name: v.name || String(v.id ?? v.parcels),
+    parcels: resolve(v.parcels)
+  }));
+
+  return {
+    id: manifest.id || cityId,
+    name: manifest.name || cityId,
+    center: manifest.center,
+    zoom: manifest.zoom ?? 15,
+    maxWalkTime: manifest.maxWalkTime ?? 42,
+    // Parcels load all at once unless the manifest opts in to tiles with false: then they
+    // load tile by tile as the viewport moves (city-wide statistics cover loaded tiles only)
+    preloadParcels: manifest.preloadParcels ?? true,
+    geocoder: {
+      // Nominatim-compatible search endpoint; null turns address search off
+      endpoint: manifest.geocoder?.endpoint === undefined ? NOMINATIM_ENDPOINT : manifest.geocoder.endpoint,
+      suffix: manifest.geocoder?.suffix || '',
+      viewbox: manifest.geocoder?.viewbox || null
+    },
+    data,
+    variants
+  };
+}
+
+// Pick the city from ?city=, falling back to the index default
+export function getCityIdFromUrl(index) {
+  const requested = new URLSearchParams(window.location.search).get('city');
+  if (requested && index.cities.some(c => c.id === requested)) {
+    return requested;
+  }
+  return index.default;
+}
+
+// Keep ?city= in sync without reloading the page
+export function setCityIdInUrl(cityId) {
+  const url = new URL(window.location.href);
+  url.searchParams.set('city', cityId);
+  window.history.replaceState(null, '', url);
+}
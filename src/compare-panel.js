@@ -0,0 +1,159 @@
+// Compare panel
+// Picks the dataset drawn on the second map (the city's own parcels, a variant listed in
+// the manifest or a local .fgb file), the layout, the second map's walk time threshold
+// and whether its parcels are coloured by the change in walk time, and summarises the
+// changes between the two datasets.
+
+import { CHANGE_STOPS, formatChange } from './compare.js';
+import { t, formatNumber, formatPopulation } from './i18n.js';
+
+export class ComparePanel {
+  // onDatasetChange(dataset) runs when another dataset is picked or loaded, with
+  // { id, name, parcels } (URL) or { id, name, file }; onModeChange('split' | 'swipe'),
+  // onThresholdChange(minutes), onDifferenceChange(on) and onClose() on the controls
+  constructor(container, { onDatasetChange, onModeChange, onThresholdChange, onDifferenceChange, onClose }) {
+    this._container = container;
+    this._onDatasetChange = onDatasetChange;
+    this.datasets = [];
+    this.dataset = null;
+    this._loadedFiles = 0;
+
+    this._container.style.display = 'none';
+    this._container.innerHTML = `
+      <div class="catchment-header">
+        <div class="legend-title">${t('compare.title')}</div>
+        <button type="button" class="catchment-close" aria-label="${t('common.close')}">×</button>
+      </div>
+      <label class="layer-select">${t('compare.dataset')}
+        <select class="compare-dataset"></select>
+      </label>
+      <div class="scenario-actions">
+        <button type="button" class="scenario-button" data-action="load">${t('compare.loadFile')}</button>
+        <input type="file" accept=".fgb" hidden />
+      </div>
+      <label class="layer-select">${t('compare.layout')}
+        <select class="compare-mode">
+          <option value="split">${t('compare.split')}</option>
+          <option value="swipe">${t('compare.swipe')}</option>
+        </select>
+      </label>
+      <label class="compare-threshold">
+        <span>${t('compare.threshold')} <b class="compare-threshold-value"></b> min</span>
+        <input type="range" min="1" step="1" />
+      </label>
+      <label class="metric-check"><input type="checkbox" class="compare-difference" /> ${t('compare.difference')}</label>
+      <div class="compare-legend" style="display:none;">
+        <div class="compare-ramp" style="background:linear-gradient(to right, ${CHANGE_STOPS.map(([, color]) => color).join(', ')});"></div>
+        <div class="compare-ramp-labels">
+          <span>${formatChange(CHANGE_STOPS[0][0])} min</span>
+          <span>0</span>
+          <span>${formatChange(CHANGE_STOPS[CHANGE_STOPS.length - 1][0])} min</span>
+        </div>
+      </div>
+      <div class="compare-summary"></div>
+      <div class="catchment-row compare-status"></div>
+    `;
+
+    const $ = (selector) => this._container.querySelector(selector);
+    $('.catchment-close').addEventListener('click', onClose);
+    $('.compare-dataset').addEventListener('change', (e) => {
+      this._select(this.datasets.find(d => d.id === e.target.value));
+    });
+    $('[data-action="load"]').addEventListener('click', () => $('input[type="file"]').click());
+    $('input[type="file"]').addEventListener('change', (e) => this._load(e.target));
+    $('.compare-mode').addEventListener('change', (e) => onModeChange(e.target.value));
+    $('.compare-threshold input').addEventListener('input', (e) => {
+      $('.compare-threshold-value').textContent = e.target.value;
+      onThresholdChange(Number(e.target.value));
+    });
+    $('.compare-difference').addEventListener('change', (e) => {
+      $('.compare-legend').style.display = e.target.checked ? 'block' : 'none';
+      onDifferenceChange(e.target.checked);
+    });
+  }
+
+  open() {
+    this._container.style.display = 'block';
+  }
+
+  close() {
+    this._container.style.display = 'none';
+  }
+
+  get isOpen() {
+    return this._container.style.display !== 'none';
+  }
+
+  // Datasets of the active city (first: the main map's) and its slider range.
+  // The threshold starts at the city's max walk time; files loaded for another city are dropped.
+  setCity({ datasets, maxWalkTime }) {
+    this.datasets = datasets;
+    this.dataset = datasets[0];
+    const $ = (selector) => this._container.querySelector(selector);
+    const range = $('.compare-threshold input');
+    range.max = maxWalkTime;
+    range.value = maxWalkTime;
+    $('.compare-threshold-value').textContent = maxWalkTime;
+    $('.compare-summary').innerHTML = '';
+    $('.compare-status').textContent = '';
+    this._renderOptions();
+  }
+
+  showLoading() {
+    this._container.querySelector('.compare-summary').innerHTML =
+      `<div class="catchment-row">${t('common.loading')}</div>`;
+  }
+
+  // summary: output of compareWalkTimes()
+  showSummary(summary) {
+    const summaryEl = this._container.querySelector('.compare-summary');
+    if (!summary.matched) {
+      summaryEl.innerHTML = `<div class="catchment-row">${t('compare.noMatch')}</div>`;
+      return;
+    }
+    const unmatched = summary.parcels - summary.matched;
+    summaryEl.innerHTML = `
+      <div class="catchment-main">${formatChange(summary.meanChange)} min <span>${t('compare.meanChange')}</span></div>
+      <div class="catchment-row">${t('compare.matched', { count: summary.matched, n: formatNumber(summary.matched) })}</div>
+      <div class="catchment-row">${t('compare.faster', {
+        parcels: formatNumber(summary.faster),
+        population: formatPopulation(summary.fasterPopulation)
+      })}</div>
+      <div class="catchment-row">${t('compare.slower', {
+        parcels: formatNumber(summary.slower),
+        population: formatPopulation(summary.slowerPopulation)
+      })}</div>
+      <div class="catchment-row">${t('compare.unchanged', { count: summary.unchanged, n: formatNumber(summary.unchanged) })}</div>
+      ${unmatched ? `<div class="catchment-row">${t('compare.unmatched', { count: unmatched, n: formatNumber(unmatched) })}</div>` : ''}
+    `;
+  }
+
+  setStatus(text) {
+    this._container.querySelector('.compare-status').textContent = text;
+  }
+
+  _renderOptions() {
+    const select = this._container.querySelector('.compare-dataset');
+    // Names of local files are the user's
+    select.replaceChildren(...this.datasets.map(d => new Option(d.name, d.id)));
+    select.value = this.dataset.id;
+  }
+
+  _select(dataset) {
+    this.dataset = dataset;
+    this._renderOptions();
+    this.setStatus('');
+    this._onDatasetChange(dataset);
+  }
+
+  // A local .fgb file is added to the list and drawn right away
+  _load(input) {
+    const file = input.files?.[0];
+    input.value = '';
+    if (!file) return;
+    this._loadedFiles += 1;
+    const dataset = { id: `file-${this._loadedFiles}`, name: file.name, file };
+    this.datasets = [...this.datasets, dataset];
+    this._select(dataset);
+  }
+}
@@ -0,0 +1,283 @@
+// Compare view
+// A second map on the same camera as the main one, drawing the parcels of another run
+// of the analysis. Side by side, each map takes half of the screen; in swipe mode the
+// second map lies over the main one and is clipped to the right of a draggable handle.
+// The map is created on first open; its parcels are loaded through their own tile cache.
+
+import { ParcelTileCache } from './parcels.js';
+import { t } from './i18n.js';
+
+const EMPTY = { type: 'FeatureCollection', features: [] };
+const SWIPE_STEP = 0.05;  // share of the width moved per arrow key press
+
+export class CompareView {
+  // map: the main map; container: the second map's element, next to the main map's;
+  // style(): style of the second map (basemap only);
+  // onParcels() runs when the compared parcels change;
+  // onParcelHover(properties, point) runs on hover (properties null on leave), point in
+  // pixels from the corner of the viewer
+  constructor({ map, container, decoder, style, onParcels, onParcelHover }) {
+    this._main = map;
+    this._container = container;
+    this._frame = container.parentElement;  // the viewer: laid out side by side or swiped
+    this._style = style;
+    this._onParcels = onParcels;
+    this._onParcelHover = onParcelHover;
+    this._parcels = new ParcelTileCache({ decoder });
+    this._preload = true;
+    this._syncing = false;
+    this._swipe = 0.5;
+    this.mode = 'split';
+    this.map = null;
+    this._ready = false;
+
+    this._container.style.display = 'none';
+    this._handle = document.createElement('div');
+    this._handle.className = 'compare-swipe';
+    this._handle.tabIndex = 0;
+    this._handle.setAttribute('role', 'slider');
+    this._handle.setAttribute('aria-label', t('compare.swipeHandle'));
+    this._handle.setAttribute('aria-valuemin', '0');
+    this._handle.setAttribute('aria-valuemax', '100');
+    this._handle.style.display = 'none';
+    this._container.after(this._handle);
+    this._bindSwipe();
+
+    this._onMainMove = () => this._sync(this._main, this.map);
+    this._onWindowResize = () => this._layoutSwipe();
+  }
+
+  get isOpen() {
+    return this._container.style.display !== 'none';
+  }
+
+  // Open and loaded: parcels and styles can be set
+  get isReady() {
+    return this.isOpen && this._ready;
+  }
+
+  // Show the second map; resolves once it has loaded
+  async open() {
+    this._container.style.display = 'block';
+    this._frame.classList.toggle('compare-split', this.mode === 'split');
+    if (!this.map) this._createMap();
+    this._main.on('move', this._onMainMove);
+    window.addEventListener('resize', this._onWindowResize);
+    this._resize();
+    this._sync(this._main, this.map);
+    await this._loaded;
+  }
+
+  close() {
+    this._container.style.display = 'none';
+    this._handle.style.display = 'none';
+    this._frame.classList.remove('compare-split');
+    this._main.off('move', this._onMainMove);
+    window.removeEventListener('resize', this._onWindowResize);
+    this._main.resize();
+  }
+
+  // 'split' (side by side) or 'swipe'
+  setMode(mode) {
+    this.mode = mode;
+    if (this.isOpen) {
+      this._frame.classList.toggle('compare-split', mode === 'split');
+      this._resize();
+    }
+  }
+
+  // Green areas and boundary of the city, drawn under the parcels
+  setCity({ greenAreas, boundary }) {
+    this.map.getSource('green_areas').setData(greenAreas || EMPTY);
+    this.map.getSource('boundary').setData(boundary || EMPTY);
+  }
+
+  // Point the basemap at another Carto style ({ tiles, labels }), none without tiles, or
+  // the local basemap ({ background, land }) drawn from the boundary
+  setBasemap(basemap) {
+    if (!this.map) return;
+    if (basemap.tiles) {
+      this.map.getSource('carto').setTiles(basemap.tiles);
+      this.map.getSource('carto-labels').setTiles(basemap.labels);
+    }
+    const visibility = basemap.tiles ? 'visible' : 'none';
+    const local = basemap.land ? 'visible' : 'none';
+    this.map.setLayoutProperty('basemap', 'visibility', visibility);
+    this.map.setLayoutProperty('basemap-labels', 'visibility', visibility);
+    this.map.setLayoutProperty('basemap-background', 'visibility', local);
+    if (!this._ready) return;
+    this.map.setLayoutProperty('boundary-fill', 'visibility', local);
+    if (basemap.land) this.map.setPaintProperty('boundary-fill', 'fill-color', basemap.land);
+  }
+
+  // Paint expressions and walk time filter of the compared parcels
+  setParcelStyle({ color, height, filter }) {
+    this.map.setPaintProperty('parcels-3d', 'fill-extrusion-color', color);
+    this.map.setPaintProperty('parcels-3d', 'fill-extrusion-height', height);
+    this.map.setFilter('parcels-3d', filter);
+  }
+
+  // Load the compared parcels from a URL or the bytes of a .fgb file: the whole file when
+  // preload is set (always for bytes), otherwise the tiles in view as the camera moves.
+  // Resolves false when another dataset was picked meanwhile.
+  async loadParcels(input, { preload }) {
+    this._preload = preload || input instanceof Uint8Array;
+    this._parcels.setSource(input);
+    this.map.getSource('parcels').setData(EMPTY);
+    if (this._preload) {
+      await this._parcels.loadAll();
+    } else {
+      await this._parcels.loadViewport(this.map.getBounds());
+    }
+    if (this._parcels.source !== input) return false;
+    this.refresh();
+    return true;
+  }
+
+  // Drop the compared parcels (e.g. on a city switch)
+  clear() {
+    this._parcels.setSource(null);
+    this.map?.getSource('parcels')?.setData(EMPTY);
+  }
+
+  // Remove the second map (the viewer is being removed)
+  destroy() {
+    this.close();
+    this.map?.remove();
+    this.map = null;
+  }
+
+  parcels() {
+    return this._parcels.toFeatureCollection().features;
+  }
+
+  // Redraw the parcels after their properties changed
+  refresh() {
+    this.map.getSource('parcels').setData(this._parcels.toFeatureCollection());
+  }
+
+  _createMap() {
+    this.map = new maplibregl.Map({
+      container: this._container,
+      style: this._style(),
+      center: this._main.getCenter(),
+      zoom: this._main.getZoom(),
+      pitch: this._main.getPitch(),
+      bearing: this._main.getBearing(),
+      antialias: true,
+      attributionControl: false  // Shown once, on the main map
+    });
+    this._loaded = new Promise(resolve => this.map.once('load', () => {
+      this._addLayers();
+      this._ready = true;
+      resolve();
+    }));
+
+    this.map.on('move', () => this._sync(this.map, this._main));
+    this.map.on('moveend', async () => {
+      if (this._preload || !this._parcels.source) return;
+      const parcels = await this._parcels.loadViewport(this.map.getBounds());
+      if (parcels) this._onParcels();
+    });
+    this.map.on('mousemove', 'parcels-3d', (e) => {
+      const f = e.features?.[0];
+      if (!f) return;
+      const rect = this._container.getBoundingClientRect();
+      const frame = this._frame.getBoundingClientRect();
+      this._onParcelHover(f.properties, { x: e.point.x + rect.left - frame.left, y: e.point.y + rect.top - frame.top });
+    });
+    this.map.on('mouseleave', 'parcels-3d', () => this._onParcelHover(null));
+  }
+
+  _addLayers() {
+    this.map.addSource('boundary', { type: 'geojson', data: EMPTY });
+    this.map.addLayer({
+      id: 'boundary-fill',
+      type: 'fill',
+      source: 'boundary',
+      layout: { visibility: 'none' }
+    });
+    this.map.addSource('green_areas', { type: 'geojson', data: EMPTY });
+    this.map.addLayer({
+      id: 'green-areas-fill',
+      type: 'fill-extrusion',
+      source: 'green_areas',
+      paint: { 'fill-extrusion-color': '#10B981', 'fill-extrusion-opacity': 0.85, 'fill-extrusion-height': 0.5 }
+    });
+    this.map.addLayer({
+      id: 'boundary-line',
+      type: 'line',
+      source: 'boundary',
+      paint: { 'line-color': '#ffffff', 'line-width': 2, 'line-opacity': 0.6 }
+    });
+    this.map.addSource('parcels', { type: 'geojson', data: EMPTY, promoteId: 'parcel_id' });
+    this.map.addLayer({
+      id: 'parcels-3d',
+      type: 'fill-extrusion',
+      source: 'parcels',
+      paint: { 'fill-extrusion-base': 0, 'fill-extrusion-opacity': 0.9 }
+    });
+  }
+
+  // Copy the camera of one map to the other; the flag stops the echo back
+  _sync(from, to) {
+    if (this._syncing || !to) return;
+    this._syncing = true;
+    to.jumpTo({
+      center: from.getCenter(),
+      zoom: from.getZoom(),
+      bearing: from.getBearing(),
+      pitch: from.getPitch()
+    });
+    this._syncing = false;
+  }
+
+  _resize() {
+    this._main.resize();
+    this.map.resize();
+    this._layoutSwipe();
+  }
+
+  // Clip the second map to the right of the handle (swipe mode only)
+  _layoutSwipe() {
+    const swipe = this.mode === 'swipe' && this.isOpen;
+    this._handle.style.display = swipe ? 'block' : 'none';
+    if (!swipe) {
+      this._container.style.clipPath = '';
+      return;
+    }
+    const x = Math.round(this._swipe * this._frame.clientWidth);
+    this._container.style.clipPath = `inset(0 0 0 ${x}px)`;
+    this._handle.style.left = `${x}px`;
+    this._handle.setAttribute('aria-valuenow', String(Math.round(this._swipe * 100)));
+  }
+
+  _setSwipe(share) {
+    this._swipe = Math.min(Math.max(share, 0), 1);
+    this._layoutSwipe();
+  }
+
+  // Drag the handle with the pointer, or move it with the arrow keys
+  _bindSwipe() {
+    this._handle.addEventListener('pointerdown', (e) => {
+      e.preventDefault();
+      this._handle.setPointerCapture(e.pointerId);
+      const onMove = (event) => {
+        const frame = this._frame.getBoundingClientRect();
+        this._setSwipe((event.clientX - frame.left) / frame.width);
+      };
+      const onUp = () => {
+        this._handle.removeEventListener('pointermove', onMove);
+        this._handle.removeEventListener('pointerup', onUp);
+      };
+      this._handle.addEventListener('pointermove', onMove);
+      this._handle.addEventListener('pointerup', onUp);
+    });
+    this._handle.addEventListener('keydown', (e) => {
+      if (e.key === 'ArrowLeft') this._setSwipe(this._swipe - SWIPE_STEP);
+      else if (e.key === 'ArrowRight') this._setSwipe(this._swipe + SWIPE_STEP);
+      else return;
+      e.preventDefault();
+    });
+  }
+}
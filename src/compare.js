@@ -0,0 +1,80 @@
+// Dataset comparison
+// Two runs of the analysis (e.g. before and after a new park, or with another minimum
+// park size) are matched on parcel_id. Each parcel of the compared run gets
+// walk_time_change: its walk time minus the baseline's, in minutes at the selected walking
+// speed (negative is faster).
+
+import { formatNumber } from './i18n.js';
+import { DATA_SPEED_KMH, walkTimeAt } from './walk-speed.js';
+
+// Diverging ramp: green where the walk got shorter, red where it got longer
+export const CHANGE_STOPS = [
+  [-10, '#16A34A'],
+  [-2, '#A3E635'],
+  [0, '#52525B'],
+  [2, '#FBBF24'],
+  [10, '#EF4444']
+];
+
+// Set walk_time_change on the compared parcels and summarise the changes, with walk
+// times at kmh. Parcels without a counterpart (or without a walk time on either side)
+// are left unset.
+export function compareWalkTimes(baseline, compared, kmh = DATA_SPEED_KMH) {
+  const before = new Map();
+  for (const f of baseline) {
+    const p = f.properties;
+    const minutes = walkTimeAt(p, kmh);
+    if (p?.parcel_id !== undefined && Number.isFinite(minutes)) before.set(p.parcel_id, minutes);
+  }
+
+  const summary = {
+    parcels: compared.length,
+    matched: 0,
+    faster: 0,
+    slower: 0,
+    unchanged: 0,
+    fasterPopulation: 0,
+    slowerPopulation: 0,
+    meanChange: 0
+  };
+  let total = 0;
+  for (const f of compared) {
+    const p = f.properties || {};
+    delete p.walk_time_change;
+    const base = before.get(p.parcel_id);
+    const minutes = walkTimeAt(p, kmh);
+    if (base === undefined || !Number.isFinite(minutes)) continue;
+
+    const change = Math.round((minutes - base) * 10) / 10;
+    const population = Number(p.population) || 0;
+    p.walk_time_change = change;
+    summary.matched += 1;
+    total += change;
+    if (change < 0) {
+      summary.faster += 1;
+      summary.fasterPopulation += population;
+    } else if (change > 0) {
+      summary.slower += 1;
+      summary.slowerPopulation += population;
+    } else {
+      summary.unchanged += 1;
+    }
+  }
+  summary.meanChange = summary.matched ? total / summary.matched : 0;
+  return summary;
+}
+
+// Parcel colour by walk_time_change, grey without a match
+export function differenceColorExpression() {
+  return [
+    'case',
+    ['has', 'walk_time_change'],
+    ['interpolate', ['linear'], ['get', 'walk_time_change'], ...CHANGE_STOPS.flat()],
+    '#27272a'
+  ];
+}
+
+// '+2.5', '-1', '0'
+export function formatChange(minutes) {
+  return `${minutes > 0 ? '+' : ''}${formatNumber(minutes, 1)}`;
+}
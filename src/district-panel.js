@@ -0,0 +1,176 @@
+// District panel
+// Picks the metric the areas are coloured by and whether they are extruded, loads a
+// local file of administrative areas and ranks the areas in a sortable table; picking
+// a row zooms to the area.
+
+import { AREA_METRICS, formatAreaMetric } from './districts.js';
+import { t, formatNumber, formatPopulation } from './i18n.js';
+
+const COLUMNS = [
+  { key: 'name', label: () => t('districts.area') },
+  { key: 'population', label: () => t('metric.population') },
+  ...Object.keys(AREA_METRICS).map(key => ({ key, label: () => AREA_METRICS[key].label }))
+];
+
+export class DistrictPanel {
+  // onMetricChange(metricId), onExtrudeChange(on), onLoadFile(file), onSelectArea(areaId)
+  // and onClose() run on the controls
+  constructor(container, { onMetricChange, onExtrudeChange, onLoadFile, onSelectArea, onClose }) {
+    this._container = container;
+    this._onSelectArea = onSelectArea;
+    this.metric = 'mean_walk_time';
+    this.extrude = false;
+    this._sort = { key: 'mean_walk_time', descending: true };
+    this._rows = [];
+    this._selectedId = null;
+
+    this._container.style.display = 'none';
+    this._container.innerHTML = `
+      <div class="catchment-header">
+        <div class="legend-title">${t('districts.title')}</div>
+        <button type="button" class="catchment-close" aria-label="${t('common.close')}">×</button>
+      </div>
+      <label class="layer-select">${t('districts.colourBy')}
+        <select class="district-metric">
+          ${Object.entries(AREA_METRICS).map(([id, m]) => `<option value="${id}">${m.label}</option>`).join('')}
+        </select>
+      </label>
+      <label class="metric-check"><input type="checkbox" class="district-extrude" /> ${t('districts.extrude')}</label>
+      <div class="district-legend"></div>
+      <div class="catchment-row district-threshold"></div>
+      <div class="district-table-wrap">
+        <table class="district-table">
+          <thead><tr></tr></thead>
+          <tbody></tbody>
+        </table>
+      </div>
+      <div class="scenario-actions">
+        <button type="button" class="scenario-button" data-action="load">${t('districts.load')}</button>
+        <input type="file" accept=".geojson,.json,application/json" hidden />
+      </div>
+      <div class="catchment-row district-status" role="status"></div>
+    `;
+
+    const $ = (selector) => this._container.querySelector(selector);
+    $('.catchment-close').addEventListener('click', onClose);
+    $('.district-metric').addEventListener('change', (e) => {
+      this.metric = e.target.value;
+      onMetricChange(this.metric);
+    });
+    $('.district-extrude').addEventListener('change', (e) => {
+      this.extrude = e.target.checked;
+      onExtrudeChange(this.extrude);
+    });
+    $('[data-action="load"]').addEventListener('click', () => $('input[type="file"]').click());
+    $('input[type="file"]').addEventListener('change', (e) => {
+      const file = e.target.files?.[0];
+      e.target.value = '';
+      if (file) onLoadFile(file);
+    });
+    // Header buttons sort; rows select their area (click or Enter)
+    $('thead').addEventListener('click', (e) => {
+      const key = e.target.closest('button[data-sort]')?.dataset.sort;
+      if (!key) return;
+      this._sort = { key, descending: this._sort.key === key ? !this._sort.descending : key !== 'name' };
+      this._render();
+    });
+    $('tbody').addEventListener('click', (e) => this._selectRow(e.target.closest('tr')));
+    $('tbody').addEventListener('keydown', (e) => {
+      if (e.key !== 'Enter') return;
+      e.preventDefault();
+      this._selectRow(e.target.closest('tr'));
+    });
+  }
+
+  open() {
+    this._container.style.display = 'block';
+  }
+
+  close() {
+    this._container.style.display = 'none';
+  }
+
+  get isOpen() {
+    return this._container.style.display !== 'none';
+  }
+
+  // rows: output of DistrictAggregation.aggregate(); threshold: walk time in minutes
+  showRanking(rows, threshold) {
+    this._rows = rows;
+    this._container.querySelector('.district-threshold').textContent = t('districts.threshold', { min: threshold });
+    this._render();
+  }
+
+  // stops: [[value, colour], ...] of the drawn metric
+  showLegend(stops) {
+    const legend = this._container.querySelector('.district-legend');
+    if (!stops.length) {
+      legend.innerHTML = '';
+      return;
+    }
+    const colors = stops.length > 1 ? stops.map(([, color]) => color).join(', ') : `${stops[0][1]}, ${stops[0][1]}`;
+    legend.innerHTML = `
+      <div class="compare-ramp" style="background:linear-gradient(to right, ${colors});"></div>
+      <div class="compare-ramp-labels">
+        <span>${formatAreaMetric(this.metric, stops[0][0])}</span>
+        <span>${formatAreaMetric(this.metric, stops[stops.length - 1][0])}</span>
+      </div>
+    `;
+  }
+
+  // Highlight the row of an area (null clears)
+  setSelected(areaId) {
+    this._selectedId = areaId;
+    this._container.querySelectorAll('tbody tr').forEach(tr => {
+      tr.classList.toggle('selected', Number(tr.dataset.id) === areaId);
+    });
+  }
+
+  clear() {
+    this._rows = [];
+    this._selectedId = null;
+    this._render();
+    this.showLegend([]);
+    this._container.querySelector('.district-threshold').textContent = '';
+  }
+
+  setStatus(text) {
+    this._container.querySelector('.district-status').textContent = text;
+  }
+
+  _selectRow(tr) {
+    if (!tr) return;
+    const id = Number(tr.dataset.id);
+    this.setSelected(id);
+    this._onSelectArea(id);
+  }
+
+  _render() {
+    const { key, descending } = this._sort;
+    this._container.querySelector('thead tr').innerHTML = COLUMNS.map(c => {
+      const sort = c.key === key ? (descending ? 'descending' : 'ascending') : 'none';
+      return `<th aria-sort="${sort}"><button type="button" data-sort="${c.key}">${c.label()}${c.key === key ? (descending ? ' ▼' : ' ▲') : ''}</button></th>`;
+    }).join('');
+
+    // Areas without a value go last either way
+    const value = (row) => row[key];
+    const rows = [...this._rows].sort((a, b) => {
+      if (value(a) === null || value(b) === null) return (value(a) === null) - (value(b) === null);
+      const order = key === 'name' ? String(value(a)).localeCompare(String(value(b))) : value(a) - value(b);
+      return descending ? -order : order;
+    });
+    this._container.querySelector('tbody').innerHTML = rows.map(row => `
+      <tr data-id="${row.id}" tabindex="0" class="${row.id === this._selectedId ? 'selected' : ''}">
+        <td></td>
+        <td>${formatPopulation(row.population)}</td>
+        ${Object.keys(AREA_METRICS).map(id => `<td>${formatAreaMetric(id, row[id])}</td>`).join('')}
+      </tr>
+    `).join('');
+    // Names come from the loaded file
+    this._container.querySelectorAll('tbody tr').forEach((tr, i) => {
+      tr.firstElementChild.textContent = rows[i].name;
+    });
+    this._container.querySelector('.district-table').setAttribute('aria-label',
+      t('districts.areas', { count: rows.length, n: formatNumber(rows.length) }));
+  }
+}
@@ -0,0 +1,152 @@
+// District and neighbourhood aggregation
+// Parcels are assigned to the administrative area (district, barri…) containing their
+// centre and summarised per area: residents, population-weighted mean walk time, the
+// share of residents beyond the walk time threshold and green m² per resident (parks
+// assigned by their centre too). Areas are drawn as a choropleth, flat or extruded.
+
+import { geometryBbox, bboxCenter, pointInPolygon, polygonAreaM2 } from './geometry.js';
+import { paletteOf } from './metrics.js';
+import { t, formatNumber, formatPercent } from './i18n.js';
+
+export const DISTRICT_MAX_ZOOM = 13;  // areas below this zoom, parcels from it
+const MAX_HEIGHT_M = 1200;  // extrusion of the area with the highest value
+const NO_DATA_COLOR = '#3a3b3d';
+
+// Name properties of common administrative datasets, tried in order
+const NAME_PROPERTIES = ['name', 'NAME', 'nom', 'NOM', 'nom_barri', 'NOM_BARRI', 'nom_districte', 'NOM_DISTRICTE', 'barri', 'district'];
+
+// higherIsBetter: the best areas get the deepest shade, as close parcels do
+export const AREA_METRICS = {
+  mean_walk_time: {
+    label: t('districts.meanWalkTime'),
+    higherIsBetter: false,
+    format: (v) => `${formatNumber(v, 1)} min`
+  },
+  share_above: {
+    label: t('districts.shareAbove'),
+    higherIsBetter: false,
+    format: (v) => formatPercent(v)
+  },
+  green_per_resident: {
+    label: t('districts.greenPerResident'),
+    higherIsBetter: true,
+    format: (v) => `${formatNumber(v, 1)} m²`
+  }
+};
+
+export function formatAreaMetric(metricId, value) {
+  return typeof value === 'number' ? AREA_METRICS[metricId].format(value) : '—';
+}
+
+// Polygon features of an administrative GeoJSON with area_id (their index) and area_name
+export function normalizeAreas(geojson) {
+  const features = (geojson?.features || [])
+    .filter(f => f.geometry?.type === 'Polygon' || f.geometry?.type === 'MultiPolygon');
+  if (!features.length) throw new Error('No polygons in the file');
+  return {
+    type: 'FeatureCollection',
+    features: features.map((f, i) => {
+      const p = f.properties || {};
+      const name = NAME_PROPERTIES.map(key => p[key]).find(v => v !== undefined && v !== null && v !== '');
+      return { ...f, properties: { ...p, area_id: i, area_name: String(name ?? i + 1) } };
+    })
+  };
+}
+
+export class DistrictAggregation {
+  constructor() {
+    this.areas = null;
+    this._index = [];
+    this._assignment = new WeakMap();
+  }
+
+  // areas: output of normalizeAreas(), or null
+  setAreas(areas) {
+    this.areas = areas;
+    this._index = (areas?.features || []).map(feature => ({ feature, bbox: geometryBbox(feature.geometry) }));
+    this._assignment = new WeakMap();
+  }
+
+  // Index of the area containing a feature's centre (cached per feature), or -1
+  _areaOf(feature) {
+    let area = this._assignment.get(feature);
+    if (area !== undefined) return area;
+    const [x, y] = bboxCenter(geometryBbox(feature.geometry));
+    area = this._index.findIndex(({ feature: a, bbox }) =>
+      x >= bbox.minX && x <= bbox.maxX && y >= bbox.minY && y <= bbox.maxY && pointInPolygon([x, y], a.geometry)
+    );
+    this._assignment.set(feature, area);
+    return area;
+  }
+
+  // Summary per area, also written to the area features' properties for the style.
+  // walkTimeOf(properties): minutes at the current walking speed, or null;
+  // threshold: walk time (min) residents are counted beyond.
+  aggregate(parcels, greenAreas, { walkTimeOf, threshold }) {
+    const sums = this._index.map(() => ({ population: 0, timed: 0, walk: 0, above: 0, parcels: 0, greenM2: 0 }));
+    for (const parcel of parcels) {
+      const area = this._areaOf(parcel);
+      if (area === -1) continue;
+      const sum = sums[area];
+      const population = Number(parcel.properties?.population) || 0;
+      const walkTime = walkTimeOf(parcel.properties);
+      sum.population += population;
+      sum.parcels += 1;
+      if (walkTime === null) continue;
+      sum.timed += population;
+      sum.walk += population * walkTime;
+      if (walkTime > threshold) sum.above += population;
+    }
+    for (const park of greenAreas) {
+      const area = this._areaOf(park);
+      if (area === -1) continue;
+      sums[area].greenM2 += Number(park.properties?.green_area_m2) || polygonAreaM2(park.geometry);
+    }
+
+    return this._index.map(({ feature }, i) => {
+      const sum = sums[i];
+      const row = {
+        id: feature.properties.area_id,
+        name: feature.properties.area_name,
+        population: sum.population,
+        parcels: sum.parcels,
+        greenM2: sum.greenM2,
+        mean_walk_time: sum.timed ? sum.walk / sum.timed : null,
+        share_above: sum.timed ? sum.above / sum.timed : null,
+        green_per_resident: sum.population ? sum.greenM2 / sum.population : null
+      };
+      for (const id of Object.keys(AREA_METRICS)) feature.properties[id] = row[id];
+      return row;
+    });
+  }
+}
+
+// Seven colour stops over the range of the metric among the areas, best first
+export function areaColorStops(metricId, rows, ctx) {
+  const values = rows.map(r => r[metricId]).filter(v => typeof v === 'number');
+  if (!values.length) return [];
+  const shades = paletteOf(ctx);
+  const ordered = AREA_METRICS[metricId].higherIsBetter ? [...shades].reverse() : shades;
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  if (min === max) return [[min, ordered[0]]];
+  return ordered.map((color, i) => [min + ((max - min) * i) / (ordered.length - 1), color]);
+}
+
+export function areaColorExpression(metricId, rows, ctx) {
+  const stops = areaColorStops(metricId, rows, ctx);
+  if (stops.length < 2) return stops.length ? stops[0][1] : NO_DATA_COLOR;
+  return [
+    'case',
+    ['==', ['typeof', ['get', metricId]], 'number'],
+    ['interpolate', ['linear'], ['get', metricId], ...stops.flat()],
+    NO_DATA_COLOR
+  ];
+}
+
+// Extrusion height in metres: the metric's share of its highest value among the areas
+export function areaHeightExpression(metricId, rows) {
+  const max = Math.max(0, ...rows.map(r => r[metricId]).filter(v => typeof v === 'number'));
+  if (!max) return 0;
+  return ['case', ['==', ['typeof', ['get', metricId]], 'number'], ['*', ['/', ['get', metricId], max], MAX_HEIGHT_M], 0];
+}
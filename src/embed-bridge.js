@@ -0,0 +1,68 @@
+// postMessage bridge
+// Drives a <green-access-map> inside an iframe from the embedding page. Messages carry
+// type 'green-access-map':
+//   page -> frame  { type, id, method, args }     method: one of BRIDGE_METHODS
+//   frame -> page  { type, id, result } or { type, id, error }   reply to a call
+//   frame -> page  { type, event, detail }        event: 'ready' or one of VIEWER_EVENTS
+// Only the parent window at one of the configured origins is answered and sent events;
+// without allowed origins the bridge stays off.
+
+export const MESSAGE_TYPE = 'green-access-map';
+export const BRIDGE_METHODS = ['setThreshold', 'selectParcel', 'flyToPark', 'setMetric'];
+export const VIEWER_EVENTS = ['parcelselect', 'thresholdchange', 'routeload'];
+
+// GeoJSON and plain values pass; anything postMessage cannot clone is dropped
+function cloneable(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+// Origins from a space-separated list (e.g. the embed-origins attribute); '*' and
+// entries that are not http(s) origins are ignored
+export function parseOrigins(text) {
+  return (text || '').split(/\s+/).filter(Boolean).flatMap(entry => {
+    try {
+      const { origin, protocol } = new URL(entry);
+      return protocol === 'https:' || protocol === 'http:' ? [origin] : [];
+    } catch (error) {
+      console.warn(`[embed-bridge] Ignoring origin ${entry}:`, error.message);
+      return [];
+    }
+  });
+}
+
+// origins: pages allowed to drive the viewer. Returns a function that disconnects the bridge.
+export function connectBridge(element, { target = window.parent, origins = [] } = {}) {
+  if (!origins.length) return () => {};
+  // Events go to each allowed origin; the browser delivers only the one the parent is at
+  const post = (message, origin) => target.postMessage({ type: MESSAGE_TYPE, ...message }, origin);
+  const broadcast = (message) => origins.forEach(origin => post(message, origin));
+
+  const onMessage = async (e) => {
+    if (e.source !== target || !origins.includes(e.origin)) return;
+    const { type, id, method, args = [] } = e.data || {};
+    if (type !== MESSAGE_TYPE || !method) return;
+    try {
+      if (!BRIDGE_METHODS.includes(method)) throw new Error(`Unknown method: ${method}`);
+      const result = await element[method](...args);
+      post({ id, result: cloneable(result) }, e.origin);
+    } catch (error) {
+      post({ id, error: error.message }, e.origin);
+    }
+  };
+  window.addEventListener('message', onMessage);
+
+  const forwards = VIEWER_EVENTS.map(event => {
+    const forward = (e) => broadcast({ event, detail: cloneable(e.detail) });
+    element.addEventListener(event, forward);
+    return [event, forward];
+  });
+
+  let connected = true;
+  element.ready?.then(() => connected && broadcast({ event: 'ready', detail: null }), () => {});
+
+  return () => {
+    connected = false;
+    window.removeEventListener('message', onMessage);
+    forwards.forEach(([event, forward]) => element.removeEventListener(event, forward));
+  };
+}
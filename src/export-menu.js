@@ -0,0 +1,61 @@
+// Export menu
+// Lists the export options; route exports are enabled only while a parcel's routes are shown.
+
+import { t } from './i18n.js';
+
+const OPTIONS = [
+  { id: 'parcels-geojson', label: t('export.parcelsGeojson') },
+  { id: 'parcels-csv', label: t('export.parcelsCsv') },
+  { id: 'snapshot-png', label: t('export.snapshot') },
+  { id: 'routes-geojson', label: t('export.routesGeojson'), routes: true },
+  { id: 'routes-gpx', label: t('export.routesGpx'), routes: true }
+];
+
+export class ExportMenu {
+  // onExport(optionId) runs when an option is picked
+  constructor(container, { onExport }) {
+    this._container = container;
+    this._container.style.display = 'none';
+    this._container.innerHTML = `
+      <div class="catchment-header">
+        <div class="legend-title">${t('buttons.export')}</div>
+        <button type="button" class="catchment-close" aria-label="${t('common.close')}">×</button>
+      </div>
+      <div class="catchment-row export-hint">${t('export.hint')}</div>
+      <div class="export-options">
+        ${OPTIONS.map(o => `<button type="button" class="scenario-button" data-export="${o.id}"${o.routes ? ' disabled' : ''}>${o.label}</button>`).join('')}
+      </div>
+      <div class="catchment-row export-status"></div>
+    `;
+    this._container.querySelector('.catchment-close').addEventListener('click', () => this.close());
+    this._container.querySelectorAll('[data-export]').forEach(button => {
+      button.addEventListener('click', () => onExport(button.dataset.export));
+    });
+  }
+
+  open() {
+    this._container.style.display = 'block';
+  }
+
+  close() {
+    this._container.style.display = 'none';
+  }
+
+  toggle() {
+    if (this._container.style.display === 'none') this.open(); else this.close();
+  }
+
+  get isOpen() {
+    return this._container.style.display !== 'none';
+  }
+
+  setRoutesAvailable(available) {
+    OPTIONS.filter(o => o.routes).forEach(o => {
+      this._container.querySelector(`[data-export="${o.id}"]`).disabled = !available;
+    });
+  }
+
+  setStatus(text) {
+    this._container.querySelector('.export-status').textContent = text;
+  }
+}
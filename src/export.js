@@ -0,0 +1,186 @@
+// Exports
+// Parcels as GeoJSON or CSV, routes as GeoJSON or GPX, PNG snapshots of the map with
+// the title, threshold and colour legend drawn in, and WebM recordings of the map canvas.
+
+import { colorRampOf } from './legends.js';
+
+export const CSV_COLUMNS = ['parcel_id', 'cadastral_parcel', 'population', 'walk_time', 'walk_distance'];
+
+// Trigger a browser download of a Blob. The URL is revoked after the click has been
+// handled; revoking it at once cancels the download in some browsers.
+export function downloadBlob(blob, filename) {
+  const a = document.createElement('a');
+  const url = URL.createObjectURL(blob);
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export function featuresToGeojson(features, name) {
+  return {
+    type: 'FeatureCollection',
+    name,
+    features: features.map(f => ({ type: 'Feature', geometry: f.geometry, properties: { ...f.properties } }))
+  };
+}
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function parcelsToCsv(features) {
+  const rows = features.map(f => CSV_COLUMNS.map(column => csvCell(f.properties?.[column])).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+function xmlEscape(text) {
+  return String(text).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+}
+
+// One track per route, one segment per line part
+export function routesToGpx(features, name) {
+  const tracks = features.map((f, i) => {
+    const { type, coordinates } = f.geometry || {};
+    const lines = type === 'LineString' ? [coordinates] : (type === 'MultiLineString' ? coordinates : []);
+    const p = f.properties || {};
+    const desc = [
+      p.walk_time !== undefined ? `${p.walk_time} min` : null,
+      p.walk_distance !== undefined ? `${p.walk_distance} m` : null
+    ].filter(Boolean).join(', ');
+    const segments = lines.map(line =>
+      `      <trkseg>\n${line.map(([lon, lat]) => `        <trkpt lat="${lat}" lon="${lon}"></trkpt>`).join('\n')}\n      </trkseg>`
+    ).join('\n');
+    return `    <trk>
+      <name>${xmlEscape(`Route ${i + 1}${p.parcel_id !== undefined ? ` (parcel ${p.parcel_id})` : ''}`)}</name>
+      ${desc ? `<desc>${xmlEscape(desc)}</desc>` : ''}
+${segments}
+    </trk>`;
+  }).join('\n');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Green Accessibility 3D" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata><name>${xmlEscape(name)}</name></metadata>
+${tracks}
+</gpx>
+`;
+}
+
+// Current frame of the map canvas. Without preserveDrawingBuffer the canvas is only
+// readable during a render, so grab it from the next one.
+function captureMapCanvas(map) {
+  return new Promise(resolve => {
+    map.once('render', () => {
+      const source = map.getCanvas();
+      const canvas = document.createElement('canvas');
+      canvas.width = source.width;
+      canvas.height = source.height;
+      canvas.getContext('2d').drawImage(source, 0, 0);
+      resolve(canvas);
+    });
+    map.triggerRepaint();
+  });
+}
+
+// Colour ramp as a gradient bar or swatches, in the bottom right corner
+function drawLegend(ctx, width, height, scale, { label, expression, format }) {
+  const ramp = colorRampOf(expression);
+  if (!ramp) return;
+  const pad = 12 * scale;
+  const boxWidth = 220 * scale;
+  const rows = ramp.type === 'categories' ? ramp.categories.length : 2;
+  const boxHeight = (ramp.type === 'categories' ? 30 + rows * 16 : 58) * scale;
+  const x = width - boxWidth - pad;
+  const y = height - boxHeight - pad;
+
+  ctx.fillStyle = 'rgba(30, 31, 33, 0.9)';
+  ctx.fillRect(x, y, boxWidth, boxHeight);
+  ctx.fillStyle = '#ffffff';
+  ctx.font = `${12 * scale}px sans-serif`;
+  ctx.textBaseline = 'top';
+  ctx.fillText(label, x + pad, y + 8 * scale);
+
+  ctx.font = `${10 * scale}px sans-serif`;
+  if (ramp.type === 'categories') {
+    ramp.categories.forEach(([value, color], i) => {
+      const rowY = y + (28 + i * 16) * scale;
+      ctx.fillStyle = color;
+      ctx.fillRect(x + pad, rowY, 12 * scale, 12 * scale);
+      ctx.fillStyle = '#d1d5db';
+      ctx.fillText(format(value), x + pad + 18 * scale, rowY);
+    });
+    return;
+  }
+  const barX = x + pad;
+  const barY = y + 28 * scale;
+  const barWidth = boxWidth - 2 * pad;
+  const min = ramp.stops[0][0];
+  const span = (ramp.stops[ramp.stops.length - 1][0] - min) || 1;
+  const gradient = ctx.createLinearGradient(barX, 0, barX + barWidth, 0);
+  ramp.stops.forEach(([value, color]) => gradient.addColorStop((value - min) / span, color));
+  ctx.fillStyle = gradient;
+  ctx.fillRect(barX, barY, barWidth, 12 * scale);
+  ctx.fillStyle = '#d1d5db';
+  ctx.textAlign = 'left';
+  ctx.fillText(format(ramp.stops[0][0]), barX, barY + 16 * scale);
+  ctx.textAlign = 'right';
+  ctx.fillText(format(ramp.stops[ramp.stops.length - 1][0]), barX + barWidth, barY + 16 * scale);
+  ctx.textAlign = 'left';
+}
+
+// PNG of the map with a title bar (title and subtitle) and the colour legend
+// legend: { label, expression, format } as for ParcelLegend
+export async function snapshotMap(map, { title, subtitle, legend }) {
+  const canvas = await captureMapCanvas(map);
+  const ctx = canvas.getContext('2d');
+  const scale = canvas.width / map.getCanvas().clientWidth;
+  const pad = 12 * scale;
+
+  ctx.fillStyle = 'rgba(30, 31, 33, 0.9)';
+  ctx.fillRect(pad, pad, Math.min(canvas.width - 2 * pad, 360 * scale), 48 * scale);
+  ctx.fillStyle = '#ffffff';
+  ctx.textBaseline = 'top';
+  ctx.font = `${16 * scale}px sans-serif`;
+  ctx.fillText(title, 2 * pad, pad + 8 * scale);
+  ctx.fillStyle = '#d1d5db';
+  ctx.font = `${11 * scale}px sans-serif`;
+  ctx.fillText(subtitle, 2 * pad, pad + 30 * scale);
+
+  if (legend) drawLegend(ctx, canvas.width, canvas.height, scale, legend);
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode PNG'))), 'image/png');
+  });
+}
+
+// Recording formats, preferred first
+const RECORDING_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+// Whether the browser can record a canvas to WebM (captureStream and MediaRecorder)
+export function canRecordMap() {
+  return typeof MediaRecorder !== 'undefined' &&
+    typeof HTMLCanvasElement.prototype.captureStream === 'function' &&
+    RECORDING_TYPES.some(type => MediaRecorder.isTypeSupported(type));
+}
+
+// Start recording the map canvas; stop() resolves to the WebM video
+export function recordMap(map, { fps = 30 } = {}) {
+  const stream = map.getCanvas().captureStream(fps);
+  const recorder = new MediaRecorder(stream, { mimeType: RECORDING_TYPES.find(type => MediaRecorder.isTypeSupported(type)) });
+  const chunks = [];
+  recorder.ondataavailable = (e) => {
+    if (e.data.size) chunks.push(e.data);
+  };
+  recorder.start();
+  return {
+    stop: () => new Promise((resolve, reject) => {
+      recorder.onstop = () => {
+        stream.getTracks().forEach(track => track.stop());
+        resolve(new Blob(chunks, { type: 'video/webm' }));
+      };
+      recorder.onerror = (e) => reject(e.error);
+      recorder.stop();
+    })
+  };
+}
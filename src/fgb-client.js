@@ -0,0 +1,84 @@
+// Main-thread side of the FlatGeobuf decoding worker
+// load() resolves to a ready-to-use FeatureCollection (plus a walk time histogram when
+// requested); onBatch receives features as they arrive for progressive rendering.
+
+export class FgbDecoder {
+  constructor() {
+    this._worker = new Worker(new URL('./fgb-worker.js', import.meta.url), { type: 'module' });
+    this._requests = new Map();
+    this._nextId = 1;
+    this._worker.onmessage = ({ data }) => this._onMessage(data);
+    // Requests the worker can no longer answer are failed rather than left pending
+    this._worker.onerror = (event) => {
+      console.error('[FgbDecoder] Worker error:', event.message);
+      this._failAll(new Error(event.message || 'FlatGeobuf worker failed'));
+    };
+    this._worker.onmessageerror = () => {
+      this._failAll(new Error('FlatGeobuf worker sent a message that could not be read'));
+    };
+  }
+
+  // input: URL of a .fgb file, or its bytes (Uint8Array, transferred to the worker)
+  // options: { rect, stats, onBatch, signal }
+  load(input, { rect = null, stats = false, onBatch = null, signal = null } = {}) {
+    if (signal?.aborted) {
+      return Promise.reject(new DOMException('Load aborted', 'AbortError'));
+    }
+
+    const id = this._nextId++;
+    return new Promise((resolve, reject) => {
+      const request = { features: [], onBatch, resolve, reject };
+      this._requests.set(id, request);
+
+      if (signal) {
+        request.onAbort = () => {
+          this._worker.postMessage({ id, type: 'abort' });
+          this._requests.delete(id);
+          reject(new DOMException('Load aborted', 'AbortError'));
+        };
+        signal.addEventListener('abort', request.onAbort, { once: true });
+        request.signal = signal;
+      }
+
+      const transfer = input instanceof Uint8Array ? [input.buffer] : [];
+      this._worker.postMessage({ id, type: 'load', input, rect, stats }, transfer);
+    });
+  }
+
+  terminate() {
+    this._requests.forEach(request => request.onAbort?.());
+    this._worker.terminate();
+  }
+
+  _failAll(error) {
+    this._requests.forEach(request => {
+      request.signal?.removeEventListener('abort', request.onAbort);
+      request.reject(error);
+    });
+    this._requests.clear();
+  }
+
+  _onMessage({ id, type, features, stats, name, message }) {
+    const request = this._requests.get(id);
+    if (!request) return;  // Aborted
+
+    if (type === 'batch') {
+      request.features.push(...features);
+      request.onBatch?.(features);
+      return;
+    }
+
+    this._requests.delete(id);
+    request.signal?.removeEventListener('abort', request.onAbort);
+    if (type === 'done') {
+      request.resolve({
+        collection: { type: 'FeatureCollection', features: request.features },
+        stats
+      });
+    } else {
+      const error = new Error(message);
+      error.name = name;
+      request.reject(error);
+    }
+  }
+}
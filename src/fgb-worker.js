@@ -0,0 +1,105 @@
+// FlatGeobuf decoding worker
+// Streams and decodes FlatGeobuf files (whole file, bbox query or in-memory bytes) off the
+// main thread and posts features back in batches, optionally with a walk time histogram.
+//
+// In:  { id, type: 'load', input: url | Uint8Array, rect, stats }
+//      { id, type: 'abort' }
+// Out: { id, type: 'batch', features }  (polygons get parcel_area_m2 if missing)
+//      { id, type: 'done', stats }
+//      { id, type: 'error', message, name }
+
+import { createWalkTimeHistogram, addToHistogram } from './stats.js';
+import { polygonAreaM2 } from './geometry.js';
+
+// FlatGeobuf from the vendored bundle, so decoding works offline
+const flatgeobufReady = import('../vendor/flatgeobuf/flatgeobuf.js');
+
+const BATCH_SIZE = 2000;
+const BATCH_INTERVAL_MS = 250;
+
+const controllers = new Map();
+
+// flatgeobuf's HTTP reader takes no abort signal: each bbox query reads its file through
+// a URL tagged with the request id (the fragment is not sent), and the range requests
+// made for that URL get the request's signal here
+const rangeSignals = new Map();  // tagged URL -> signal
+const fetchWithoutSignal = self.fetch.bind(self);
+self.fetch = (input, init = {}) => {
+  const signal = rangeSignals.get(String(input));
+  return fetchWithoutSignal(input, signal ? { ...init, signal } : init);
+};
+
+// Parcel area for the density metric, unless the dataset already has it
+function addParcelArea(feature) {
+  const type = feature.geometry?.type;
+  if (type !== 'Polygon' && type !== 'MultiPolygon') return;
+  feature.properties = feature.properties || {};
+  if (feature.properties.parcel_area_m2 === undefined) {
+    feature.properties.parcel_area_m2 = Math.round(polygonAreaM2(feature.geometry));
+  }
+}
+
+async function load({ id, input, rect, stats }) {
+  const controller = new AbortController();
+  controllers.set(id, controller);
+  const { signal } = controller;
+  const histogram = stats ? createWalkTimeHistogram() : null;
+
+  let batch = [];
+  let lastPost = performance.now();
+  const flush = () => {
+    if (batch.length) postMessage({ id, type: 'batch', features: batch });
+    batch = [];
+    lastPost = performance.now();
+  };
+
+  let taggedUrl = null;
+  try {
+    // A failed import of FlatGeobuf fails the request like a failed fetch
+    const { deserialize } = (await flatgeobufReady).geojson;
+    let iter;
+    if (input instanceof Uint8Array) {
+      // In-memory bytes decode synchronously to a FeatureCollection
+      iter = deserialize(input).features;
+    } else if (rect) {
+      // Bbox query through the spatial index (HTTP range requests, cancelled on abort)
+      const url = new URL(input, self.location.href);
+      url.hash = `fgb-request-${id}`;
+      taggedUrl = url.href;
+      rangeSignals.set(taggedUrl, signal);
+      iter = deserialize(taggedUrl, rect);
+    } else {
+      const response = await fetch(input, { signal });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      iter = deserialize(response.body, null);
+    }
+
+    for await (const feature of iter) {
+      // Stop reading (and issuing range requests) once cancelled
+      if (signal.aborted) throw new DOMException('Load aborted', 'AbortError');
+      if (histogram) addToHistogram(histogram, feature.properties);
+      addParcelArea(feature);
+      batch.push(feature);
+      if (batch.length >= BATCH_SIZE || performance.now() - lastPost > BATCH_INTERVAL_MS) {
+        flush();
+      }
+    }
+    flush();
+    postMessage({ id, type: 'done', stats: histogram });
+  } catch (error) {
+    postMessage({ id, type: 'error', name: error.name, message: error.message });
+  } finally {
+    controllers.delete(id);
+    if (taggedUrl) rangeSignals.delete(taggedUrl);
+  }
+}
+
+self.onmessage = ({ data }) => {
+  if (data.type === 'load') {
+    load(data);
+  } else if (data.type === 'abort') {
+    controllers.get(data.id)?.abort();
+  }
+};
@@ -0,0 +1,358 @@
+// Search control with pluggable providers
+// A provider is { label, minLength, search(query, signal) } resolving to results
+// { kind: 'parcel' | 'park' | 'structure' | 'place', label, detail, center, bbox?, feature?, id? }.
+// The local provider searches the loaded city data; Nominatim is optional.
+
+import { geometryBbox, bboxCenter } from './geometry.js';
+import { t, formatArea, formatNumber } from './i18n.js';
+
+const DEBOUNCE_MS = 300;
+const MAX_RESULTS = 5;
+
+// Lower case without accents, for matching
+function normalize(text) {
+  return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+// Cadastral references and ids compared without spaces, upper case
+function normalizeRef(text) {
+  return String(text).replace(/\s+/g, '').toUpperCase();
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Fuzzy name score (lower is better), or null when the name does not match.
+// A substring match wins; otherwise every query word must start a word of the name
+// with at most one typo per four letters.
+export function fuzzyScore(name, query) {
+  const n = normalize(name);
+  const q = normalize(query);
+  if (!q) return null;
+  const at = n.indexOf(q);
+  if (at !== -1) return at / 1000;
+
+  const words = n.split(/[^a-z0-9]+/).filter(Boolean);
+  let total = 0;
+  for (const token of q.split(/\s+/)) {
+    const allowed = Math.max(1, Math.floor(token.length / 4));
+    let best = Infinity;
+    for (const word of words) {
+      best = Math.min(best, editDistance(token, word.slice(0, token.length)));
+    }
+    if (best > allowed) return null;
+    total += best;
+  }
+  return 1 + total;
+}
+
+// First index in a sorted [key, ...] array whose key is >= prefix
+function lowerBound(sorted, prefix) {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (sorted[mid][0] < prefix) lo = mid + 1; else hi = mid;
+  }
+  return lo;
+}
+
+// Parcels by cadastral reference / parcel_id prefix, parks and structures by name
+export class LocalSearchProvider {
+  // getParcels(), getGreenAreas() return features; getStructures() the catchment structure index
+  constructor({ getParcels, getGreenAreas, getStructures }) {
+    this.label = t('search.cityData');
+    this.minLength = 2;
+    this._getParcels = getParcels;
+    this._getGreenAreas = getGreenAreas;
+    this._getStructures = getStructures;
+    this.invalidate();
+  }
+
+  // Call when the city changes; parcels are re-indexed as more of them load
+  invalidate() {
+    this._parcelIndex = null;
+    this._parcelCount = -1;
+  }
+
+  _parcels() {
+    const parcels = this._getParcels();
+    if (!this._parcelIndex || parcels.length !== this._parcelCount) {
+      const index = [];
+      for (const feature of parcels) {
+        const p = feature.properties || {};
+        if (p.cadastral_parcel) index.push([normalizeRef(p.cadastral_parcel), feature]);
+        if (p.parcel_id !== undefined && p.parcel_id !== null) index.push([normalizeRef(p.parcel_id), feature]);
+      }
+      index.sort((a, b) => (a[0] < b[0] ? -1 : (a[0] > b[0] ? 1 : 0)));
+      this._parcelIndex = index;
+      this._parcelCount = parcels.length;
+    }
+    return this._parcelIndex;
+  }
+
+  async search(query) {
+    const results = [];
+
+    // Prefix match on cadastral references and parcel ids
+    const prefix = normalizeRef(query);
+    const index = this._parcels();
+    const seen = new Set();
+    for (let i = lowerBound(index, prefix); i < index.length && index[i][0].startsWith(prefix); i++) {
+      const feature = index[i][1];
+      if (seen.has(feature)) continue;
+      seen.add(feature);
+      const p = feature.properties;
+      const bbox = geometryBbox(feature.geometry);
+      results.push({
+        kind: 'parcel',
+        label: t('tooltip.parcel', { ref: p.cadastral_parcel || p.parcel_id }),
+        detail: p.walk_time !== undefined ? t('search.minWalk', { min: p.walk_time }) : '',
+        center: bboxCenter(bbox),
+        bbox,
+        feature
+      });
+      if (seen.size >= MAX_RESULTS) break;
+    }
+
+    // Fuzzy match on park names
+    const parks = [];
+    for (const feature of this._getGreenAreas()) {
+      const name = feature.properties?.green_area_name;
+      if (!name) continue;
+      const score = fuzzyScore(name, query);
+      if (score !== null) parks.push({ score, feature });
+    }
+    parks.sort((a, b) => a.score - b.score);
+    parks.slice(0, MAX_RESULTS).forEach(({ feature }) => {
+      const p = feature.properties;
+      const bbox = geometryBbox(feature.geometry);
+      results.push({
+        kind: 'park',
+        label: p.green_area_name,
+        detail: p.green_area_m2 ? formatArea(Number(p.green_area_m2)) : '',
+        center: bboxCenter(bbox),
+        bbox,
+        feature,
+        id: p.green_structure_id ?? p.green_structucture_id  // Structure the park belongs to
+      });
+    });
+
+    // Structures by id, named after their largest park
+    const structures = this._getStructures();
+    for (const structure of structures?.values() || []) {
+      if (!normalizeRef(structure.id).startsWith(prefix)) continue;
+      const largest = [...structure.parks].sort((a, b) => b.m2 - a.m2)[0];
+      results.push({
+        kind: 'structure',
+        label: t('catchment.structure', { id: structure.id }),
+        detail: largest?.name || `${formatNumber(structure.hectares, 1)} ha`,
+        center: bboxCenter(structure.bbox),
+        bbox: structure.bbox,
+        id: structure.id
+      });
+      if (results.filter(r => r.kind === 'structure').length >= MAX_RESULTS) break;
+    }
+    return results;
+  }
+}
+
+// Nominatim (or a compatible service at another endpoint), bounded to the city
+export class NominatimProvider {
+  constructor({ endpoint, suffix, viewbox }) {
+    this.label = t('search.addresses');
+    this.minLength = 3;
+    this._endpoint = endpoint;
+    this._suffix = suffix;
+    this._viewbox = viewbox;
+  }
+
+  async search(query, signal) {
+    const q = this._suffix ? `${query} ${this._suffix}` : query;
+    const bounded = this._viewbox ? `&bounded=1&viewbox=${this._viewbox.join(',')}` : '';
+    const separator = this._endpoint.includes('?') ? '&' : '?';
+    const response = await fetch(
+      `${this._endpoint}${separator}format=json&q=${encodeURIComponent(q)}&limit=${MAX_RESULTS}${bounded}`,
+      { signal }
+    );
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    const data = await response.json();
+    return data.map(item => ({
+      kind: 'place',
+      label: item.display_name,
+      detail: '',
+      center: [parseFloat(item.lon), parseFloat(item.lat)]
+    }));
+  }
+}
+
+export class GeocoderControl {
+  // onSelect(result) runs when a result is picked
+  constructor({ providers, onSelect }) {
+    this._providers = providers;
+    this._onSelect = onSelect;
+    this._active = -1;  // index of the highlighted result
+  }
+
+  setProviders(providers) {
+    this._providers = providers;
+  }
+
+  onAdd(map) {
+    this._map = map;
+    this._container = document.createElement('div');
+    this._container.className = 'maplibregl-ctrl maplibregl-ctrl-group geocoder-control';
+    this._container.innerHTML = `
+      <div class="geocoder-wrapper">
+        <input type="text" class="geocoder-input" placeholder="${t('search.placeholder')}" aria-label="${t('search.placeholder')}"
+          role="combobox" aria-autocomplete="list" aria-expanded="false" aria-controls="geocoder-results" />
+        <div class="geocoder-results" id="geocoder-results" role="listbox" aria-label="${t('search.placeholder')}"></div>
+      </div>
+    `;
+
+    const input = this._container.querySelector('.geocoder-input');
+    this._input = input;
+    this._results = this._container.querySelector('.geocoder-results');
+
+    let debounceTimer;
+    input.addEventListener('input', (e) => {
+      clearTimeout(debounceTimer);
+      const query = e.target.value.trim();
+      if (query.length < Math.min(...this._providers.map(p => p.minLength))) {
+        this._abort?.abort();
+        this._hideResults();
+        return;
+      }
+      debounceTimer = setTimeout(() => this._search(query), DEBOUNCE_MS);
+    });
+
+    // Arrow keys move through the results, Enter picks the active one (or the first) and
+    // Escape closes the list
+    input.addEventListener('keydown', (e) => {
+      const count = this._current?.length;
+      if (!count) return;
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        this._setActive(this._active === -1 ? (step > 0 ? 0 : count - 1) : (this._active + step + count) % count);
+      } else if (e.key === 'Enter') {
+        e.preventDefault();
+        this._select(this._current[Math.max(this._active, 0)]);
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        this._hideResults();
+      }
+    });
+
+    // Close results when clicking outside (the path also reaches into a viewer's shadow root)
+    this._onDocumentClick = (e) => {
+      if (!e.composedPath().includes(this._container)) this._hideResults();
+    };
+    document.addEventListener('click', this._onDocumentClick);
+
+    return this._container;
+  }
+
+  onRemove() {
+    document.removeEventListener('click', this._onDocumentClick);
+    this._container.parentNode.removeChild(this._container);
+    this._map = undefined;
+  }
+
+  // Query every provider; a failing provider only loses its own results
+  async _search(query) {
+    this._abort?.abort();
+    this._abort = new AbortController();
+    const { signal } = this._abort;
+
+    const groups = await Promise.all(this._providers
+      .filter(provider => query.length >= provider.minLength)
+      .map(async provider => {
+        try {
+          return { provider, results: await provider.search(query, signal) };
+        } catch (error) {
+          if (error.name !== 'AbortError') console.error(`${provider.label} search error:`, error);
+          return { provider, results: [], error };
+        }
+      }));
+    if (signal.aborted) return;
+
+    this._current = groups.flatMap(g => g.results);
+    const results = this._results;
+    if (!this._current.length) {
+      const failed = groups.some(g => g.error);
+      results.innerHTML = `<div class="geocoder-result" role="status">${failed ? t('search.error') : t('search.noResults')}</div>`;
+      this._showResults();
+      return;
+    }
+
+    // Options grouped by provider; the input points at the active one (aria-activedescendant)
+    let index = 0;
+    results.innerHTML = groups.filter(g => g.results.length).map(g => `
+      <div role="group" aria-label="${g.provider.label}">
+        <div class="geocoder-group" aria-hidden="true">${g.provider.label}</div>
+        ${g.results.map(r => `
+          <div class="geocoder-result" id="geocoder-option-${index}" role="option" aria-selected="false" data-index="${index++}">${r.detail ? '<span class="geocoder-detail"></span>' : ''}</div>`).join('')}
+      </div>
+    `).join('');
+    this._showResults();
+
+    // Labels and details come from the search endpoint or the loaded data
+    results.querySelectorAll('.geocoder-result[data-index]').forEach(el => {
+      const result = this._current[Number(el.dataset.index)];
+      el.prepend(result.label);
+      if (result.detail) el.querySelector('.geocoder-detail').textContent = result.detail;
+      el.addEventListener('click', () => this._select(result));
+    });
+  }
+
+  _select(result) {
+    this._input.value = result.label;
+    this._hideResults();
+    this._onSelect(result);
+  }
+
+  _showResults() {
+    this._active = -1;
+    this._input.removeAttribute('aria-activedescendant');
+    this._input.setAttribute('aria-expanded', 'true');
+    this._results.style.display = 'block';
+  }
+
+  _hideResults() {
+    this._current = null;
+    this._active = -1;
+    this._input.removeAttribute('aria-activedescendant');
+    this._input.setAttribute('aria-expanded', 'false');
+    this._results.innerHTML = '';
+    this._results.style.display = 'none';
+  }
+
+  // Highlight an option and announce it through the input (focus stays in the input)
+  _setActive(index) {
+    this._active = index;
+    this._results.querySelectorAll('.geocoder-result[data-index]').forEach(el => {
+      const active = Number(el.dataset.index) === index;
+      el.classList.toggle('active', active);
+      el.setAttribute('aria-selected', String(active));
+      if (!active) return;
+      this._input.setAttribute('aria-activedescendant', el.id);
+      el.scrollIntoView({ block: 'nearest' });
+    });
+  }
+}
@@ -0,0 +1,184 @@
+// Geometry helpers for GeoJSON in lon/lat
+
+// Bounding box of any GeoJSON geometry as { minX, minY, maxX, maxY }
+export function geometryBbox(geometry) {
+  const bbox = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+  const visit = (coords) => {
+    if (typeof coords[0] === 'number') {
+      bbox.minX = Math.min(bbox.minX, coords[0]);
+      bbox.minY = Math.min(bbox.minY, coords[1]);
+      bbox.maxX = Math.max(bbox.maxX, coords[0]);
+      bbox.maxY = Math.max(bbox.maxY, coords[1]);
+      return;
+    }
+    coords.forEach(visit);
+  };
+  if (geometry?.coordinates) visit(geometry.coordinates);
+  return bbox;
+}
+
+// Whether two { minX, minY, maxX, maxY } boxes overlap
+export function bboxesIntersect(a, b) {
+  return a.minX <= b.maxX && a.maxX >= b.minX && a.minY <= b.maxY && a.maxY >= b.minY;
+}
+
+// maplibregl.LngLatBounds as a { minX, minY, maxX, maxY } box
+export function boundsToBbox(bounds) {
+  return {
+    minX: bounds.getWest(),
+    minY: bounds.getSouth(),
+    maxX: bounds.getEast(),
+    maxY: bounds.getNorth()
+  };
+}
+
+// Polygon rings of a Polygon or MultiPolygon, as a list of polygons (each a list of rings)
+function polygonsOf(geometry) {
+  if (geometry?.type === 'Polygon') return [geometry.coordinates];
+  if (geometry?.type === 'MultiPolygon') return geometry.coordinates;
+  return [];
+}
+
+function pointInRing([x, y], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Whether a [lon, lat] point lies inside a Polygon or MultiPolygon (holes excluded)
+export function pointInPolygon(point, geometry) {
+  return polygonsOf(geometry).some(([outer, ...holes]) =>
+    pointInRing(point, outer) && !holes.some(hole => pointInRing(point, hole))
+  );
+}
+
+// Local equirectangular projection to metres around a reference latitude
+function toMetres([lon, lat], refLat) {
+  const k = 111320;
+  return [lon * k * Math.cos(refLat * Math.PI / 180), lat * k];
+}
+
+function distanceToSegment(p, a, b) {
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  const len2 = dx * dx + dy * dy;
+  const t = len2 ? Math.max(0, Math.min(1, ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / len2)) : 0;
+  return Math.hypot(p[0] - (a[0] + t * dx), p[1] - (a[1] + t * dy));
+}
+
+// Distance in metres from a [lon, lat] point to the boundary of a Polygon or MultiPolygon
+export function distanceToPolygonBoundary(point, geometry) {
+  const refLat = point[1];
+  const p = toMetres(point, refLat);
+  let min = Infinity;
+  for (const polygon of polygonsOf(geometry)) {
+    for (const ring of polygon) {
+      for (let i = 1; i < ring.length; i++) {
+        min = Math.min(min, distanceToSegment(p, toMetres(ring[i - 1], refLat), toMetres(ring[i], refLat)));
+      }
+    }
+  }
+  return min;
+}
+
+// Distance in metres between two [lon, lat] points (haversine)
+export function distanceMetres([lon1, lat1], [lon2, lat2]) {
+  const rad = Math.PI / 180;
+  const dLat = (lat2 - lat1) * rad;
+  const dLon = (lon2 - lon1) * rad;
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371008.8 * Math.asin(Math.sqrt(a));
+}
+
+// First and last coordinate of a LineString or MultiLineString
+export function lineEndpoints(geometry) {
+  if (geometry?.type === 'LineString') {
+    const c = geometry.coordinates;
+    return c.length >= 2 ? [c[0], c[c.length - 1]] : null;
+  }
+  if (geometry?.type === 'MultiLineString') {
+    const lines = geometry.coordinates.filter(line => line.length);
+    if (!lines.length) return null;
+    const last = lines[lines.length - 1];
+    return [lines[0][0], last[last.length - 1]];
+  }
+  return null;
+}
+
+// Centre of a geometry's bounding box, a cheap stand-in for the centroid of small parcels
+export function bboxCenter(bbox) {
+  return [(bbox.minX + bbox.maxX) / 2, (bbox.minY + bbox.maxY) / 2];
+}
+
+// Distance in metres from a point to a bbox (0 inside), a lower bound for polygon distance
+export function distanceToBbox([lon, lat], bbox) {
+  const dx = Math.max(bbox.minX - lon, 0, lon - bbox.maxX) * 111320 * Math.cos(lat * Math.PI / 180);
+  const dy = Math.max(bbox.minY - lat, 0, lat - bbox.maxY) * 111320;
+  return Math.hypot(dx, dy);
+}
+
+// Distance in metres from a point to a Polygon or MultiPolygon (0 inside)
+export function distanceToPolygon(point, geometry) {
+  return pointInPolygon(point, geometry) ? 0 : distanceToPolygonBoundary(point, geometry);
+}
+
+// Area in m² of a Polygon or MultiPolygon (holes subtracted)
+export function polygonAreaM2(geometry) {
+  const ringArea = (ring) => {
+    const refLat = ring[0]?.[1] ?? 0;
+    let sum = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [x1, y1] = toMetres(ring[j], refLat);
+      const [x2, y2] = toMetres(ring[i], refLat);
+      sum += x1 * y2 - x2 * y1;
+    }
+    return Math.abs(sum) / 2;
+  };
+  return polygonsOf(geometry).reduce((total, [outer, ...holes]) =>
+    total + ringArea(outer) - holes.reduce((h, ring) => h + ringArea(ring), 0), 0);
+}
+
+const TURN_ANGLE_DEG = 30;  // heading change counted as a turn
+const MIN_TURN_SEGMENT_M = 3;  // shorter segments never start a turn (digitising noise)
+
+// Heading in degrees (0 = north, clockwise) from one [lon, lat] point to another
+function heading([lon1, lat1], [lon2, lat2]) {
+  const dx = (lon2 - lon1) * Math.cos(((lat1 + lat2) / 2) * Math.PI / 180);
+  return Math.atan2(dx, lat2 - lat1) * 180 / Math.PI;
+}
+
+// Profile of a route: its length, the straight legs between turns (in metres) and the
+// number of turns. MultiLineString parts are walked in order as one line.
+export function routeProfile(geometry) {
+  const coords = geometry?.type === 'MultiLineString' ? geometry.coordinates.flat()
+    : (geometry?.type === 'LineString' ? geometry.coordinates : []);
+  const legs = [];
+  let leg = 0;
+  let legHeading = null;
+  for (let i = 1; i < coords.length; i++) {
+    const length = distanceMetres(coords[i - 1], coords[i]);
+    if (length === 0) continue;
+    if (length >= MIN_TURN_SEGMENT_M) {
+      const h = heading(coords[i - 1], coords[i]);
+      const change = legHeading === null ? 0 : Math.abs(((h - legHeading + 540) % 360) - 180);
+      if (change > TURN_ANGLE_DEG) {
+        legs.push(leg);
+        leg = 0;
+      }
+      legHeading = h;
+    }
+    leg += length;
+  }
+  if (leg > 0) legs.push(leg);
+  return {
+    length: legs.reduce((sum, l) => sum + l, 0),
+    legs,
+    turns: Math.max(0, legs.length - 1)
+  };
+}
@@ -0,0 +1,70 @@
+// <green-access-map> element
+// Embeds a viewer (viewer.js) in any page. Attributes are read when the element is
+// connected: city (id from cities.json), data-root (folder with cities.json), standalone
+// (the viewer owns the page, as in index.html) and service-worker (URL of sw.js).
+// The methods resolve once the map has loaded; parcelselect, thresholdchange and
+// routeload are dispatched on the element.
+//
+//   <script type="module" src="src/green-access-map.js"></script>
+//   <green-access-map city="barcelona" data-root="/data"></green-access-map>
+
+import { createViewer } from './viewer.js';
+
+export class GreenAccessMap extends HTMLElement {
+  constructor() {
+    super();
+    // Resolves with the viewer's methods (see createViewer); null while disconnected
+    this.ready = null;
+  }
+
+  connectedCallback() {
+    if (this.ready) return;
+    this.ready = createViewer(this, {
+      city: this.getAttribute('city'),
+      dataRoot: this.getAttribute('data-root') || undefined,
+      standalone: this.hasAttribute('standalone'),
+      serviceWorker: this.getAttribute('service-worker')
+    });
+    this.ready.catch(error => console.error('[green-access-map] Viewer not loaded:', error));
+  }
+
+  // Moving the element in the page reconnects it; the viewer is only removed once the
+  // element stays out of the document
+  disconnectedCallback() {
+    const ready = this.ready;
+    queueMicrotask(async () => {
+      if (this.isConnected || this.ready !== ready) return;
+      this.ready = null;
+      (await ready.catch(() => null))?.destroy();
+    });
+  }
+
+  async _viewer() {
+    if (!this.ready) throw new Error('green-access-map is not in the document');
+    return this.ready;
+  }
+
+  // Walk time threshold in minutes; resolves with the value applied (within the slider range)
+  async setThreshold(minutes) {
+    return (await this._viewer()).setThreshold(minutes);
+  }
+
+  // Select a parcel by parcel_id and fly to it; resolves false when it is not loaded
+  async selectParcel(parcelId) {
+    return (await this._viewer()).selectParcel(parcelId);
+  }
+
+  // Fly to a park by green_area_id or name; resolves with its name, or null
+  async flyToPark(park) {
+    return (await this._viewer()).flyToPark(park);
+  }
+
+  // Metric of the parcels' colour or height ('color' or 'height')
+  async setMetric(metricId, channel = 'color') {
+    return (await this._viewer()).setMetric(metricId, channel);
+  }
+}
+
+if (!customElements.get('green-access-map')) {
+  customElements.define('green-access-map', GreenAccessMap);
+}
@@ -0,0 +1,99 @@
+// Localisation
+// Catalan, Spanish and English messages (src/messages.js) and locale-aware number
+// formatting. The language comes from ?lang=, then the browser's preferred languages,
+// then English; it is fixed for the page, so picking another one reloads the page with
+// the new ?lang= (the view itself is kept in the URL hash).
+
+import { MESSAGES } from './messages.js';
+
+export const LANGUAGES = [
+  { id: 'ca', label: 'Català', locale: 'ca-ES' },
+  { id: 'es', label: 'Español', locale: 'es-ES' },
+  { id: 'en', label: 'English', locale: 'en-GB' }
+];
+const DEFAULT_LANGUAGE = 'en';
+
+function isSupported(id) {
+  return LANGUAGES.some(l => l.id === id);
+}
+
+// ?lang=, else the first supported browser language ('ca-ES' -> 'ca'), else English
+function detectLanguage() {
+  const requested = new URLSearchParams(window.location.search).get('lang');
+  if (isSupported(requested)) return requested;
+  const preferred = navigator.languages?.length ? navigator.languages : [navigator.language];
+  for (const tag of preferred) {
+    const id = String(tag || '').toLowerCase().split('-')[0];
+    if (isSupported(id)) return id;
+  }
+  return DEFAULT_LANGUAGE;
+}
+
+export const language = detectLanguage();
+const locale = LANGUAGES.find(l => l.id === language).locale;
+const plurals = new Intl.PluralRules(locale);
+const numberFormats = new Map();
+
+// Message for key with {name} placeholders filled from params. With params.count the
+// plural form key.one / key.other (per the language's plural rules) is used. Missing
+// messages fall back to English, then to the key itself.
+export function t(key, params = {}) {
+  let id = key;
+  if (typeof params.count === 'number') {
+    const form = `${key}.${plurals.select(params.count)}`;
+    id = MESSAGES[language][form] !== undefined || MESSAGES.en[form] !== undefined ? form : `${key}.other`;
+  }
+  const message = MESSAGES[language][id] ?? MESSAGES.en[id] ?? key;
+  return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : params[name]));
+}
+
+function numberFormat(options) {
+  const key = JSON.stringify(options);
+  if (!numberFormats.has(key)) numberFormats.set(key, new Intl.NumberFormat(locale, options));
+  return numberFormats.get(key);
+}
+
+export function formatNumber(value, maximumFractionDigits = 0) {
+  return numberFormat({ maximumFractionDigits }).format(value);
+}
+
+// Residents (whole people)
+export function formatPopulation(value) {
+  return formatNumber(Math.round(value));
+}
+
+export function formatArea(m2, digits = 0) {
+  return `${formatNumber(m2, digits)} m²`;
+}
+
+export function formatDistance(metres) {
+  return `${formatNumber(Math.round(metres))} m`;
+}
+
+// share: 0..1, with one decimal ('12.5%', '12,5 %')
+export function formatPercent(share) {
+  return numberFormat({ style: 'percent', minimumFractionDigits: 1, maximumFractionDigits: 1 }).format(share);
+}
+
+// Reload the page in another language
+export function setLanguage(id) {
+  if (!isSupported(id) || id === language) return;
+  const url = new URL(window.location.href);
+  url.searchParams.set('lang', id);
+  window.location.assign(url);
+}
+
+// Translate static markup: data-i18n sets the text, data-i18n-label the aria-label and
+// data-i18n-title the title of an element. root: the document or a viewer's shadow root
+export function localizeDocument(root = document) {
+  (root === document ? document.documentElement : root.host).lang = language;
+  root.querySelectorAll('[data-i18n]').forEach(el => {
+    el.textContent = t(el.dataset.i18n);
+  });
+  root.querySelectorAll('[data-i18n-label]').forEach(el => {
+    el.setAttribute('aria-label', t(el.dataset.i18nLabel));
+  });
+  root.querySelectorAll('[data-i18n-title]').forEach(el => {
+    el.title = t(el.dataset.i18nTitle);
+  });
+}
@@ -0,0 +1,104 @@
+// Isochrone panel
+// Park the isochrones are drawn around, the minute bands, where the walk times come
+// from (the precomputed parcel data or the pedestrian network) and the residents
+// within each band.
+
+import { DEFAULT_BANDS, BAND_COLORS, parseBands } from './isochrones.js';
+import { t, formatNumber, formatPopulation } from './i18n.js';
+
+export class IsochronePanel {
+  // onChange() runs when the bands or the source change; onClose() on close
+  constructor(container, { onChange, onClose }) {
+    this._container = container;
+    this.bands = DEFAULT_BANDS;
+    this.source = 'parcels';
+
+    this._container.style.display = 'none';
+    this._container.innerHTML = `
+      <div class="catchment-header">
+        <div class="legend-title">${t('isochrones.title')}</div>
+        <button type="button" class="catchment-close" aria-label="${t('common.close')}">×</button>
+      </div>
+      <div class="catchment-row isochrone-park"></div>
+      <label class="layer-select">${t('isochrones.bands')}
+        <input type="text" class="isochrone-bands" value="${DEFAULT_BANDS.join(', ')}" inputmode="numeric" />
+      </label>
+      <label class="layer-select">${t('isochrones.source')}
+        <select class="isochrone-source">
+          <option value="parcels">${t('isochrones.source.parcels')}</option>
+          <option value="network">${t('isochrones.source.network')}</option>
+        </select>
+      </label>
+      <div class="catchment-row isochrone-note"></div>
+      <div class="isochrone-results"></div>
+      <div class="catchment-row isochrone-status" role="status"></div>
+    `;
+
+    const $ = (selector) => this._container.querySelector(selector);
+    $('.catchment-close').addEventListener('click', onClose);
+    $('.isochrone-bands').addEventListener('change', (e) => {
+      const bands = parseBands(e.target.value);
+      if (!bands) {
+        e.target.value = this.bands.join(', ');
+        return;
+      }
+      this.bands = bands;
+      e.target.value = bands.join(', ');
+      onChange();
+    });
+    $('.isochrone-source').addEventListener('change', (e) => {
+      this.source = e.target.value;
+      this._renderNote();
+      onChange();
+    });
+    this._renderNote();
+  }
+
+  open() {
+    this._container.style.display = 'block';
+  }
+
+  close() {
+    this._container.style.display = 'none';
+  }
+
+  get isOpen() {
+    return this._container.style.display !== 'none';
+  }
+
+  setPark(name) {
+    this._container.querySelector('.isochrone-park').textContent = name;
+  }
+
+  showLoading() {
+    this._container.querySelector('.isochrone-results').innerHTML =
+      `<div class="catchment-row">${t('common.loading')}</div>`;
+    this.setStatus('');
+  }
+
+  // rows: output of bandPopulation(), shortest band first
+  showBands(rows) {
+    this._container.querySelector('.isochrone-results').innerHTML = rows.map(({ minutes, population, parcels }, i) => `
+      <div class="isochrone-band">
+        <span class="isochrone-swatch" style="background:${BAND_COLORS[i % BAND_COLORS.length]};"></span>
+        <span>${t('isochrones.band', { min: formatNumber(minutes, 1) })}</span>
+        <b>${formatPopulation(population)}</b>
+      </div>
+      <div class="catchment-row isochrone-parcels">${t('isochrones.parcels', { count: parcels, n: formatNumber(parcels) })}</div>
+    `).join('');
+  }
+
+  clear() {
+    this._container.querySelector('.isochrone-results').innerHTML = '';
+    this.setStatus('');
+  }
+
+  setStatus(text) {
+    this._container.querySelector('.isochrone-status').textContent = text;
+  }
+
+  _renderNote() {
+    this._container.querySelector('.isochrone-note').textContent =
+      t(this.source === 'parcels' ? 'isochrones.note.parcels' : 'isochrones.note.network');
+  }
+}
@@ -0,0 +1,140 @@
+// Walking isochrones
+// Nested areas reachable from a park within each minute band, drawn from timed points:
+// parcel centres with their walk time to the park (precomputed data), or points along
+// the pedestrian network walked outwards from the park. The points are binned on a
+// square grid, one cell around each binned cell is filled in to close the gaps between
+// streets and parcels, and the cells within a band are traced into polygons.
+
+import { pointInPolygon } from './geometry.js';
+
+export const DEFAULT_BANDS = [5, 10, 15];
+export const ISOCHRONE_CELL_M = 50;
+const MAX_BANDS = 6;
+const MAX_BAND_MIN = 60;
+
+// Fill of each band, shortest first
+export const BAND_COLORS = ['#6EE7B7', '#34D399', '#10B981', '#059669', '#047857', '#065F46'];
+
+// "5, 10, 15" -> [5, 10, 15]: positive minutes up to MAX_BAND_MIN, sorted, without
+// duplicates, at most MAX_BANDS; null when no band is left
+export function parseBands(text) {
+  const bands = [...new Set(String(text).split(/[\s,;]+/).map(Number))]
+    .filter(m => Number.isFinite(m) && m > 0 && m <= MAX_BAND_MIN)
+    .sort((a, b) => a - b)
+    .slice(0, MAX_BANDS);
+  return bands.length ? bands : null;
+}
+
+// Residents and parcels within each band (cumulative)
+// entries: [{ population, minutes }]
+export function bandPopulation(entries, bands) {
+  return bands.map(minutes => {
+    let population = 0;
+    let parcels = 0;
+    for (const entry of entries) {
+      if (entry.minutes > minutes) continue;
+      population += entry.population;
+      parcels += 1;
+    }
+    return { minutes, population, parcels };
+  });
+}
+
+// Ring area in grid units; positive counter-clockwise
+function signedArea(ring) {
+  let sum = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    sum += ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+  }
+  return sum / 2;
+}
+
+// Outlines of a set of grid cells ("i,j" keys) as polygons in grid corner coordinates.
+// Cell sides with an empty neighbour are linked into rings with the cells on their left,
+// so outer rings run counter-clockwise and holes clockwise.
+function traceCells(cells) {
+  const edges = new Map();  // start corner -> end corners
+  const addEdge = (x1, y1, x2, y2) => {
+    const key = `${x1},${y1}`;
+    if (!edges.has(key)) edges.set(key, []);
+    edges.get(key).push([x2, y2]);
+  };
+  for (const key of cells) {
+    const [i, j] = key.split(',').map(Number);
+    if (!cells.has(`${i},${j - 1}`)) addEdge(i, j, i + 1, j);
+    if (!cells.has(`${i + 1},${j}`)) addEdge(i + 1, j, i + 1, j + 1);
+    if (!cells.has(`${i},${j + 1}`)) addEdge(i + 1, j + 1, i, j + 1);
+    if (!cells.has(`${i - 1},${j}`)) addEdge(i, j + 1, i, j);
+  }
+
+  const rings = [];
+  for (const [startKey, ends] of edges) {
+    while (ends.length) {
+      const ring = [startKey.split(',').map(Number)];
+      let next = ends.pop();
+      while (`${next[0]},${next[1]}` !== startKey) {
+        const previous = ring[ring.length - 1];
+        const before = ring[ring.length - 2];
+        // Corners along a straight side are dropped
+        if (before && (before[0] === previous[0] && previous[0] === next[0] ||
+          before[1] === previous[1] && previous[1] === next[1])) {
+          ring[ring.length - 1] = next;
+        } else {
+          ring.push(next);
+        }
+        next = edges.get(`${next[0]},${next[1]}`).pop();
+      }
+      ring.push(ring[0]);
+      rings.push(ring);
+    }
+  }
+
+  // Holes go into the outer ring that contains them
+  const outers = rings.filter(r => signedArea(r) > 0).map(r => [r]);
+  for (const hole of rings.filter(r => signedArea(r) < 0)) {
+    const [a, b] = hole;
+    const probe = [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+    outers.find(([outer]) => pointInPolygon(probe, { type: 'Polygon', coordinates: [outer] }))?.push(hole);
+  }
+  return outers;
+}
+
+// Isochrone polygons from timed points, one MultiPolygon feature per band (longest
+// first, so shorter bands draw on top) with { minutes, color }.
+// points: [{ coord: [lon, lat], minutes }]; cellMetres: grid size; spreadMinutes: time
+// added to a cell filled in around a binned one (0 for parcels, a cell's walk for
+// network points).
+export function isochronePolygons(points, bands, { cellMetres = ISOCHRONE_CELL_M, spreadMinutes = 0 } = {}) {
+  if (!points.length) return { type: 'FeatureCollection', features: [] };
+  const lat0 = points[0].coord[1];
+  const dy = cellMetres / 111320;
+  const dx = dy / Math.cos(lat0 * Math.PI / 180);
+
+  const times = new Map();
+  for (const { coord, minutes } of points) {
+    const key = `${Math.floor(coord[0] / dx)},${Math.floor(coord[1] / dy)}`;
+    if (minutes < (times.get(key) ?? Infinity)) times.set(key, minutes);
+  }
+  const filled = new Map(times);
+  for (const [key, minutes] of times) {
+    const [i, j] = key.split(',').map(Number);
+    for (let di = -1; di <= 1; di++) {
+      for (let dj = -1; dj <= 1; dj++) {
+        const neighbour = `${i + di},${j + dj}`;
+        if (minutes + spreadMinutes < (filled.get(neighbour) ?? Infinity)) filled.set(neighbour, minutes + spreadMinutes);
+      }
+    }
+  }
+
+  const toLonLat = ([x, y]) => [x * dx, y * dy];
+  const features = bands.map((minutes, index) => {
+    const cells = new Set([...filled].filter(([, m]) => m <= minutes).map(([key]) => key));
+    const polygons = traceCells(cells).map(polygon => polygon.map(ring => ring.map(toLonLat)));
+    return {
+      type: 'Feature',
+      geometry: { type: 'MultiPolygon', coordinates: polygons },
+      properties: { minutes, color: BAND_COLORS[index % BAND_COLORS.length] }
+    };
+  });
+  return { type: 'FeatureCollection', features: features.filter(f => f.geometry.coordinates.length).reverse() };
+}
@@ -0,0 +1,53 @@
+// Layer panel
+// Collapsible panel with a visibility toggle and opacity slider per layer, the basemap
+// choice and flat / extruded green areas.
+
+import { t } from './i18n.js';
+
+export class LayerPanel {
+  // layers: [{ id, label }]; basemaps: [{ id, label }]
+  // state: { hidden: Set, opacity: { [id]: 0..1 }, basemap, greenExtruded }
+  constructor(container, { layers, basemaps, state, onVisibilityChange, onOpacityChange, onBasemapChange, onGreenExtrusionChange }) {
+    this._container = container;
+    this._container.innerHTML = `
+      <button type="button" class="layer-panel-toggle" aria-expanded="false" aria-controls="layer-panel-body">
+        <span class="legend-title">${t('layers.title')}</span><span class="layer-panel-caret">▸</span>
+      </button>
+      <div class="layer-panel-body" id="layer-panel-body" hidden>
+        ${layers.map(layer => `
+          <div class="layer-row" data-layer="${layer.id}">
+            <label><input type="checkbox" ${state.hidden.has(layer.id) ? '' : 'checked'} /> ${layer.label}</label>
+            <input type="range" min="0" max="1" step="0.05" value="${state.opacity[layer.id]}" aria-label="${t('layers.opacity', { label: layer.label })}" />
+          </div>
+        `).join('')}
+        <label class="layer-row layer-check">
+          <input type="checkbox" data-option="green-extruded" ${state.greenExtruded ? 'checked' : ''} /> ${t('layers.extrude')}
+        </label>
+        <label class="layer-select">${t('layers.basemap')}
+          <select data-option="basemap">
+            ${basemaps.map(b => `<option value="${b.id}" ${b.id === state.basemap ? 'selected' : ''}>${b.label}</option>`).join('')}
+          </select>
+        </label>
+      </div>
+    `;
+
+    const toggle = this._container.querySelector('.layer-panel-toggle');
+    const body = this._container.querySelector('.layer-panel-body');
+    toggle.addEventListener('click', () => {
+      const expanded = toggle.getAttribute('aria-expanded') !== 'true';
+      toggle.setAttribute('aria-expanded', String(expanded));
+      toggle.querySelector('.layer-panel-caret').textContent = expanded ? '▾' : '▸';
+      body.hidden = !expanded;
+    });
+
+    this._container.querySelectorAll('.layer-row[data-layer]').forEach(row => {
+      const id = row.dataset.layer;
+      row.querySelector('input[type="checkbox"]').addEventListener('change', (e) => onVisibilityChange(id, e.target.checked));
+      row.querySelector('input[type="range"]').addEventListener('input', (e) => onOpacityChange(id, Number(e.target.value)));
+    });
+    this._container.querySelector('[data-option="green-extruded"]')
+      .addEventListener('change', (e) => onGreenExtrusionChange(e.target.checked));
+    this._container.querySelector('[data-option="basemap"]')
+      .addEventListener('change', (e) => onBasemapChange(e.target.value));
+  }
+}
@@ -0,0 +1,103 @@
+// Parcel legends
+// Built from the layer's current paint expressions rather than fixed HTML: the colour
+// legend reads the stops and colours of the colour ramp, and the height legend shows the
+// range of the height metric among the parcels in view.
+
+import { t } from './i18n.js';
+import { escapeHtml } from './a11y.js';
+
+const HEIGHT_BAR_COLORS = ['#4A148C', '#8E24AA', '#CE93D8'];
+const MAX_BAR_PX = 50;
+const MIN_TICK_GAP = 0.18;  // fraction of the gradient width between labelled ticks
+
+// The base ramp of a colour expression. In a 'case', earlier branches are highlights
+// (selection, hover, ...) and the last branch before the fallback is the ramp.
+export function colorRampOf(expression) {
+  if (!Array.isArray(expression)) return null;
+  const [op] = expression;
+  if (op === 'case') {
+    return colorRampOf(expression[expression.length - 2]);
+  }
+  if (op === 'interpolate') {
+    const stops = [];
+    for (let i = 3; i < expression.length; i += 2) stops.push([expression[i], expression[i + 1]]);
+    return { type: 'gradient', stops };
+  }
+  if (op === 'match') {
+    const categories = [];
+    for (let i = 2; i < expression.length - 1; i += 2) categories.push([expression[i], expression[i + 1]]);
+    return { type: 'categories', categories };
+  }
+  return null;
+}
+
+export class ParcelLegend {
+  constructor({ map, layerId, colorContainer, heightContainer }) {
+    this._map = map;
+    this._layerId = layerId;
+    this._colorContainer = colorContainer;
+    this._heightContainer = heightContainer;
+  }
+
+  // color / height: { label, format(value) }, label as plain text (a loaded rule set can
+  // name the colour); height.values are the metric values in view
+  // and height.toMetres(value) the extrusion height they are drawn at
+  update({ color, height }) {
+    if (!this._map.getLayer(this._layerId)) return;
+    this._renderColor(this._map.getPaintProperty(this._layerId, 'fill-extrusion-color'), color);
+    this._renderHeight(height);
+  }
+
+  _renderColor(expression, { label, format }) {
+    const ramp = colorRampOf(expression);
+    let body = '';
+    if (ramp?.type === 'categories') {
+      body = `<div class="legend-categories">${ramp.categories.map(([value, color]) =>
+        `<div class="legend-category"><span class="legend-swatch" style="background:${color};"></span>${format(value)}</div>`
+      ).join('')}</div>`;
+    } else if (ramp?.type === 'gradient') {
+      const min = ramp.stops[0][0];
+      const span = (ramp.stops[ramp.stops.length - 1][0] - min) || 1;
+      const positioned = ramp.stops.map(([value, color]) => ({ value, color, at: (value - min) / span }));
+      const gradient = positioned.map(s => `${s.color} ${(s.at * 100).toFixed(1)}%`).join(', ');
+      // Label the ends and any stop with room around it
+      let lastLabelled = -Infinity;
+      const ticks = positioned.map((s, i) => {
+        const isEnd = i === 0 || i === positioned.length - 1;
+        const fits = s.at - lastLabelled >= MIN_TICK_GAP && (isEnd || 1 - s.at >= MIN_TICK_GAP);
+        if (isEnd || fits) lastLabelled = s.at;
+        const align = i === 0 ? 'start' : (i === positioned.length - 1 ? 'end' : 'middle');
+        return `<span class="legend-tick legend-tick-${align}" style="left:${(s.at * 100).toFixed(1)}%;">${isEnd || fits ? format(s.value) : ''}</span>`;
+      }).join('');
+      body = `
+        <div class="legend-gradient">
+          <div class="gradient-bar" style="background: linear-gradient(to right, ${gradient});"></div>
+          <div class="legend-ticks">${ticks}</div>
+        </div>`;
+    }
+    this._colorContainer.innerHTML = `<div class="legend-title">${escapeHtml(label)}</div>${body}`;
+  }
+
+  // Bars for the highest, middle and lowest value in view, scaled like the extrusion
+  _renderHeight({ label, format, values, toMetres }) {
+    let items = `<div class="legend-empty">${t('legend.noParcels')}</div>`;
+    if (values.length) {
+      let min = Infinity;
+      let max = -Infinity;
+      values.forEach(v => {
+        min = Math.min(min, v);
+        max = Math.max(max, v);
+      });
+      const levels = [max, (min + max) / 2, min];
+      const tallest = toMetres(max);
+      items = levels.map((value, i) => `
+        <div class="legend-item">
+          <div class="legend-bar" style="height: ${Math.max(2, Math.round(MAX_BAR_PX * toMetres(value) / tallest))}px; background: ${HEIGHT_BAR_COLORS[i]};"></div>
+          <span>${format(value)}</span>
+        </div>`).join('');
+    }
+    this._heightContainer.innerHTML = `
+      <div class="legend-title">${t('legend.height', { label: escapeHtml(label) })} <span class="legend-note">${t('legend.inView')}</span></div>
+      <div class="legend-items">${items}</div>`;
+  }
+}
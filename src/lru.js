@@ -0,0 +1,42 @@
+// Least-recently-used cache on top of Map insertion order
+// Shared by the route lookup and the parcel tile cache.
+
+export class LRUCache {
+  constructor(maxEntries = 200) {
+    this.maxEntries = maxEntries;
+    this._map = new Map();
+  }
+
+  get size() {
+    return this._map.size;
+  }
+
+  has(key) {
+    return this._map.has(key);
+  }
+
+  get(key) {
+    if (!this._map.has(key)) return undefined;
+    const value = this._map.get(key);
+    // Refresh recency
+    this._map.delete(key);
+    this._map.set(key, value);
+    return value;
+  }
+
+  set(key, value) {
+    this._map.delete(key);
+    this._map.set(key, value);
+    while (this._map.size > this.maxEntries) {
+      this._map.delete(this._map.keys().next().value);
+    }
+  }
+
+  values() {
+    return this._map.values();
+  }
+
+  clear() {
+    this._map.clear();
+  }
+}
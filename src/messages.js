@@ -0,0 +1,992 @@
+// Message catalogues for src/i18n.js
+// Flat keys grouped by prefix; {name} marks a placeholder and keys ending in .one / .other
+// are plural forms. English is the fallback for any message missing from another language.
+
+export const MESSAGES = {
+  en: {
+    'app.title': 'Green Accessibility 3D',
+    'app.documentTitle': 'Green Accessibility 3D - {city} | Walking Distance to Parks Visualization',
+    'app.city': 'City',
+    'app.language': 'Language',
+
+    'common.close': 'Close',
+    'common.loading': 'Loading…',
+
+    'slider.label': 'Walk time:',
+    'play.play': 'Play animation',
+    'play.pause': 'Pause animation',
+    'play.title': 'Play / pause (Space or K)',
+    'play.playing': 'Animation playing.',
+    'play.paused': 'Animation paused at {min} min.',
+
+    'controls.colour': 'Colour',
+    'controls.height': 'Height',
+    'controls.highContrast': 'High-contrast colours',
+    'controls.speed': 'Walking speed',
+    'controls.customSpeed': 'Speed (km/h)',
+    'speed.adult': 'Adult',
+    'speed.older': 'Older adult',
+    'speed.child': 'Child',
+    'speed.wheelchair': 'Wheelchair user',
+    'speed.reduced': 'Reduced mobility',
+    'speed.option': '{label} ({speed} km/h)',
+    'speed.custom': 'Custom…',
+    'speed.changed': 'Walking speed {speed} km/h; walk times recomputed.',
+    'timeline.settings': 'Animation settings',
+    'timeline.title': 'Animation',
+    'timeline.from': 'From (min)',
+    'timeline.to': 'To (min)',
+    'timeline.step': 'Step (min)',
+    'timeline.interval': 'Seconds per step',
+    'timeline.loop': 'Loop',
+    'timeline.camera': 'Camera',
+    'timeline.camera.none': 'Fixed',
+    'timeline.camera.orbit': 'Orbit',
+    'timeline.camera.path': 'Path through views',
+    'timeline.addView': 'Add current view',
+    'timeline.clearPath': 'Clear path',
+    'timeline.keyframes.one': '{n} view on the path',
+    'timeline.keyframes.other': '{n} views on the path',
+    'timeline.record': 'Record as video (WebM)',
+    'timeline.recordUnsupported': 'This browser cannot record the map.',
+    'timeline.recording': 'Recording…',
+    'timeline.recorded': 'Video downloaded.',
+    'timeline.recordFailed': 'Recording failed: {message}',
+
+    'buttons.pressure': 'Park pressure',
+    'buttons.scenario': 'What-if scenario',
+    'buttons.export': 'Export',
+    'buttons.guide': 'User guide',
+    'buttons.about': 'About the project',
+
+    'metric.walk_time': 'Walk time',
+    'metric.walk_distance': 'Walk distance',
+    'metric.population': 'Population',
+    'metric.density': 'Population density',
+    'metric.walk_time_band': 'Walk time band',
+
+    'legend.height': 'Height: {label}',
+    'legend.inView': '(in view)',
+    'legend.noParcels': 'No parcels in view',
+
+    'layers.title': 'Layers',
+    'layers.opacity': '{label} opacity',
+    'layers.extrude': 'Extrude green areas',
+    'layers.basemap': 'Basemap',
+    'layers.greenAreas': 'Green areas',
+    'layers.greenStructures': 'Green structures',
+    'layers.boundary': 'Boundary',
+    'layers.routes': 'Routes',
+    'layers.routeEndpoints': 'Route endpoints',
+    'layers.basemapLabels': 'Basemap labels',
+    'basemap.dark': 'Carto dark',
+    'basemap.light': 'Carto light',
+    'basemap.none': 'None',
+    'basemap.local': 'Local (offline)',
+    'offline.online': 'Online · map tiles',
+    'offline.offline': 'Offline · local basemap',
+    'offline.unreachable': 'Map tiles unreachable · local basemap',
+    'offline.cached': 'Saved for offline use',
+    'offline.notCached': 'Not saved for offline use',
+    'offline.retry': 'Click to try the map tiles again',
+
+    'tooltip.parcel': 'Parcel {ref}',
+    'tooltip.withNewParks': 'With new parks: {min} min',
+    'tooltip.route': 'Route',
+    'tooltip.time': 'Time: {time}',
+    'tooltip.distance': 'Distance: {distance}',
+
+    'selection.selected': 'Selected parcel {ref}.',
+    'selection.routes.one': '{n} route shown{walk}.',
+    'selection.routes.other': '{n} routes shown{walk}.',
+    'selection.walk': ', {min} min walk',
+    'selection.noRoutes': 'No routes found.',
+    'selection.deselected': 'Parcel deselected.',
+
+    'navigation.help': 'Press N or P to move through parcels, M to switch between parcels under the cursor ' +
+      'and parcels sorted by walk time, Enter to select, Escape to stop.',
+    'navigation.map': 'Map. {help}',
+    'navigation.none': 'No parcels here.',
+    'navigation.position': '{position} of {total}. {text}',
+    'navigation.cursor': 'Parcels under the cursor.',
+    'navigation.walkTime': 'Parcels sorted by walk time.',
+
+    'stats.within': 'Residents within {threshold} min',
+    'stats.scope': 'Statistics scope',
+    'stats.city': 'City',
+    'stats.view': 'View',
+    'stats.parcels': 'Parcels:',
+    'stats.median': 'Median:',
+    'stats.p90': 'P90:',
+    'stats.ofTotal': 'of {total} ({share})',
+
+    'catchment.structure': 'Green structure {id}',
+    'catchment.structureShort': 'Structure {id}',
+    'catchment.residentsServed': 'residents served',
+    'catchment.greenArea': 'Green area: {area} ({hectares} ha structure)',
+    'catchment.perResident': 'Green per resident: {area}',
+    'catchment.counts': 'Parcels: {parcels} · Routes: {routes}',
+    'pressure.fewer': 'Fewer residents / ha',
+    'pressure.more': 'More',
+    'pressure.mostCrowded': 'Most crowded:',
+
+    'export.hint': 'Parcels shown in the current view and threshold.',
+    'export.parcelsGeojson': 'Parcels (GeoJSON)',
+    'export.parcelsCsv': 'Parcels (CSV)',
+    'export.snapshot': 'Map snapshot (PNG)',
+    'export.routesGeojson': 'Routes (GeoJSON)',
+    'export.routesGpx': 'Routes (GPX)',
+    'export.done.one': '{n} parcel exported.',
+    'export.done.other': '{n} parcels exported.',
+    'export.failed': 'Export failed: {message}',
+    'export.subtitle': 'Walk time ≤ {threshold} min · Colour: {color} · Height: {height}',
+
+    'search.placeholder': 'Search parcel, park or address...',
+    'search.cityData': 'City data',
+    'search.addresses': 'Addresses',
+    'search.noResults': 'No results found',
+    'search.error': 'Search error',
+    'search.minWalk': '{min} min walk',
+
+    'scenario.title': 'What-if: new parks',
+    'scenario.draw': 'Draw park',
+    'scenario.finish': 'Finish',
+    'scenario.save': 'Save',
+    'scenario.load': 'Load',
+    'scenario.clear': 'Clear',
+    'scenario.remove': 'Remove',
+    'scenario.drawingHint': 'Click to add vertices, double-click to finish, Esc to cancel.',
+    'scenario.emptyHint': 'Draw a candidate park to estimate new walk times.',
+    'scenario.summary': 'Detour factor: {factor} · Parcels improved: {parcels}',
+    'scenario.within': 'Within',
+    'scenario.additional': 'Additional residents',
+    'scenario.candidate': 'Candidate park {index}',
+    'scenario.noPolygons': 'No polygons in scenario file',
+    'scenario.loadFailed': 'Could not load scenario: {message}',
+
+    'standards.title': 'Proximity standards',
+    'standards.ruleSet': 'Standard',
+    'standards.load': 'Load rules (JSON)',
+    'standards.loaded.one': '{n} rule set loaded.',
+    'standards.loaded.other': '{n} rule sets loaded.',
+    'standards.loadFailed': 'Could not load rules: {message}',
+    'standards.compliant': 'Compliant',
+    'standards.nonCompliant': 'Not compliant',
+    'standards.residentsComply': 'of residents comply',
+    'standards.residents': '{compliant} of {total} residents',
+    'standards.parcels': 'Compliant parcels: {compliant} of {total}',
+    'standards.unknown': 'Without data: {parcels} parcels ({population} residents)',
+    'standards.structureSize': 'Green structure',
+    'standards.who': 'WHO: ≥ 0.5 ha within 300 m',
+    'standards.threeThirtyThreeHundred': '3-30-300: park ≥ 1 ha within 300 m',
+    'standards.fifteenMinute': '15-minute city',
+    'standards.error.noRuleSets': 'No rule sets in file',
+    'standards.error.name': 'Rule set {index} has no name',
+    'standards.error.conditions': '"{name}" has no conditions',
+    'standards.error.property': '"{name}": unknown property {property}',
+    'standards.error.bounds': '"{name}": {property} needs a numeric min or max',
+
+    'detail.toGreen': 'walk to the nearest green structure',
+    'detail.rank': 'City-wide percentile: {rank} ({share} of parcels have a shorter walk)',
+    'detail.destination': 'Destination',
+    'detail.noDestination': 'Destination structure not found',
+    'detail.route': 'Route profile',
+    'detail.routeCount.other': 'Shortest of {n} routes',
+    'detail.legs.one': '{n} leg',
+    'detail.legs.other': '{n} legs',
+    'detail.turns.one': '{n} turn',
+    'detail.turns.other': '{n} turns',
+    'detail.noRoute': 'No route loaded',
+    'detail.properties': 'Properties',
+    'detail.zoomToRoute': 'Zoom to route',
+    'detail.copyReference': 'Copy reference',
+    'detail.copied': 'Reference {ref} copied.',
+    'detail.copyFailed': 'Could not copy the reference.',
+
+    'compare.title': 'Compare datasets',
+    'compare.dataset': 'Second map',
+    'compare.baseline': 'Same as main map',
+    'compare.loadFile': 'Load FGB file',
+    'compare.layout': 'Layout',
+    'compare.split': 'Side by side',
+    'compare.swipe': 'Swipe',
+    'compare.threshold': 'Walk time (second map):',
+    'compare.difference': 'Colour by walk time change',
+    'compare.meanChange': 'mean change per matched parcel',
+    'compare.matched.one': '{n} parcel matched on parcel_id',
+    'compare.matched.other': '{n} parcels matched on parcel_id',
+    'compare.faster': 'Faster: {parcels} parcels ({population} residents)',
+    'compare.slower': 'Slower: {parcels} parcels ({population} residents)',
+    'compare.unchanged.one': '{n} parcel unchanged',
+    'compare.unchanged.other': '{n} parcels unchanged',
+    'compare.unmatched.one': '{n} parcel without a match',
+    'compare.unmatched.other': '{n} parcels without a match',
+    'compare.noMatch': 'No parcels matched on parcel_id',
+    'compare.loadFailed': 'Could not load the dataset: {message}',
+    'compare.swipeHandle': 'Swipe position',
+    'compare.tooltipChange': 'Change: {change} min',
+
+    'routing.title': 'Route from a point',
+    'routing.hint': 'Click anywhere on the map to walk to the nearest green structure.',
+    'routing.loadFile': 'Load network file',
+    'routing.network': 'Network {name}: {nodes} nodes, {edges} segments',
+    'routing.noNetwork': 'No pedestrian network loaded. Load an FGB or graph file.',
+    'routing.loadFailed': 'Could not load the network: {message}',
+    'routing.destination': 'To {destination}',
+    'routing.found': 'Route found: {min} min, {distance}.',
+    'routing.offNetwork': 'This point is too far from the pedestrian network.',
+    'routing.unreachable': 'No green structure can be reached from this point.',
+
+    'isochrones.title': 'Walking isochrones',
+    'isochrones.offer': 'Walking isochrones',
+    'isochrones.bands': 'Bands (min)',
+    'isochrones.source': 'Walk times from',
+    'isochrones.source.parcels': 'Precomputed parcel data',
+    'isochrones.source.network': 'Pedestrian network',
+    'isochrones.note.parcels': 'Parcels whose nearest green structure is this one.',
+    'isochrones.note.network': 'Every parcel within walking reach of the park.',
+    'isochrones.band': 'Within {min} min',
+    'isochrones.parcels.one': '{n} parcel',
+    'isochrones.parcels.other': '{n} parcels',
+    'isochrones.noStructure': 'This park belongs to no green structure; use the pedestrian network.',
+    'isochrones.noNetwork': 'No pedestrian network loaded. Load one in the point routing panel.',
+    'isochrones.failed': 'Could not compute the isochrones: {message}',
+    'isochrones.announce': '{park}: {population} residents within {min} min.',
+
+    'districts.title': 'Districts',
+    'districts.colourBy': 'Colour by',
+    'districts.extrude': 'Extrude by value',
+    'districts.area': 'Area',
+    'districts.meanWalkTime': 'Mean walk time',
+    'districts.shareAbove': 'Residents over threshold',
+    'districts.greenPerResident': 'Green m² per resident',
+    'districts.threshold': 'Threshold: {min} min',
+    'districts.load': 'Load areas (GeoJSON)',
+    'districts.loaded.one': '{n} area from {name}',
+    'districts.loaded.other': '{n} areas from {name}',
+    'districts.loadFailed': 'Could not load the areas: {message}',
+    'districts.noAreas': 'No areas for this city. Load a GeoJSON of districts or neighbourhoods.',
+    'districts.areas.one': '{n} area',
+    'districts.areas.other': '{n} areas',
+
+    'guide.title': 'How to use the viewer',
+    'guide.rotate.title': 'Rotate / Zoom',
+    'guide.rotate': 'Navigate the 3D city with your mouse or touchpad.',
+    'guide.hoverParcels.title': 'Hover parcels',
+    'guide.hoverParcels': 'See cadastral ID and estimated population.',
+    'guide.clickParcel.title': 'Click a parcel',
+    'guide.clickParcel': 'Open the parcel details and its walking route(s) to the nearest green area (click again to close).',
+    'guide.hoverGreen.title': 'Hover green areas',
+    'guide.hoverGreen': 'View park name and surface area.',
+    'guide.structures.title': 'Green structures',
+    'guide.structures': 'Outlined areas representing aggregated groups of nearby parks. Click one to see the parcels and residents it serves.',
+    'guide.pressure.title': 'Park pressure',
+    'guide.pressure': 'Colour green structures by residents served per hectare (green to red).',
+    'guide.whatIf.title': 'What-if',
+    'guide.whatIf': 'Draw candidate parks to estimate new walk times; improved parcels turn yellow to green by minutes gained.',
+    'guide.standards.title': 'Proximity standards',
+    'guide.standards': 'Classify every parcel against a standard (WHO 300 m, 3-30-300, 15-minute city or your own JSON rules) and see the share of residents that comply.',
+    'guide.compare.title': 'Compare',
+    'guide.compare': 'Show another run of the analysis (a variant or a local FGB file) beside the main map or under a swipe handle, with its own threshold, and colour parcels by how much their walk time changed.',
+    'guide.routing.title': 'Route from a point',
+    'guide.routing': 'Load the pedestrian network (the city\'s, or a local FGB or graph file), then click any point, such as a school or a bus stop, to draw the shortest walk to the nearest green structure with its time and distance.',
+    'guide.isochrones.title': 'Walking isochrones',
+    'guide.isochrones': 'Click a park or a green structure outline and pick Walking isochrones to see who can reach it within each band (5, 10 and 15 min by default), from the precomputed parcel data or the pedestrian network, with the residents in each band.',
+    'guide.districts.title': 'Districts',
+    'guide.districts': 'Aggregate the parcels into districts or neighbourhoods: population-weighted mean walk time, share of residents over the slider threshold and green m² per resident, drawn instead of the parcels when zoomed out and ranked in a table you can sort.',
+    'guide.search.title': 'Search',
+    'guide.search': 'Find a parcel by cadastral reference, a park by name, or an address.',
+    'guide.export.title': 'Export',
+    'guide.export': 'Download the parcels in view under the threshold (GeoJSON/CSV), a PNG snapshot, or the selected routes (GeoJSON/GPX).',
+    'guide.slider.title': 'Time slider',
+    'guide.slider': 'Filter parcels by walking time threshold (in minutes).',
+    'guide.animation.title': 'Animation',
+    'guide.animation': 'The gear next to the slider sets the range, step and speed of the animation, looping, an orbit or a path through saved views, and records the animation as a WebM video. Pausing and playing again resumes where it stopped.',
+    'guide.speed.title': 'Walking speed',
+    'guide.speed': 'Pick a speed profile (older adult, child, wheelchair user…) or your own speed; walk times are recomputed from the walked distance, which assumes 5 km/h by default.',
+    'guide.keyboard.title': 'Keyboard',
+    'guide.keyboard': 'Focus the map with Tab. {help} Space or K plays the animation.',
+    'guide.metrics.title': 'Colour / Height',
+    'guide.metrics': 'Choose the metric drawn as parcel colour and as extrusion height.',
+    'guide.language.title': 'Language',
+    'guide.language': 'Switch between Catalan, Spanish and English under the title.',
+    'guide.scale.title': 'Color scale',
+    'guide.scale': 'Deep purple (close) to pale lavender (far).',
+    'guide.offline.title': 'Offline',
+    'guide.offline': 'After a first visit the app and the city data are saved in the browser and open without a network. When the map tiles cannot be reached, a plain basemap is drawn from the city boundary and green areas; the indicator under the title shows which one is in use.',
+
+    'about.title': 'About this project',
+    'about.intro': 'This 3D viewer explores walking accessibility to green areas in the municipality of Barcelona. ' +
+      'Parcels are extruded according to their estimated residential population, and colored by walking ' +
+      'time to the nearest significant green area or aggregated green structure.',
+    'about.sources': 'Data sources',
+    'about.source.osm': 'green areas and pedestrian network',
+    'about.source.cadastre.name': 'Spanish Cadastre',
+    'about.source.cadastre': 'parcel geometries and cadastral attributes',
+    'about.source.ine': 'population per census section',
+    'about.source.icgc': 'census section geometries',
+    'about.source.derived.name': 'Derived datasets',
+    'about.source.derived': 'parcel population, green structures, and shortest walking routes',
+    'about.technologies': 'Technologies',
+    'about.techList': 'JavaScript • MapLibre GL JS • WebGL 3D • Python for preprocessing • Network analysis • FlatGeobuf • GeoJSON • GitHub Pages',
+    'about.author': 'Author'
+  },
+
+  ca: {
+    'app.title': 'Accessibilitat Verda 3D',
+    'app.documentTitle': 'Accessibilitat Verda 3D - {city} | Visualització de la distància a peu als parcs',
+    'app.city': 'Ciutat',
+    'app.language': 'Idioma',
+
+    'common.close': 'Tanca',
+    'common.loading': 'Carregant…',
+
+    'slider.label': 'Temps a peu:',
+    'play.play': 'Reprodueix l\'animació',
+    'play.pause': 'Atura l\'animació',
+    'play.title': 'Reprodueix / atura (Espai o K)',
+    'play.playing': 'Animació en marxa.',
+    'play.paused': 'Animació aturada a {min} min.',
+
+    'controls.colour': 'Color',
+    'controls.height': 'Alçada',
+    'controls.highContrast': 'Colors d\'alt contrast',
+    'controls.speed': 'Velocitat a peu',
+    'controls.customSpeed': 'Velocitat (km/h)',
+    'speed.adult': 'Adult',
+    'speed.older': 'Persona gran',
+    'speed.child': 'Infant',
+    'speed.wheelchair': 'Usuari de cadira de rodes',
+    'speed.reduced': 'Mobilitat reduïda',
+    'speed.option': '{label} ({speed} km/h)',
+    'speed.custom': 'Personalitzada…',
+    'speed.changed': 'Velocitat a peu {speed} km/h; temps recalculats.',
+    'timeline.settings': 'Opcions de l\'animació',
+    'timeline.title': 'Animació',
+    'timeline.from': 'Des de (min)',
+    'timeline.to': 'Fins a (min)',
+    'timeline.step': 'Pas (min)',
+    'timeline.interval': 'Segons per pas',
+    'timeline.loop': 'En bucle',
+    'timeline.camera': 'Càmera',
+    'timeline.camera.none': 'Fixa',
+    'timeline.camera.orbit': 'Òrbita',
+    'timeline.camera.path': 'Recorregut per vistes',
+    'timeline.addView': 'Afegeix la vista actual',
+    'timeline.clearPath': 'Esborra el recorregut',
+    'timeline.keyframes.one': '{n} vista al recorregut',
+    'timeline.keyframes.other': '{n} vistes al recorregut',
+    'timeline.record': 'Enregistra en vídeo (WebM)',
+    'timeline.recordUnsupported': 'Aquest navegador no pot enregistrar el mapa.',
+    'timeline.recording': 'Enregistrant…',
+    'timeline.recorded': 'Vídeo descarregat.',
+    'timeline.recordFailed': 'No s\'ha pogut enregistrar: {message}',
+
+    'buttons.pressure': 'Pressió sobre els parcs',
+    'buttons.scenario': 'Escenari hipotètic',
+    'buttons.export': 'Exporta',
+    'buttons.guide': 'Guia d\'ús',
+    'buttons.about': 'Sobre el projecte',
+
+    'metric.walk_time': 'Temps a peu',
+    'metric.walk_distance': 'Distància a peu',
+    'metric.population': 'Població',
+    'metric.density': 'Densitat de població',
+    'metric.walk_time_band': 'Franja de temps a peu',
+
+    'legend.height': 'Alçada: {label}',
+    'legend.inView': '(a la vista)',
+    'legend.noParcels': 'Cap parcel·la a la vista',
+
+    'layers.title': 'Capes',
+    'layers.opacity': 'Opacitat: {label}',
+    'layers.extrude': 'Extrudeix les zones verdes',
+    'layers.basemap': 'Mapa base',
+    'layers.greenAreas': 'Zones verdes',
+    'layers.greenStructures': 'Estructures verdes',
+    'layers.boundary': 'Límit municipal',
+    'layers.routes': 'Rutes',
+    'layers.routeEndpoints': 'Extrems de les rutes',
+    'layers.basemapLabels': 'Etiquetes del mapa base',
+    'basemap.dark': 'Carto fosc',
+    'basemap.light': 'Carto clar',
+    'basemap.none': 'Cap',
+    'basemap.local': 'Local (sense connexió)',
+    'offline.online': 'En línia · tessel·les del mapa',
+    'offline.offline': 'Sense connexió · mapa base local',
+    'offline.unreachable': 'Tessel·les del mapa inaccessibles · mapa base local',
+    'offline.cached': 'Desat per fer servir sense connexió',
+    'offline.notCached': 'No desat per fer servir sense connexió',
+    'offline.retry': 'Feu clic per tornar a provar les tessel·les del mapa',
+
+    'tooltip.parcel': 'Parcel·la {ref}',
+    'tooltip.withNewParks': 'Amb parcs nous: {min} min',
+    'tooltip.route': 'Ruta',
+    'tooltip.time': 'Temps: {time}',
+    'tooltip.distance': 'Distància: {distance}',
+
+    'selection.selected': 'Parcel·la {ref} seleccionada.',
+    'selection.routes.one': '{n} ruta mostrada{walk}.',
+    'selection.routes.other': '{n} rutes mostrades{walk}.',
+    'selection.walk': ', {min} min a peu',
+    'selection.noRoutes': 'No s\'han trobat rutes.',
+    'selection.deselected': 'Parcel·la desseleccionada.',
+
+    'navigation.help': 'Prem N o P per recórrer les parcel·les, M per alternar entre les parcel·les sota el cursor ' +
+      'i les parcel·les ordenades per temps a peu, Retorn per seleccionar i Escapada per sortir.',
+    'navigation.map': 'Mapa. {help}',
+    'navigation.none': 'Aquí no hi ha parcel·les.',
+    'navigation.position': '{position} de {total}. {text}',
+    'navigation.cursor': 'Parcel·les sota el cursor.',
+    'navigation.walkTime': 'Parcel·les ordenades per temps a peu.',
+
+    'stats.within': 'Residents a {threshold} min com a màxim',
+    'stats.scope': 'Àmbit de les estadístiques',
+    'stats.city': 'Ciutat',
+    'stats.view': 'Vista',
+    'stats.parcels': 'Parcel·les:',
+    'stats.median': 'Mediana:',
+    'stats.p90': 'P90:',
+    'stats.ofTotal': 'de {total} ({share})',
+
+    'catchment.structure': 'Estructura verda {id}',
+    'catchment.structureShort': 'Estructura {id}',
+    'catchment.residentsServed': 'residents servits',
+    'catchment.greenArea': 'Superfície verda: {area} (estructura de {hectares} ha)',
+    'catchment.perResident': 'Verd per resident: {area}',
+    'catchment.counts': 'Parcel·les: {parcels} · Rutes: {routes}',
+    'pressure.fewer': 'Menys residents / ha',
+    'pressure.more': 'Més',
+    'pressure.mostCrowded': 'Més concorreguts:',
+
+    'export.hint': 'Parcel·les mostrades a la vista i el llindar actuals.',
+    'export.parcelsGeojson': 'Parcel·les (GeoJSON)',
+    'export.parcelsCsv': 'Parcel·les (CSV)',
+    'export.snapshot': 'Captura del mapa (PNG)',
+    'export.routesGeojson': 'Rutes (GeoJSON)',
+    'export.routesGpx': 'Rutes (GPX)',
+    'export.done.one': '{n} parcel·la exportada.',
+    'export.done.other': '{n} parcel·les exportades.',
+    'export.failed': 'L\'exportació ha fallat: {message}',
+    'export.subtitle': 'Temps a peu ≤ {threshold} min · Color: {color} · Alçada: {height}',
+
+    'search.placeholder': 'Cerca parcel·la, parc o adreça...',
+    'search.cityData': 'Dades de la ciutat',
+    'search.addresses': 'Adreces',
+    'search.noResults': 'No s\'ha trobat cap resultat',
+    'search.error': 'Error de cerca',
+    'search.minWalk': '{min} min a peu',
+
+    'scenario.title': 'Hipòtesi: parcs nous',
+    'scenario.draw': 'Dibuixa un parc',
+    'scenario.finish': 'Acaba',
+    'scenario.save': 'Desa',
+    'scenario.load': 'Carrega',
+    'scenario.clear': 'Esborra',
+    'scenario.remove': 'Elimina',
+    'scenario.drawingHint': 'Fes clic per afegir vèrtexs, doble clic per acabar, Esc per cancel·lar.',
+    'scenario.emptyHint': 'Dibuixa un parc candidat per estimar els nous temps a peu.',
+    'scenario.summary': 'Factor de desviament: {factor} · Parcel·les millorades: {parcels}',
+    'scenario.within': 'Fins a',
+    'scenario.additional': 'Residents addicionals',
+    'scenario.candidate': 'Parc candidat {index}',
+    'scenario.noPolygons': 'El fitxer d\'escenari no té cap polígon',
+    'scenario.loadFailed': 'No s\'ha pogut carregar l\'escenari: {message}',
+
+    'standards.title': 'Estàndards de proximitat',
+    'standards.ruleSet': 'Estàndard',
+    'standards.load': 'Carrega regles (JSON)',
+    'standards.loaded.one': '{n} conjunt de regles carregat.',
+    'standards.loaded.other': '{n} conjunts de regles carregats.',
+    'standards.loadFailed': 'No s\'han pogut carregar les regles: {message}',
+    'standards.compliant': 'Compleix',
+    'standards.nonCompliant': 'No compleix',
+    'standards.residentsComply': 'dels residents compleixen',
+    'standards.residents': '{compliant} de {total} residents',
+    'standards.parcels': 'Parcel·les que compleixen: {compliant} de {total}',
+    'standards.unknown': 'Sense dades: {parcels} parcel·les ({population} residents)',
+    'standards.structureSize': 'Estructura verda',
+    'standards.who': 'OMS: ≥ 0,5 ha a 300 m',
+    'standards.threeThirtyThreeHundred': '3-30-300: parc ≥ 1 ha a 300 m',
+    'standards.fifteenMinute': 'Ciutat dels 15 minuts',
+    'standards.error.noRuleSets': 'El fitxer no té cap conjunt de regles',
+    'standards.error.name': 'El conjunt de regles {index} no té nom',
+    'standards.error.conditions': '«{name}» no té condicions',
+    'standards.error.property': '«{name}»: propietat desconeguda {property}',
+    'standards.error.bounds': '«{name}»: {property} necessita un mínim o un màxim numèric',
+
+    'detail.toGreen': 'a peu fins a l\'estructura verda més propera',
+    'detail.rank': 'Percentil a la ciutat: {rank} (el {share} de les parcel·les té un trajecte més curt)',
+    'detail.destination': 'Destinació',
+    'detail.noDestination': 'No s\'ha trobat l\'estructura de destinació',
+    'detail.route': 'Perfil de la ruta',
+    'detail.routeCount.other': 'La més curta de {n} rutes',
+    'detail.legs.one': '{n} tram',
+    'detail.legs.other': '{n} trams',
+    'detail.turns.one': '{n} gir',
+    'detail.turns.other': '{n} girs',
+    'detail.noRoute': 'No s\'ha carregat cap ruta',
+    'detail.properties': 'Propietats',
+    'detail.zoomToRoute': 'Apropa a la ruta',
+    'detail.copyReference': 'Copia la referència',
+    'detail.copied': 'Referència {ref} copiada.',
+    'detail.copyFailed': 'No s\'ha pogut copiar la referència.',
+
+    'compare.title': 'Compara conjunts de dades',
+    'compare.dataset': 'Segon mapa',
+    'compare.baseline': 'El mateix que el mapa principal',
+    'compare.loadFile': 'Carrega un fitxer FGB',
+    'compare.layout': 'Disposició',
+    'compare.split': 'Costat a costat',
+    'compare.swipe': 'Cortina',
+    'compare.threshold': 'Temps a peu (segon mapa):',
+    'compare.difference': 'Acoloreix pel canvi del temps a peu',
+    'compare.meanChange': 'canvi mitjà per parcel·la aparellada',
+    'compare.matched.one': '{n} parcel·la aparellada per parcel_id',
+    'compare.matched.other': '{n} parcel·les aparellades per parcel_id',
+    'compare.faster': 'Més a prop: {parcels} parcel·les ({population} residents)',
+    'compare.slower': 'Més lluny: {parcels} parcel·les ({population} residents)',
+    'compare.unchanged.one': '{n} parcel·la sense canvis',
+    'compare.unchanged.other': '{n} parcel·les sense canvis',
+    'compare.unmatched.one': '{n} parcel·la sense parella',
+    'compare.unmatched.other': '{n} parcel·les sense parella',
+    'compare.noMatch': 'Cap parcel·la aparellada per parcel_id',
+    'compare.loadFailed': 'No s\'ha pogut carregar el conjunt de dades: {message}',
+    'compare.swipeHandle': 'Posició de la cortina',
+    'compare.tooltipChange': 'Canvi: {change} min',
+
+    'routing.title': 'Ruta des d\'un punt',
+    'routing.hint': 'Fes clic a qualsevol punt del mapa per anar a peu a l\'estructura verda més propera.',
+    'routing.loadFile': 'Carrega un fitxer de xarxa',
+    'routing.network': 'Xarxa {name}: {nodes} nodes, {edges} trams',
+    'routing.noNetwork': 'No hi ha cap xarxa de vianants carregada. Carrega un fitxer FGB o de graf.',
+    'routing.loadFailed': 'No s\'ha pogut carregar la xarxa: {message}',
+    'routing.destination': 'Fins a {destination}',
+    'routing.found': 'Ruta trobada: {min} min, {distance}.',
+    'routing.offNetwork': 'Aquest punt és massa lluny de la xarxa de vianants.',
+    'routing.unreachable': 'Des d\'aquest punt no s\'arriba a cap estructura verda.',
+
+    'isochrones.title': 'Isòcrones a peu',
+    'isochrones.offer': 'Isòcrones a peu',
+    'isochrones.bands': 'Franges (min)',
+    'isochrones.source': 'Temps a peu de',
+    'isochrones.source.parcels': 'Dades precalculades de parcel·les',
+    'isochrones.source.network': 'Xarxa de vianants',
+    'isochrones.note.parcels': 'Parcel·les que tenen aquesta estructura verda com a més propera.',
+    'isochrones.note.network': 'Totes les parcel·les a l\'abast a peu del parc.',
+    'isochrones.band': 'A menys de {min} min',
+    'isochrones.parcels.one': '{n} parcel·la',
+    'isochrones.parcels.other': '{n} parcel·les',
+    'isochrones.noStructure': 'Aquest parc no pertany a cap estructura verda; fes servir la xarxa de vianants.',
+    'isochrones.noNetwork': 'No hi ha cap xarxa de vianants carregada. Carrega\'n una al tauler de ruta des d\'un punt.',
+    'isochrones.failed': 'No s\'han pogut calcular les isòcrones: {message}',
+    'isochrones.announce': '{park}: {population} residents a menys de {min} min.',
+
+    'districts.title': 'Districtes',
+    'districts.colourBy': 'Acoloreix per',
+    'districts.extrude': 'Extrueix segons el valor',
+    'districts.area': 'Àrea',
+    'districts.meanWalkTime': 'Temps mitjà a peu',
+    'districts.shareAbove': 'Residents per sobre del llindar',
+    'districts.greenPerResident': 'm² verds per resident',
+    'districts.threshold': 'Llindar: {min} min',
+    'districts.load': 'Carrega àrees (GeoJSON)',
+    'districts.loaded.one': '{n} àrea de {name}',
+    'districts.loaded.other': '{n} àrees de {name}',
+    'districts.loadFailed': 'No s\'han pogut carregar les àrees: {message}',
+    'districts.noAreas': 'No hi ha àrees per a aquesta ciutat. Carrega un GeoJSON de districtes o barris.',
+    'districts.areas.one': '{n} àrea',
+    'districts.areas.other': '{n} àrees',
+
+    'guide.title': 'Com utilitzar el visor',
+    'guide.rotate.title': 'Gira / Zoom',
+    'guide.rotate': 'Navega per la ciutat 3D amb el ratolí o el ratolí tàctil.',
+    'guide.hoverParcels.title': 'Passa per sobre de les parcel·les',
+    'guide.hoverParcels': 'Mostra la referència cadastral i la població estimada.',
+    'guide.clickParcel.title': 'Fes clic en una parcel·la',
+    'guide.clickParcel': 'Obre els detalls de la parcel·la i les rutes a peu fins a la zona verda més propera (torna a fer-hi clic per tancar-los).',
+    'guide.hoverGreen.title': 'Passa per sobre de les zones verdes',
+    'guide.hoverGreen': 'Mostra el nom i la superfície del parc.',
+    'guide.structures.title': 'Estructures verdes',
+    'guide.structures': 'Àrees contornejades que agrupen parcs propers. Fes clic en una per veure les parcel·les i els residents a qui dona servei.',
+    'guide.pressure.title': 'Pressió sobre els parcs',
+    'guide.pressure': 'Acoloreix les estructures verdes segons els residents servits per hectàrea (de verd a vermell).',
+    'guide.whatIf.title': 'Hipòtesi',
+    'guide.whatIf': 'Dibuixa parcs candidats per estimar els nous temps a peu; les parcel·les que milloren passen de groc a verd segons els minuts guanyats.',
+    'guide.standards.title': 'Estàndards de proximitat',
+    'guide.standards': 'Classifica cada parcel·la segons un estàndard (OMS 300 m, 3-30-300, ciutat dels 15 minuts o regles pròpies en JSON) i mostra la proporció de residents que el compleixen.',
+    'guide.compare.title': 'Compara',
+    'guide.compare': 'Mostra una altra execució de l\'anàlisi (una variant o un fitxer FGB local) al costat del mapa principal o sota una cortina, amb el seu propi llindar, i acoloreix les parcel·les segons quant ha canviat el temps a peu.',
+    'guide.routing.title': 'Ruta des d\'un punt',
+    'guide.routing': 'Carrega la xarxa de vianants (la de la ciutat, o un fitxer FGB o de graf local) i fes clic a qualsevol punt, com una escola o una parada d\'autobús, per dibuixar el camí més curt a peu fins a l\'estructura verda més propera, amb el temps i la distància.',
+    'guide.isochrones.title': 'Isòcrones a peu',
+    'guide.isochrones': 'Fes clic a un parc o al contorn d\'una estructura verda i tria Isòcrones a peu per veure qui hi arriba dins de cada franja (5, 10 i 15 min per defecte), a partir de les dades precalculades de parcel·les o de la xarxa de vianants, amb els residents de cada franja.',
+    'guide.districts.title': 'Districtes',
+    'guide.districts': 'Agrega les parcel·les en districtes o barris: temps mitjà a peu ponderat per població, proporció de residents per sobre del llindar i m² verds per resident, dibuixats en lloc de les parcel·les quan s\'allunya el mapa i ordenats en una taula que pots ordenar.',
+    'guide.search.title': 'Cerca',
+    'guide.search': 'Troba una parcel·la per referència cadastral, un parc pel nom o una adreça.',
+    'guide.export.title': 'Exporta',
+    'guide.export': 'Descarrega les parcel·les a la vista dins del llindar (GeoJSON/CSV), una captura PNG o les rutes seleccionades (GeoJSON/GPX).',
+    'guide.slider.title': 'Control de temps',
+    'guide.slider': 'Filtra les parcel·les pel llindar de temps a peu (en minuts).',
+    'guide.animation.title': 'Animació',
+    'guide.animation': 'L\'engranatge al costat del control fixa l\'interval, el pas i la velocitat de l\'animació, el bucle, una òrbita o un recorregut per vistes desades, i enregistra l\'animació en un vídeo WebM. En tornar a reproduir, continua on s\'havia aturat.',
+    'guide.speed.title': 'Velocitat a peu',
+    'guide.speed': 'Tria un perfil de velocitat (persona gran, infant, cadira de rodes…) o una velocitat pròpia; els temps es recalculen a partir de la distància caminada, que per defecte suposa 5 km/h.',
+    'guide.keyboard.title': 'Teclat',
+    'guide.keyboard': 'Situa el focus al mapa amb Tab. {help} Espai o K reprodueix l\'animació.',
+    'guide.metrics.title': 'Color / Alçada',
+    'guide.metrics': 'Tria la mètrica que es dibuixa com a color de la parcel·la i com a alçada d\'extrusió.',
+    'guide.language.title': 'Idioma',
+    'guide.language': 'Canvia entre català, castellà i anglès sota el títol.',
+    'guide.scale.title': 'Escala de colors',
+    'guide.scale': 'De porpra intens (a prop) a lavanda pàl·lid (lluny).',
+    'guide.offline.title': 'Sense connexió',
+    'guide.offline': 'Després d\'una primera visita, l\'aplicació i les dades de la ciutat queden desades al navegador i s\'obren sense xarxa. Quan no es poden obtenir les tessel·les del mapa, es dibuixa un mapa base senzill amb el límit municipal i les zones verdes; l\'indicador sota el títol mostra quin s\'està fent servir.',
+
+    'about.title': 'Sobre aquest projecte',
+    'about.intro': 'Aquest visor 3D explora l\'accessibilitat a peu a les zones verdes del municipi de Barcelona. ' +
+      'Les parcel·les s\'extrudeixen segons la seva població residencial estimada i s\'acoloreixen segons el temps ' +
+      'a peu fins a la zona verda significativa o l\'estructura verda agregada més propera.',
+    'about.sources': 'Fonts de dades',
+    'about.source.osm': 'zones verdes i xarxa de vianants',
+    'about.source.cadastre.name': 'Cadastre',
+    'about.source.cadastre': 'geometries de les parcel·les i atributs cadastrals',
+    'about.source.ine': 'població per secció censal',
+    'about.source.icgc': 'geometries de les seccions censals',
+    'about.source.derived.name': 'Dades derivades',
+    'about.source.derived': 'població per parcel·la, estructures verdes i rutes a peu més curtes',
+    'about.technologies': 'Tecnologies',
+    'about.techList': 'JavaScript • MapLibre GL JS • WebGL 3D • Python per al preprocessament • Anàlisi de xarxes • FlatGeobuf • GeoJSON • GitHub Pages',
+    'about.author': 'Autoria'
+  },
+
+  es: {
+    'app.title': 'Accesibilidad Verde 3D',
+    'app.documentTitle': 'Accesibilidad Verde 3D - {city} | Visualización de la distancia a pie a los parques',
+    'app.city': 'Ciudad',
+    'app.language': 'Idioma',
+
+    'common.close': 'Cerrar',
+    'common.loading': 'Cargando…',
+
+    'slider.label': 'Tiempo a pie:',
+    'play.play': 'Reproducir animación',
+    'play.pause': 'Pausar animación',
+    'play.title': 'Reproducir / pausar (Espacio o K)',
+    'play.playing': 'Animación en marcha.',
+    'play.paused': 'Animación pausada en {min} min.',
+
+    'controls.colour': 'Color',
+    'controls.height': 'Altura',
+    'controls.highContrast': 'Colores de alto contraste',
+    'controls.speed': 'Velocidad a pie',
+    'controls.customSpeed': 'Velocidad (km/h)',
+    'speed.adult': 'Adulto',
+    'speed.older': 'Persona mayor',
+    'speed.child': 'Niño',
+    'speed.wheelchair': 'Usuario de silla de ruedas',
+    'speed.reduced': 'Movilidad reducida',
+    'speed.option': '{label} ({speed} km/h)',
+    'speed.custom': 'Personalizada…',
+    'speed.changed': 'Velocidad a pie {speed} km/h; tiempos recalculados.',
+    'timeline.settings': 'Opciones de la animación',
+    'timeline.title': 'Animación',
+    'timeline.from': 'Desde (min)',
+    'timeline.to': 'Hasta (min)',
+    'timeline.step': 'Paso (min)',
+    'timeline.interval': 'Segundos por paso',
+    'timeline.loop': 'En bucle',
+    'timeline.camera': 'Cámara',
+    'timeline.camera.none': 'Fija',
+    'timeline.camera.orbit': 'Órbita',
+    'timeline.camera.path': 'Recorrido por vistas',
+    'timeline.addView': 'Añadir la vista actual',
+    'timeline.clearPath': 'Borrar el recorrido',
+    'timeline.keyframes.one': '{n} vista en el recorrido',
+    'timeline.keyframes.other': '{n} vistas en el recorrido',
+    'timeline.record': 'Grabar en vídeo (WebM)',
+    'timeline.recordUnsupported': 'Este navegador no puede grabar el mapa.',
+    'timeline.recording': 'Grabando…',
+    'timeline.recorded': 'Vídeo descargado.',
+    'timeline.recordFailed': 'No se ha podido grabar: {message}',
+
+    'buttons.pressure': 'Presión sobre los parques',
+    'buttons.scenario': 'Escenario hipotético',
+    'buttons.export': 'Exportar',
+    'buttons.guide': 'Guía de uso',
+    'buttons.about': 'Sobre el proyecto',
+
+    'metric.walk_time': 'Tiempo a pie',
+    'metric.walk_distance': 'Distancia a pie',
+    'metric.population': 'Población',
+    'metric.density': 'Densidad de población',
+    'metric.walk_time_band': 'Franja de tiempo a pie',
+
+    'legend.height': 'Altura: {label}',
+    'legend.inView': '(en la vista)',
+    'legend.noParcels': 'Ninguna parcela en la vista',
+
+    'layers.title': 'Capas',
+    'layers.opacity': 'Opacidad: {label}',
+    'layers.extrude': 'Extruir las zonas verdes',
+    'layers.basemap': 'Mapa base',
+    'layers.greenAreas': 'Zonas verdes',
+    'layers.greenStructures': 'Estructuras verdes',
+    'layers.boundary': 'Límite municipal',
+    'layers.routes': 'Rutas',
+    'layers.routeEndpoints': 'Extremos de las rutas',
+    'layers.basemapLabels': 'Etiquetas del mapa base',
+    'basemap.dark': 'Carto oscuro',
+    'basemap.light': 'Carto claro',
+    'basemap.none': 'Ninguno',
+    'basemap.local': 'Local (sin conexión)',
+    'offline.online': 'En línea · teselas del mapa',
+    'offline.offline': 'Sin conexión · mapa base local',
+    'offline.unreachable': 'Teselas del mapa inaccesibles · mapa base local',
+    'offline.cached': 'Guardado para usar sin conexión',
+    'offline.notCached': 'No guardado para usar sin conexión',
+    'offline.retry': 'Haz clic para volver a probar las teselas del mapa',
+
+    'tooltip.parcel': 'Parcela {ref}',
+    'tooltip.withNewParks': 'Con parques nuevos: {min} min',
+    'tooltip.route': 'Ruta',
+    'tooltip.time': 'Tiempo: {time}',
+    'tooltip.distance': 'Distancia: {distance}',
+
+    'selection.selected': 'Parcela {ref} seleccionada.',
+    'selection.routes.one': '{n} ruta mostrada{walk}.',
+    'selection.routes.other': '{n} rutas mostradas{walk}.',
+    'selection.walk': ', {min} min a pie',
+    'selection.noRoutes': 'No se han encontrado rutas.',
+    'selection.deselected': 'Parcela deseleccionada.',
+
+    'navigation.help': 'Pulsa N o P para recorrer las parcelas, M para alternar entre las parcelas bajo el cursor ' +
+      'y las parcelas ordenadas por tiempo a pie, Intro para seleccionar y Escape para salir.',
+    'navigation.map': 'Mapa. {help}',
+    'navigation.none': 'Aquí no hay parcelas.',
+    'navigation.position': '{position} de {total}. {text}',
+    'navigation.cursor': 'Parcelas bajo el cursor.',
+    'navigation.walkTime': 'Parcelas ordenadas por tiempo a pie.',
+
+    'stats.within': 'Residentes a {threshold} min como máximo',
+    'stats.scope': 'Ámbito de las estadísticas',
+    'stats.city': 'Ciudad',
+    'stats.view': 'Vista',
+    'stats.parcels': 'Parcelas:',
+    'stats.median': 'Mediana:',
+    'stats.p90': 'P90:',
+    'stats.ofTotal': 'de {total} ({share})',
+
+    'catchment.structure': 'Estructura verde {id}',
+    'catchment.structureShort': 'Estructura {id}',
+    'catchment.residentsServed': 'residentes servidos',
+    'catchment.greenArea': 'Superficie verde: {area} (estructura de {hectares} ha)',
+    'catchment.perResident': 'Verde por residente: {area}',
+    'catchment.counts': 'Parcelas: {parcels} · Rutas: {routes}',
+    'pressure.fewer': 'Menos residentes / ha',
+    'pressure.more': 'Más',
+    'pressure.mostCrowded': 'Más concurridos:',
+
+    'export.hint': 'Parcelas mostradas en la vista y el umbral actuales.',
+    'export.parcelsGeojson': 'Parcelas (GeoJSON)',
+    'export.parcelsCsv': 'Parcelas (CSV)',
+    'export.snapshot': 'Captura del mapa (PNG)',
+    'export.routesGeojson': 'Rutas (GeoJSON)',
+    'export.routesGpx': 'Rutas (GPX)',
+    'export.done.one': '{n} parcela exportada.',
+    'export.done.other': '{n} parcelas exportadas.',
+    'export.failed': 'La exportación ha fallado: {message}',
+    'export.subtitle': 'Tiempo a pie ≤ {threshold} min · Color: {color} · Altura: {height}',
+
+    'search.placeholder': 'Busca parcela, parque o dirección...',
+    'search.cityData': 'Datos de la ciudad',
+    'search.addresses': 'Direcciones',
+    'search.noResults': 'No se han encontrado resultados',
+    'search.error': 'Error de búsqueda',
+    'search.minWalk': '{min} min a pie',
+
+    'scenario.title': 'Hipótesis: parques nuevos',
+    'scenario.draw': 'Dibujar parque',
+    'scenario.finish': 'Terminar',
+    'scenario.save': 'Guardar',
+    'scenario.load': 'Cargar',
+    'scenario.clear': 'Borrar',
+    'scenario.remove': 'Eliminar',
+    'scenario.drawingHint': 'Haz clic para añadir vértices, doble clic para terminar, Esc para cancelar.',
+    'scenario.emptyHint': 'Dibuja un parque candidato para estimar los nuevos tiempos a pie.',
+    'scenario.summary': 'Factor de rodeo: {factor} · Parcelas mejoradas: {parcels}',
+    'scenario.within': 'Hasta',
+    'scenario.additional': 'Residentes adicionales',
+    'scenario.candidate': 'Parque candidato {index}',
+    'scenario.noPolygons': 'El archivo de escenario no tiene ningún polígono',
+    'scenario.loadFailed': 'No se ha podido cargar el escenario: {message}',
+
+    'standards.title': 'Estándares de proximidad',
+    'standards.ruleSet': 'Estándar',
+    'standards.load': 'Cargar reglas (JSON)',
+    'standards.loaded.one': '{n} conjunto de reglas cargado.',
+    'standards.loaded.other': '{n} conjuntos de reglas cargados.',
+    'standards.loadFailed': 'No se han podido cargar las reglas: {message}',
+    'standards.compliant': 'Cumple',
+    'standards.nonCompliant': 'No cumple',
+    'standards.residentsComply': 'de los residentes cumplen',
+    'standards.residents': '{compliant} de {total} residentes',
+    'standards.parcels': 'Parcelas que cumplen: {compliant} de {total}',
+    'standards.unknown': 'Sin datos: {parcels} parcelas ({population} residentes)',
+    'standards.structureSize': 'Estructura verde',
+    'standards.who': 'OMS: ≥ 0,5 ha a 300 m',
+    'standards.threeThirtyThreeHundred': '3-30-300: parque ≥ 1 ha a 300 m',
+    'standards.fifteenMinute': 'Ciudad de los 15 minutos',
+    'standards.error.noRuleSets': 'El archivo no tiene ningún conjunto de reglas',
+    'standards.error.name': 'El conjunto de reglas {index} no tiene nombre',
+    'standards.error.conditions': '«{name}» no tiene condiciones',
+    'standards.error.property': '«{name}»: propiedad desconocida {property}',
+    'standards.error.bounds': '«{name}»: {property} necesita un mínimo o un máximo numérico',
+
+    'detail.toGreen': 'a pie hasta la estructura verde más cercana',
+    'detail.rank': 'Percentil en la ciudad: {rank} (el {share} de las parcelas tiene un trayecto más corto)',
+    'detail.destination': 'Destino',
+    'detail.noDestination': 'No se ha encontrado la estructura de destino',
+    'detail.route': 'Perfil de la ruta',
+    'detail.routeCount.other': 'La más corta de {n} rutas',
+    'detail.legs.one': '{n} tramo',
+    'detail.legs.other': '{n} tramos',
+    'detail.turns.one': '{n} giro',
+    'detail.turns.other': '{n} giros',
+    'detail.noRoute': 'No se ha cargado ninguna ruta',
+    'detail.properties': 'Propiedades',
+    'detail.zoomToRoute': 'Acercar a la ruta',
+    'detail.copyReference': 'Copiar referencia',
+    'detail.copied': 'Referencia {ref} copiada.',
+    'detail.copyFailed': 'No se ha podido copiar la referencia.',
+
+    'compare.title': 'Comparar conjuntos de datos',
+    'compare.dataset': 'Segundo mapa',
+    'compare.baseline': 'El mismo que el mapa principal',
+    'compare.loadFile': 'Cargar un archivo FGB',
+    'compare.layout': 'Disposición',
+    'compare.split': 'Lado a lado',
+    'compare.swipe': 'Cortina',
+    'compare.threshold': 'Tiempo a pie (segundo mapa):',
+    'compare.difference': 'Colorear por cambio del tiempo a pie',
+    'compare.meanChange': 'cambio medio por parcela emparejada',
+    'compare.matched.one': '{n} parcela emparejada por parcel_id',
+    'compare.matched.other': '{n} parcelas emparejadas por parcel_id',
+    'compare.faster': 'Más cerca: {parcels} parcelas ({population} residentes)',
+    'compare.slower': 'Más lejos: {parcels} parcelas ({population} residentes)',
+    'compare.unchanged.one': '{n} parcela sin cambios',
+    'compare.unchanged.other': '{n} parcelas sin cambios',
+    'compare.unmatched.one': '{n} parcela sin pareja',
+    'compare.unmatched.other': '{n} parcelas sin pareja',
+    'compare.noMatch': 'Ninguna parcela emparejada por parcel_id',
+    'compare.loadFailed': 'No se ha podido cargar el conjunto de datos: {message}',
+    'compare.swipeHandle': 'Posición de la cortina',
+    'compare.tooltipChange': 'Cambio: {change} min',
+
+    'routing.title': 'Ruta desde un punto',
+    'routing.hint': 'Haz clic en cualquier punto del mapa para ir a pie a la estructura verde más cercana.',
+    'routing.loadFile': 'Cargar archivo de red',
+    'routing.network': 'Red {name}: {nodes} nodos, {edges} tramos',
+    'routing.noNetwork': 'No hay ninguna red peatonal cargada. Carga un archivo FGB o de grafo.',
+    'routing.loadFailed': 'No se ha podido cargar la red: {message}',
+    'routing.destination': 'Hasta {destination}',
+    'routing.found': 'Ruta encontrada: {min} min, {distance}.',
+    'routing.offNetwork': 'Este punto está demasiado lejos de la red peatonal.',
+    'routing.unreachable': 'Desde este punto no se llega a ninguna estructura verde.',
+
+    'isochrones.title': 'Isócronas a pie',
+    'isochrones.offer': 'Isócronas a pie',
+    'isochrones.bands': 'Franjas (min)',
+    'isochrones.source': 'Tiempos a pie de',
+    'isochrones.source.parcels': 'Datos precalculados de parcelas',
+    'isochrones.source.network': 'Red peatonal',
+    'isochrones.note.parcels': 'Parcelas que tienen esta estructura verde como la más cercana.',
+    'isochrones.note.network': 'Todas las parcelas al alcance a pie del parque.',
+    'isochrones.band': 'A menos de {min} min',
+    'isochrones.parcels.one': '{n} parcela',
+    'isochrones.parcels.other': '{n} parcelas',
+    'isochrones.noStructure': 'Este parque no pertenece a ninguna estructura verde; usa la red peatonal.',
+    'isochrones.noNetwork': 'No hay ninguna red peatonal cargada. Carga una en el panel de ruta desde un punto.',
+    'isochrones.failed': 'No se han podido calcular las isócronas: {message}',
+    'isochrones.announce': '{park}: {population} residentes a menos de {min} min.',
+
+    'districts.title': 'Distritos',
+    'districts.colourBy': 'Colorear por',
+    'districts.extrude': 'Extruir según el valor',
+    'districts.area': 'Área',
+    'districts.meanWalkTime': 'Tiempo medio a pie',
+    'districts.shareAbove': 'Residentes por encima del umbral',
+    'districts.greenPerResident': 'm² verdes por residente',
+    'districts.threshold': 'Umbral: {min} min',
+    'districts.load': 'Cargar áreas (GeoJSON)',
+    'districts.loaded.one': '{n} área de {name}',
+    'districts.loaded.other': '{n} áreas de {name}',
+    'districts.loadFailed': 'No se han podido cargar las áreas: {message}',
+    'districts.noAreas': 'No hay áreas para esta ciudad. Carga un GeoJSON de distritos o barrios.',
+    'districts.areas.one': '{n} área',
+    'districts.areas.other': '{n} áreas',
+
+    'guide.title': 'Cómo usar el visor',
+    'guide.rotate.title': 'Girar / Zoom',
+    'guide.rotate': 'Navega por la ciudad 3D con el ratón o el panel táctil.',
+    'guide.hoverParcels.title': 'Pasa por encima de las parcelas',
+    'guide.hoverParcels': 'Muestra la referencia catastral y la población estimada.',
+    'guide.clickParcel.title': 'Haz clic en una parcela',
+    'guide.clickParcel': 'Abre los detalles de la parcela y las rutas a pie hasta la zona verde más cercana (vuelve a hacer clic para cerrarlos).',
+    'guide.hoverGreen.title': 'Pasa por encima de las zonas verdes',
+    'guide.hoverGreen': 'Muestra el nombre y la superficie del parque.',
+    'guide.structures.title': 'Estructuras verdes',
+    'guide.structures': 'Áreas contorneadas que agrupan parques cercanos. Haz clic en una para ver las parcelas y los residentes a los que da servicio.',
+    'guide.pressure.title': 'Presión sobre los parques',
+    'guide.pressure': 'Colorea las estructuras verdes según los residentes servidos por hectárea (de verde a rojo).',
+    'guide.whatIf.title': 'Hipótesis',
+    'guide.whatIf': 'Dibuja parques candidatos para estimar los nuevos tiempos a pie; las parcelas que mejoran pasan de amarillo a verde según los minutos ganados.',
+    'guide.standards.title': 'Estándares de proximidad',
+    'guide.standards': 'Clasifica cada parcela según un estándar (OMS 300 m, 3-30-300, ciudad de los 15 minutos o reglas propias en JSON) y muestra la proporción de residentes que lo cumplen.',
+    'guide.compare.title': 'Comparar',
+    'guide.compare': 'Muestra otra ejecución del análisis (una variante o un archivo FGB local) junto al mapa principal o bajo una cortina, con su propio umbral, y colorea las parcelas según cuánto ha cambiado el tiempo a pie.',
+    'guide.routing.title': 'Ruta desde un punto',
+    'guide.routing': 'Carga la red peatonal (la de la ciudad, o un archivo FGB o de grafo local) y haz clic en cualquier punto, como una escuela o una parada de autobús, para dibujar el camino más corto a pie hasta la estructura verde más cercana, con el tiempo y la distancia.',
+    'guide.isochrones.title': 'Isócronas a pie',
+    'guide.isochrones': 'Haz clic en un parque o en el contorno de una estructura verde y elige Isócronas a pie para ver quién llega dentro de cada franja (5, 10 y 15 min por defecto), a partir de los datos precalculados de parcelas o de la red peatonal, con los residentes de cada franja.',
+    'guide.districts.title': 'Distritos',
+    'guide.districts': 'Agrega las parcelas en distritos o barrios: tiempo medio a pie ponderado por población, proporción de residentes por encima del umbral y m² verdes por residente, dibujados en lugar de las parcelas al alejar el mapa y clasificados en una tabla que puedes ordenar.',
+    'guide.search.title': 'Búsqueda',
+    'guide.search': 'Encuentra una parcela por referencia catastral, un parque por su nombre o una dirección.',
+    'guide.export.title': 'Exportar',
+    'guide.export': 'Descarga las parcelas en la vista dentro del umbral (GeoJSON/CSV), una captura PNG o las rutas seleccionadas (GeoJSON/GPX).',
+    'guide.slider.title': 'Control de tiempo',
+    'guide.slider': 'Filtra las parcelas por el umbral de tiempo a pie (en minutos).',
+    'guide.animation.title': 'Animación',
+    'guide.animation': 'El engranaje junto al control fija el intervalo, el paso y la velocidad de la animación, el bucle, una órbita o un recorrido por vistas guardadas, y graba la animación en un vídeo WebM. Al volver a reproducir, continúa donde se había parado.',
+    'guide.speed.title': 'Velocidad a pie',
+    'guide.speed': 'Elige un perfil de velocidad (persona mayor, niño, silla de ruedas…) o una velocidad propia; los tiempos se recalculan a partir de la distancia caminada, que por defecto supone 5 km/h.',
+    'guide.keyboard.title': 'Teclado',
+    'guide.keyboard': 'Sitúa el foco en el mapa con Tab. {help} Espacio o K reproduce la animación.',
+    'guide.metrics.title': 'Color / Altura',
+    'guide.metrics': 'Elige la métrica que se dibuja como color de la parcela y como altura de extrusión.',
+    'guide.language.title': 'Idioma',
+    'guide.language': 'Cambia entre catalán, castellano e inglés bajo el título.',
+    'guide.scale.title': 'Escala de colores',
+    'guide.scale': 'De púrpura intenso (cerca) a lavanda pálido (lejos).',
+    'guide.offline.title': 'Sin conexión',
+    'guide.offline': 'Tras una primera visita, la aplicación y los datos de la ciudad quedan guardados en el navegador y se abren sin red. Cuando no se pueden obtener las teselas del mapa, se dibuja un mapa base sencillo con el límite municipal y las zonas verdes; el indicador bajo el título muestra cuál se está usando.',
+
+    'about.title': 'Sobre este proyecto',
+    'about.intro': 'Este visor 3D explora la accesibilidad a pie a las zonas verdes del municipio de Barcelona. ' +
+      'Las parcelas se extruyen según su población residencial estimada y se colorean según el tiempo a pie ' +
+      'hasta la zona verde significativa o la estructura verde agregada más cercana.',
+    'about.sources': 'Fuentes de datos',
+    'about.source.osm': 'zonas verdes y red peatonal',
+    'about.source.cadastre.name': 'Catastro',
+    'about.source.cadastre': 'geometrías de las parcelas y atributos catastrales',
+    'about.source.ine': 'población por sección censal',
+    'about.source.icgc': 'geometrías de las secciones censales',
+    'about.source.derived.name': 'Datos derivados',
+    'about.source.derived': 'población por parcela, estructuras verdes y rutas a pie más cortas',
+    'about.technologies': 'Tecnologías',
+    'about.techList': 'JavaScript • MapLibre GL JS • WebGL 3D • Python para el preprocesamiento • Análisis de redes • FlatGeobuf • GeoJSON • GitHub Pages',
+    'about.author': 'Autoría'
+  }
+};
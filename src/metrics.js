@@ -0,0 +1,146 @@
+// Thematic metrics for parcels
+// Each metric knows the property it is drawn from, its colour ramp, its extrusion
+// height scale and how to format its value for tooltips and legends.
+// ctx carries city-dependent ranges and display options: { maxWalkTime, highContrast, walkSpeed }
+// (maxWalkTime in minutes at walkSpeed, in km/h).
+
+import { DATA_SPEED_KMH, metresPerMinute, walkTimeAt, walkTimeExpression } from './walk-speed.js';
+import { t, formatNumber, formatDistance, formatPopulation } from './i18n.js';
+
+const PURPLES = ['#4A148C', '#6A1B9A', '#8E24AA', '#AB47BC', '#CE93D8', '#E1BEE7', '#F3E5F5'];
+// Viridis, bright to dark: colour-blind safe with a steady lightness change
+const HIGH_CONTRAST = ['#FDE725', '#A0DA39', '#4AC16D', '#1FA187', '#277F8E', '#365C8D', '#46327E'];
+
+function speedOf(ctx) {
+  return ctx?.walkSpeed ?? DATA_SPEED_KMH;
+}
+
+// Seven shades from "close / high" (0) to "far / low" (6)
+export function paletteOf(ctx) {
+  return ctx?.highContrast ? HIGH_CONTRAST : PURPLES;
+}
+
+// Walk time colour stops, with the palest stop at the city's max walk time
+function walkTimeStops(ctx) {
+  const shades = paletteOf(ctx);
+  const stops = [
+    [0, shades[0]],    // 0 min - CLOSE (deep purple)
+    [3, shades[1]],
+    [6, shades[2]],
+    [10, shades[3]],
+    [15, shades[4]],
+    [25, shades[5]]
+  ].filter(([t]) => t < ctx.maxWalkTime);
+  stops.push([ctx.maxWalkTime, shades[6]]);  // max - FAR (very pale lavender)
+  return stops;
+}
+
+// shade: index into the palette
+export const WALK_TIME_BANDS = [
+  { min: 0, label: '0–5 min', shade: 0 },
+  { min: 5, label: '5–10 min', shade: 2 },
+  { min: 10, label: '10–15 min', shade: 4 },
+  { min: 15, label: '15+ min', shade: 6 }
+];
+
+export const DEFAULT_COLOR_METRIC = 'walk_time';
+export const DEFAULT_HEIGHT_METRIC = 'population';
+
+export const METRICS = {
+  walk_time: {
+    label: t('metric.walk_time'),
+    property: 'walk_time',
+    value: (ctx) => walkTimeExpression(speedOf(ctx)),
+    colorStops: (ctx) => walkTimeStops(ctx),
+    heightScale: 5,  // m per minute
+    format: (v) => `${v} min`
+  },
+  walk_distance: {
+    label: t('metric.walk_distance'),
+    property: 'walk_distance',
+    value: () => ['get', 'walk_distance'],
+    // Same ramp as walk time, converted at walking speed
+    colorStops: (ctx) => walkTimeStops(ctx).map(([t, c]) => [Math.round(t * metresPerMinute(speedOf(ctx))), c]),
+    heightScale: 0.05,  // m per metre walked
+    format: (v) => formatDistance(v)
+  },
+  population: {
+    label: t('metric.population'),
+    property: 'population',
+    value: () => ['get', 'population'],
+    colorStops: (ctx) => {
+      const shades = paletteOf(ctx);
+      return [[0, shades[6]], [25, shades[4]], [50, shades[3]], [100, shades[2]], [200, shades[1]], [400, shades[0]]];
+    },
+    heightScale: 0.8,  // m per resident
+    format: (v) => formatPopulation(v)
+  },
+  density: {
+    label: t('metric.density'),
+    property: 'population',
+    // Residents per hectare of parcel; parcel_area_m2 is filled in by the decoding worker.
+    // Plasma is already high contrast.
+    value: () => ['/', ['get', 'population'], ['max', ['/', ['coalesce', ['get', 'parcel_area_m2'], 0], 10000], 0.0001]],
+    colorStops: () => [[0, '#0D0887'], [100, '#7E03A8'], [250, '#CC4778'], [500, '#F89540'], [1000, '#F0F921']],
+    heightScale: 0.1,  // m per resident/ha
+    format: (v) => `${formatNumber(v)} /ha`
+  },
+  walk_time_band: {
+    label: t('metric.walk_time_band'),
+    property: 'walk_time',
+    // Band index 0..3
+    value: (ctx) => ['step', walkTimeExpression(speedOf(ctx)), 0, ...WALK_TIME_BANDS.slice(1).flatMap((b, i) => [b.min, i + 1])],
+    bands: WALK_TIME_BANDS,
+    heightScale: 20,  // m per band
+    format: (v) => WALK_TIME_BANDS[Math.round(v)]?.label ?? '—'
+  }
+};
+
+// Same value the style expressions compute, for tooltips
+export function metricValue(metricId, properties, ctx) {
+  const p = properties || {};
+  const property = METRICS[metricId].property;
+  const raw = property === 'walk_time' ? walkTimeAt(p, speedOf(ctx)) : p[property];
+  if (typeof raw !== 'number') return null;
+  switch (metricId) {
+    case 'density':
+      return raw / Math.max((Number(p.parcel_area_m2) || 0) / 10000, 0.0001);
+    case 'walk_time_band':
+      return WALK_TIME_BANDS.reduce((band, b, i) => (raw >= b.min ? i : band), 0);
+    default:
+      return raw;
+  }
+}
+
+export function formatMetric(metricId, properties, ctx) {
+  const value = metricValue(metricId, properties, ctx);
+  return value === null ? '—' : METRICS[metricId].format(value);
+}
+
+// Expression testing whether a parcel has the metric's property
+export function hasMetricExpression(metricId) {
+  return ['==', ['typeof', ['get', METRICS[metricId].property]], 'number'];
+}
+
+// Colour ramp for the metric value; callers handle parcels without a value
+export function metricColorExpression(metricId, ctx) {
+  const metric = METRICS[metricId];
+  if (metric.bands) {
+    const shades = paletteOf(ctx);
+    return ['match', metric.value(ctx), ...metric.bands.flatMap((b, i) => [i, shades[b.shade]]), shades[metric.bands[0].shade]];
+  }
+  return ['interpolate', ['linear'], metric.value(ctx), ...metric.colorStops(ctx).flat()];
+}
+
+// Extrusion height in metres; parcels without a value stay flat (0.5 m, as before)
+export function metricHeightExpression(metricId, ctx) {
+  const metric = METRICS[metricId];
+  const value = metric.bands ? ['+', metric.value(ctx), 1] : metric.value(ctx);
+  return ['case', hasMetricExpression(metricId), ['max', ['*', value, metric.heightScale], 0.5], 0.5];
+}
+
+// Extrusion height in metres for a metric value, as drawn by metricHeightExpression
+export function metricHeight(metricId, value) {
+  const metric = METRICS[metricId];
+  return Math.max((metric.bands ? value + 1 : value) * metric.heightScale, 0.5);
+}
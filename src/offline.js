@@ -0,0 +1,63 @@
+// Offline support
+// Registers the service worker (sw.js) that caches the app and the city data, and
+// follows whether the basemap tiles can be reached. Offline, or after repeated tile
+// failures, the viewer swaps the tiles for the local basemap drawn from the city's
+// boundary and green layers.
+
+const TILE_FAILURES = 3;  // failed tiles in a row before the tiles count as unreachable
+
+// Resolves true once a service worker is active for the page, false when unsupported
+// (old browsers, or pages not served over https or from localhost)
+export async function registerServiceWorker(url) {
+  if (!('serviceWorker' in navigator)) return false;
+  try {
+    await navigator.serviceWorker.register(url);
+    await navigator.serviceWorker.ready;
+    return true;
+  } catch (error) {
+    console.warn('[offline] Service worker not registered:', error);
+    return false;
+  }
+}
+
+// Mode of the basemap: 'online' (tiles), 'offline' (no network) or 'unreachable'
+// (network up, tiles failing). onChange(mode) runs when it changes.
+export class ConnectionMonitor {
+  // sources: ids of the tiled basemap sources
+  constructor(map, { sources, onChange }) {
+    this._sources = new Set(sources);
+    this._onChange = onChange;
+    this._failures = 0;
+    this.mode = navigator.onLine ? 'online' : 'offline';
+
+    map.on('error', (e) => {
+      if (!this._sources.has(e.sourceId) || this.mode !== 'online') return;
+      this._failures += 1;
+      if (this._failures >= TILE_FAILURES) this._set('unreachable');
+    });
+    map.on('sourcedata', (e) => {
+      if (this._sources.has(e.sourceId) && e.tile) this._failures = 0;
+    });
+    this._onOffline = () => this._set('offline');
+    this._onOnline = () => this.retry();
+    window.addEventListener('offline', this._onOffline);
+    window.addEventListener('online', this._onOnline);
+  }
+
+  destroy() {
+    window.removeEventListener('offline', this._onOffline);
+    window.removeEventListener('online', this._onOnline);
+  }
+
+  // Show the tiles again (they are only requested while drawn); failures switch back
+  retry() {
+    this._failures = 0;
+    this._set(navigator.onLine ? 'online' : 'offline');
+  }
+
+  _set(mode) {
+    if (mode === this.mode) return;
+    this.mode = mode;
+    this._onChange(mode);
+  }
+}
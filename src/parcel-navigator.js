@@ -0,0 +1,106 @@
+// Keyboard navigation through parcels
+// With the map focused: N / P (or Page Down / Page Up) move to the next / previous
+// parcel, M switches between parcels under the cursor and parcels sorted by walk time,
+// Enter selects the current parcel and Escape leaves navigation.
+
+import { geometryBbox, bboxCenter, distanceMetres } from './geometry.js';
+import { t } from './i18n.js';
+
+const CURSOR_RADIUS_PX = 40;
+
+export const NAVIGATION_HELP = t('navigation.help');
+
+export class ParcelNavigator {
+  // getParcels(): parcels currently drawn (loaded, in view and under the threshold)
+  // onFocus(feature, position, total), onSelect(feature), onClear(), onModeChange(mode)
+  constructor({ map, layerId, getParcels, onFocus, onSelect, onClear, onModeChange }) {
+    this._map = map;
+    this._layerId = layerId;
+    this._getParcels = getParcels;
+    this._onFocus = onFocus;
+    this._onSelect = onSelect;
+    this._onClear = onClear;
+    this._onModeChange = onModeChange;
+    this.mode = 'cursor';
+    this._list = null;
+    this._index = -1;
+    this._cursor = null;
+
+    const canvas = map.getCanvas();
+    canvas.setAttribute('aria-label', t('navigation.map', { help: NAVIGATION_HELP }));
+    canvas.addEventListener('keydown', (e) => this._onKeyDown(e));
+    map.on('mousemove', (e) => {
+      this._cursor = e.point;
+    });
+    // The list is rebuilt after the view or the filter changes
+    map.on('moveend', () => this.invalidate());
+  }
+
+  invalidate() {
+    this._list = null;
+  }
+
+  _onKeyDown(e) {
+    if (e.altKey || e.ctrlKey || e.metaKey) return;
+    const key = e.key.toLowerCase();
+    if (key === 'n' || e.key === 'PageDown') {
+      this._step(1);
+    } else if (key === 'p' || e.key === 'PageUp') {
+      this._step(-1);
+    } else if (key === 'm') {
+      this.mode = this.mode === 'cursor' ? 'walk_time' : 'cursor';
+      this.invalidate();
+      this._index = -1;
+      this._onModeChange(this.mode);
+    } else if (e.key === 'Enter' && this._current()) {
+      this._onSelect(this._current());
+    } else if (e.key === 'Escape' && this._index !== -1) {
+      this._index = -1;
+      this._onClear();
+    } else {
+      return;
+    }
+    e.preventDefault();
+  }
+
+  _current() {
+    return this._list?.[this._index] || null;
+  }
+
+  _step(direction) {
+    if (!this._list) {
+      this._list = this.mode === 'cursor' ? this._parcelsUnderCursor() : this._parcelsByWalkTime();
+      this._index = direction > 0 ? -1 : 0;
+    }
+    if (!this._list.length) {
+      this._onFocus(null, 0, 0);
+      return;
+    }
+    this._index = (this._index + direction + this._list.length) % this._list.length;
+    this._onFocus(this._list[this._index], this._index + 1, this._list.length);
+  }
+
+  // Parcels drawn near the mouse (or the map centre), closest first
+  _parcelsUnderCursor() {
+    const canvas = this._map.getCanvas();
+    const point = this._cursor || { x: canvas.clientWidth / 2, y: canvas.clientHeight / 2 };
+    const box = [
+      [point.x - CURSOR_RADIUS_PX, point.y - CURSOR_RADIUS_PX],
+      [point.x + CURSOR_RADIUS_PX, point.y + CURSOR_RADIUS_PX]
+    ];
+    const ids = new Set(this._map.queryRenderedFeatures(box, { layers: [this._layerId] })
+      .map(f => f.properties.parcel_id));
+    const { lng, lat } = this._map.unproject([point.x, point.y]);
+    return this._getParcels()
+      .filter(f => ids.has(f.properties.parcel_id))
+      .map(f => ({ f, d: distanceMetres([lng, lat], bboxCenter(geometryBbox(f.geometry))) }))
+      .sort((a, b) => a.d - b.d)
+      .map(({ f }) => f);
+  }
+
+  // Parcels drawn in the view, shortest (effective) walk time first
+  _parcelsByWalkTime() {
+    const time = (f) => f.properties.scenario_walk_time ?? f.properties.walk_time ?? Infinity;
+    return [...this._getParcels()].sort((a, b) => time(a) - time(b));
+  }
+}
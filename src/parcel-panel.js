@@ -0,0 +1,116 @@
+// Parcel detail panel
+// Opens when a parcel is selected: walk time and distance, the city-wide percentile rank,
+// the destination green structure and its parks, a profile of the shortest route (legs
+// between turns) and every property of the parcel, with zoom-to-route and
+// copy-reference actions.
+
+import { t, formatNumber, formatArea, formatDistance, formatPercent } from './i18n.js';
+
+const MAX_LEGS_LISTED = 10;
+const LEG_COLORS = ['#f87171', '#fb923c'];  // alternating, as the route gradient
+
+function formatProperty(value) {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'number') return formatNumber(value, 2);
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+export class ParcelPanel {
+  // onZoomToRoute() and onCopyReference() run from the action buttons, onClose() on close
+  constructor(container, { onClose, onZoomToRoute, onCopyReference }) {
+    this._container = container;
+    this._container.style.display = 'none';
+    this._container.innerHTML = `
+      <div class="catchment-header">
+        <div class="legend-title parcel-title"></div>
+        <button type="button" class="catchment-close" aria-label="${t('common.close')}">×</button>
+      </div>
+      <div class="parcel-body"></div>
+      <div class="scenario-actions">
+        <button type="button" class="scenario-button" data-action="zoom" disabled>${t('detail.zoomToRoute')}</button>
+        <button type="button" class="scenario-button" data-action="copy">${t('detail.copyReference')}</button>
+      </div>
+      <div class="catchment-row parcel-status" role="status"></div>
+    `;
+    const $ = (selector) => this._container.querySelector(selector);
+    $('.catchment-close').addEventListener('click', onClose);
+    $('[data-action="zoom"]').addEventListener('click', onZoomToRoute);
+    $('[data-action="copy"]').addEventListener('click', onCopyReference);
+  }
+
+  get isOpen() {
+    return this._container.style.display !== 'none';
+  }
+
+  // properties: the parcel's; walkTime: its walk time at the current walking speed;
+  // rank: walk time percentile rank (0..1) or null.
+  // routes is undefined while they load; profile: routeProfile() of the shortest route;
+  // structure: its destination structure (from the catchment index) or null
+  show({ properties, walkTime = properties.walk_time ?? null, rank, routes, profile, structure }) {
+    const p = properties;
+    const loading = routes === undefined;
+    const $ = (selector) => this._container.querySelector(selector);
+    $('.parcel-title').textContent = t('tooltip.parcel', { ref: p.cadastral_parcel || p.parcel_id });
+    $('.parcel-status').textContent = '';
+    $('[data-action="zoom"]').disabled = loading || !routes.length;
+
+    const rankRow = rank === null
+      ? ''
+      : `<div class="catchment-row">${t('detail.rank', {
+        rank: formatNumber(Math.round(rank * 100)),
+        share: formatPercent(rank)
+      })}</div>`;
+
+    $('.parcel-body').innerHTML = `
+      <div class="catchment-main">${walkTime === null ? '—' : `${walkTime} min`} <span>${t('detail.toGreen')}</span></div>
+      <div class="catchment-row">${t('metric.walk_distance')}: ${p.walk_distance ? formatDistance(p.walk_distance) : '—'}</div>
+      ${rankRow}
+      <div class="legend-title parcel-section">${t('detail.destination')}</div>
+      ${loading ? `<div class="catchment-row">${t('common.loading')}</div>` : this._destination(structure)}
+      <div class="legend-title parcel-section">${t('detail.route')}</div>
+      ${loading ? `<div class="catchment-row">${t('common.loading')}</div>` : this._profile(routes, profile)}
+      <div class="legend-title parcel-section">${t('detail.properties')}</div>
+      <table class="parcel-properties">
+        ${Object.entries(p).map(([key, value]) => `<tr><th>${key}</th><td>${formatProperty(value)}</td></tr>`).join('')}
+      </table>
+    `;
+    this._container.style.display = 'block';
+  }
+
+  _destination(structure) {
+    if (!structure) return `<div class="catchment-row">${t('detail.noDestination')}</div>`;
+    const parks = structure.parks.length
+      ? `<ul class="catchment-parks">${structure.parks.map(park =>
+        `<li>${park.name || '—'} <span>${formatArea(park.m2)}</span></li>`
+      ).join('')}</ul>`
+      : '';
+    return `
+      <div class="catchment-row">${t('catchment.structure', { id: structure.id })} (${formatNumber(structure.hectares, 1)} ha)</div>
+      ${parks}`;
+  }
+
+  // Bar of the legs between turns, proportional to their length, and the leg lengths
+  _profile(routes, profile) {
+    if (!routes.length || !profile?.legs.length) return `<div class="catchment-row">${t('detail.noRoute')}</div>`;
+    const bar = profile.legs.map((leg, i) =>
+      `<div style="flex:${leg.toFixed(1)};background:${LEG_COLORS[i % 2]};" title="${formatDistance(leg)}"></div>`
+    ).join('');
+    const listed = profile.legs.slice(0, MAX_LEGS_LISTED).map(leg => formatDistance(leg)).join(' · ');
+    const more = profile.legs.length > MAX_LEGS_LISTED ? ' · …' : '';
+    const count = profile.legs.length;
+    return `
+      ${routes.length > 1 ? `<div class="catchment-row">${t('detail.routeCount', { count: routes.length, n: formatNumber(routes.length) })}</div>` : ''}
+      <div class="catchment-row">${formatDistance(profile.length)} · ${t('detail.legs', { count, n: formatNumber(count) })} · ${t('detail.turns', { count: profile.turns, n: formatNumber(profile.turns) })}</div>
+      <div class="parcel-profile">${bar}</div>
+      <div class="catchment-row parcel-legs">${listed}${more}</div>`;
+  }
+
+  setStatus(text) {
+    this._container.querySelector('.parcel-status').textContent = text;
+  }
+
+  hide() {
+    this._container.style.display = 'none';
+  }
+}
@@ -0,0 +1,215 @@
+// Viewport parcel loading
+// Parcels are fetched per slippy-map tile through the FlatGeobuf spatial index, decoded
+// in a worker (see fgb-worker.js), and the decoded features are cached by tile. On each viewport change only tiles that have not
+// been seen yet are requested; requests for tiles that left the view are cancelled.
+// The map source uses promoteId: 'parcel_id', so feature ids (and therefore
+// feature-state for selection and hover) stay stable whatever order tiles arrive in.
+
+import { LRUCache } from './lru.js';
+import { geometryBbox, bboxesIntersect, boundsToBbox } from './geometry.js';
+
+const TILE_ZOOM = 14;          // ~1.8 km tiles at Barcelona's latitude
+const MAX_CACHED_TILES = 256;
+const MAX_TILES_PER_VIEW = 36; // Pitched views reach the horizon; load nearest tiles first
+
+function lonToTileX(lon, z) {
+  return Math.floor(((lon + 180) / 360) * 2 ** z);
+}
+
+function latToTileY(lat, z) {
+  const rad = lat * Math.PI / 180;
+  return Math.floor((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2 * 2 ** z);
+}
+
+function tileXToLon(x, z) {
+  return (x / 2 ** z) * 360 - 180;
+}
+
+function tileYToLat(y, z) {
+  const n = Math.PI - (2 * Math.PI * y) / 2 ** z;
+  return (180 / Math.PI) * Math.atan(0.5 * (Math.exp(n) - Math.exp(-n)));
+}
+
+// FlatGeobuf rect for a tile
+function tileRect(x, y, z) {
+  return {
+    minX: tileXToLon(x, z),
+    minY: tileYToLat(y + 1, z),
+    maxX: tileXToLon(x + 1, z),
+    maxY: tileYToLat(y, z)
+  };
+}
+
+// Tiles covering a LngLatBounds, nearest to the centre first
+function tilesForBounds(bounds, z) {
+  const minX = lonToTileX(bounds.getWest(), z);
+  const maxX = lonToTileX(bounds.getEast(), z);
+  const minY = latToTileY(bounds.getNorth(), z);
+  const maxY = latToTileY(bounds.getSouth(), z);
+  const cx = (minX + maxX) / 2;
+  const cy = (minY + maxY) / 2;
+
+  const tiles = [];
+  for (let x = minX; x <= maxX; x++) {
+    for (let y = minY; y <= maxY; y++) {
+      tiles.push({ key: `${z}/${x}/${y}`, x, y, z, d: (x - cx) ** 2 + (y - cy) ** 2 });
+    }
+  }
+  return tiles.sort((a, b) => a.d - b.d);
+}
+
+export class ParcelTileCache {
+  // decoder: FgbDecoder (decodes in a worker)
+  constructor({ decoder }) {
+    this._decoder = decoder;
+    this._tiles = new LRUCache(MAX_CACHED_TILES);
+    this._pending = new Map();  // tile key -> { controller, promise }
+    this._bboxes = new WeakMap();  // feature -> extent, computed on demand
+    this._byId = null;  // parcel_id -> feature, rebuilt on demand after loads
+  }
+
+  // Point the cache at another parcels file (e.g. after a city switch)
+  setSource(url) {
+    this.abortAll();
+    this._url = url;
+    this._tiles.clear();
+    this._all = null;
+    this._byId = null;
+    this.stats = null;
+  }
+
+  // URL (or bytes) of the parcels file currently served
+  get source() {
+    return this._url;
+  }
+
+  abortAll() {
+    this._pending.forEach(({ controller }) => controller.abort());
+    this._pending.clear();
+  }
+
+  // Stream the whole file once; afterwards viewport changes are served from memory.
+  // onBatch receives features as the worker decodes them. Also sets this.stats, the
+  // walk time histogram of the whole city.
+  async loadAll(onBatch = null) {
+    const url = this._url;
+    const controller = new AbortController();
+    this._pending.set('*', { controller });
+    try {
+      const { collection, stats } = await this._decoder.load(url, {
+        stats: true,
+        onBatch,
+        signal: controller.signal
+      });
+      if (url === this._url) {
+        this._all = collection.features;
+        this._byId = null;
+        this.stats = stats;
+      }
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error(`[ParcelTileCache] Failed to load ${url}:`, error);
+      }
+    } finally {
+      this._pending.delete('*');
+    }
+    return this.toFeatureCollection();
+  }
+
+  // Fetch tiles of the viewport that are not cached yet.
+  // Resolves to the updated FeatureCollection, or null if nothing new was loaded.
+  async loadViewport(bounds) {
+    if (this._all) return null;
+
+    const url = this._url;
+    const tiles = tilesForBounds(bounds, TILE_ZOOM).slice(0, MAX_TILES_PER_VIEW);
+    const wanted = new Set(tiles.map(t => t.key));
+
+    // Cancel tiles that scrolled out of view
+    this._pending.forEach(({ controller }, key) => {
+      if (key !== '*' && !wanted.has(key)) {
+        controller.abort();
+        this._pending.delete(key);
+      }
+    });
+
+    const missing = tiles.filter(t => !this._tiles.has(t.key));
+    if (missing.length === 0) return null;
+
+    const results = await Promise.all(missing.map(t => this._loadTile(t)));
+    if (url !== this._url || !results.some(Boolean)) return null;
+    return this.toFeatureCollection();
+  }
+
+  // Resolves true when the tile was added to the cache
+  _loadTile(tile) {
+    const pending = this._pending.get(tile.key);
+    if (pending) return pending.promise;
+
+    const url = this._url;
+    const controller = new AbortController();
+    const promise = (async () => {
+      let features;
+      try {
+        ({ collection: { features } } = await this._decoder.load(url, {
+          rect: tileRect(tile.x, tile.y, tile.z),
+          signal: controller.signal
+        }));
+      } catch (error) {
+        if (error.name !== 'AbortError') {
+          console.error(`[ParcelTileCache] Failed to load tile ${tile.key}:`, error);
+        }
+        return false;
+      } finally {
+        if (this._pending.get(tile.key)?.controller === controller) {
+          this._pending.delete(tile.key);
+        }
+      }
+      if (url !== this._url) return false;
+      this._tiles.set(tile.key, features);
+      this._byId = null;
+      return true;
+    })();
+
+    this._pending.set(tile.key, { controller, promise });
+    return promise;
+  }
+
+  // All cached parcels, de-duplicated on parcel_id (features can straddle tiles)
+  toFeatureCollection() {
+    if (this._all) {
+      return { type: 'FeatureCollection', features: this._all };
+    }
+    const byId = new Map();
+    for (const features of this._tiles.values()) {
+      for (const feature of features) {
+        byId.set(feature.properties?.parcel_id ?? feature, feature);
+      }
+    }
+    return { type: 'FeatureCollection', features: [...byId.values()] };
+  }
+
+  // Loaded parcels whose extent intersects a LngLatBounds
+  featuresInBounds(bounds) {
+    const view = boundsToBbox(bounds);
+    return this.toFeatureCollection().features.filter(feature => bboxesIntersect(this._bboxOf(feature), view));
+  }
+
+  // Extent of a loaded parcel, or null
+  extentOf(parcelId) {
+    if (!this._byId) {
+      this._byId = new Map(this.toFeatureCollection().features.map(f => [f.properties?.parcel_id, f]));
+    }
+    const feature = this._byId.get(parcelId);
+    return feature ? this._bboxOf(feature) : null;
+  }
+
+  _bboxOf(feature) {
+    let bbox = this._bboxes.get(feature);
+    if (!bbox) {
+      bbox = geometryBbox(feature.geometry);
+      this._bboxes.set(feature, bbox);
+    }
+    return bbox;
+  }
+}
@@ -0,0 +1,150 @@
+// Per-parcel route lookup
+// Routes are looked up in three steps, cheapest first:
+//   1. an LRU cache of routes already fetched (keyed by parcel_id)
+//   2. an optional sidecar index mapping parcel_id to byte ranges in the routes FlatGeobuf
+//   3. a bbox query around the parcel using the FlatGeobuf spatial index (HTTP range requests)
+// The bbox query reaches a little beyond the parcel; neighbours whose whole search area
+// lies inside it have all their routes in the result and are cached too, so clicking
+// nearby parcels does not hit the network again.
+
+import { LRUCache } from './lru.js';
+
+const SEARCH_PADDING_M = 50;  // Routes may start on the street just outside the parcel
+const NEIGHBOUR_M = 60;  // Extra reach of a bbox query, for the routes of nearby parcels
+
+// Grow a lon/lat bbox by a distance in metres
+function padBbox(bbox, metres) {
+  const dLat = metres / 111320;
+  const dLon = metres / (111320 * Math.cos(((bbox.minY + bbox.maxY) / 2) * Math.PI / 180));
+  return {
+    minX: bbox.minX - dLon,
+    minY: bbox.minY - dLat,
+    maxX: bbox.maxX + dLon,
+    maxY: bbox.maxY + dLat
+  };
+}
+
+function bboxContains(outer, inner) {
+  return inner.minX >= outer.minX && inner.maxX <= outer.maxX &&
+    inner.minY >= outer.minY && inner.maxY <= outer.maxY;
+}
+
+async function fetchRange(url, start, end, signal) {
+  const response = await fetch(url, { headers: { Range: `bytes=${start}-${end - 1}` }, signal });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+  const bytes = new Uint8Array(await response.arrayBuffer());
+  // Servers without range support send the whole file
+  return response.status === 206 ? bytes : bytes.subarray(start, end);
+}
+
+export class RouteLookup {
+  // decoder: FgbDecoder (decodes in a worker); parcelExtent(parcelId): bbox of a loaded
+  // parcel, or null (neighbours are only cached when their extent is known)
+  constructor({ decoder, cacheSize = 200, parcelExtent = () => null }) {
+    this._decoder = decoder;
+    this._parcelExtent = parcelExtent;
+    this._cache = new LRUCache(cacheSize);
+  }
+
+  // Point the lookup at another routes file (e.g. after a city switch)
+  setSource(url, indexUrl = null) {
+    this._url = url;
+    this._indexUrl = indexUrl;
+    this._index = undefined;
+    this._header = undefined;
+    this._cache.clear();
+  }
+
+  // Routes for a parcel; bbox is the parcel extent, used for the spatial index query
+  async get(parcelId, bbox, signal) {
+    const cached = this._cache.get(parcelId);
+    if (cached) return cached;
+
+    const url = this._url;
+    const index = await this._loadIndex();
+    let features;
+    if (index) {
+      const ranges = index.parcels[parcelId] || [];
+      features = await this._readRanges(index, ranges, signal);
+    } else {
+      features = await this._queryBbox(parcelId, bbox, signal);
+    }
+
+    // Source changed while fetching: don't pollute the new cache
+    if (url === this._url) this._cache.set(parcelId, features);
+    return features;
+  }
+
+  // Sidecar index: { headerLength, featuresOffset, parcels: { [parcel_id]: [[offset, length], ...] } }
+  // headerLength covers the magic bytes, size prefix and header; featuresOffset is where
+  // the first feature starts (after the spatial index). Offsets are absolute file positions.
+  async _loadIndex() {
+    if (this._index !== undefined) return this._index;
+    this._index = null;
+    if (!this._indexUrl) return null;
+    try {
+      const response = await fetch(this._indexUrl);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      this._index = await response.json();
+    } catch (error) {
+      console.warn('[RouteLookup] Sidecar index unavailable, using bbox queries:', error);
+    }
+    return this._index;
+  }
+
+  // Rebuild a minimal FlatGeobuf (header + empty index + selected features) and decode it
+  async _readRanges(index, ranges, signal) {
+    if (ranges.length === 0) return [];
+
+    if (!this._header) {
+      this._header = fetchRange(this._url, 0, index.headerLength, signal);
+    }
+    const header = await this._header.catch((error) => {
+      this._header = undefined;
+      throw error;
+    });
+    const chunks = await Promise.all(
+      ranges.map(([offset, length]) => fetchRange(this._url, offset, offset + length, signal))
+    );
+
+    const size = chunks.reduce((sum, c) => sum + c.length, index.featuresOffset);
+    const bytes = new Uint8Array(size);
+    bytes.set(header);
+    let offset = index.featuresOffset;
+    for (const chunk of chunks) {
+      bytes.set(chunk, offset);
+      offset += chunk.length;
+    }
+    const { collection } = await this._decoder.load(bytes, { signal });
+    return collection.features;
+  }
+
+  async _queryBbox(parcelId, bbox, signal) {
+    const rect = padBbox(bbox, SEARCH_PADDING_M + NEIGHBOUR_M);
+    const byParcel = new Map();
+
+    const { collection } = await this._decoder.load(this._url, { rect, signal });
+    for (const feat of collection.features) {
+      const id = feat.properties?.parcel_id;
+      if (id === undefined || id === null) continue;
+      if (!byParcel.has(id)) byParcel.set(id, []);
+      byParcel.get(id).push(feat);
+    }
+
+    // Cache neighbours whose search area (extent plus padding) lies inside the query box:
+    // every one of their routes starts there, so the set is complete. Parcels whose
+    // routes merely pass through, or whose extent is unknown, are skipped.
+    byParcel.forEach((features, id) => {
+      if (id === parcelId) return;
+      const extent = this._parcelExtent(id);
+      if (extent && bboxContains(rect, padBbox(extent, SEARCH_PADDING_M))) {
+        this._cache.set(id, features);
+      }
+    });
+    return byParcel.get(parcelId) || [];
+  }
+}
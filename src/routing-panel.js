@@ -0,0 +1,74 @@
+// Point routing panel
+// While open, a click anywhere on the map routes on foot to the nearest green structure.
+// Loads the pedestrian network (the city's, or a local .fgb / graph file) and shows the
+// time and distance of the last route.
+
+import { t, formatNumber, formatDistance } from './i18n.js';
+
+export class RoutingPanel {
+  // onLoadFile(file) runs when a network file is picked; onClose() on close
+  constructor(container, { onLoadFile, onClose }) {
+    this._container = container;
+
+    this._container.style.display = 'none';
+    this._container.innerHTML = `
+      <div class="catchment-header">
+        <div class="legend-title">${t('routing.title')}</div>
+        <button type="button" class="catchment-close" aria-label="${t('common.close')}">×</button>
+      </div>
+      <div class="catchment-row">${t('routing.hint')}</div>
+      <div class="routing-result"></div>
+      <div class="scenario-actions">
+        <button type="button" class="scenario-button" data-action="load">${t('routing.loadFile')}</button>
+        <input type="file" accept=".fgb,.json,.geojson,application/json" hidden />
+      </div>
+      <div class="catchment-row routing-status" role="status"></div>
+    `;
+
+    const $ = (selector) => this._container.querySelector(selector);
+    $('.catchment-close').addEventListener('click', onClose);
+    $('[data-action="load"]').addEventListener('click', () => $('input[type="file"]').click());
+    $('input[type="file"]').addEventListener('change', (e) => {
+      const file = e.target.files?.[0];
+      e.target.value = '';
+      if (file) onLoadFile(file);
+    });
+  }
+
+  open() {
+    this._container.style.display = 'block';
+  }
+
+  close() {
+    this._container.style.display = 'none';
+  }
+
+  get isOpen() {
+    return this._container.style.display !== 'none';
+  }
+
+  // network: PedestrianNetwork, or null while none is loaded
+  setNetwork(network, name) {
+    this.setStatus(network
+      ? t('routing.network', { name, nodes: formatNumber(network.nodeCount), edges: formatNumber(network.edgeCount) })
+      : t('routing.noNetwork'));
+  }
+
+  // walkTime: minutes at the current walking speed; structure: catchment index entry or null
+  showRoute({ walkTime, distance, structure }) {
+    const parks = structure?.parks.map(p => p.name).filter(Boolean) || [];
+    const destination = parks.length ? parks.join(', ') : structure ? t('catchment.structure', { id: structure.id }) : '—';
+    this._container.querySelector('.routing-result').innerHTML = `
+      <div class="catchment-main">${formatNumber(walkTime, 1)} min <span>${formatDistance(distance)}</span></div>
+      <div class="catchment-row">${t('routing.destination', { destination })}</div>
+    `;
+  }
+
+  clearRoute() {
+    this._container.querySelector('.routing-result').innerHTML = '';
+  }
+
+  setStatus(text) {
+    this._container.querySelector('.routing-status').textContent = text;
+  }
+}
@@ -0,0 +1,325 @@
+// In-browser pedestrian routing
+// The pedestrian network (highway ways open to pedestrians, see the README) is read from
+// a FlatGeobuf or GeoJSON of LineStrings, or from a compact graph file
+// { nodes: [[lon, lat], ...], edges: [[from, to, metres?], ...] }. Line vertices with the
+// same coordinates become one node, so ways connect where they share a vertex.
+// A route starts at the clicked point, joins the network at the nearest node and runs
+// Dijkstra until it reaches the first node on (or within TARGET_TOLERANCE_M of) a green
+// structure: with every structure a possible goal there is no single target for an A*
+// heuristic, and the search stops as soon as the nearest one is settled.
+
+import { geometryBbox, distanceMetres, distanceToPolygon } from './geometry.js';
+import { metresPerMinute, DATA_SPEED_KMH } from './walk-speed.js';
+
+const CELL_DEG = 0.001;  // node grid cell, about 110 × 80 m in Barcelona
+const SNAP_MAX_M = 500;  // farthest a clicked point may be from the network
+const TARGET_TOLERANCE_M = 25;  // ways along a park edge count as reaching it
+
+const cellOf = (coord) => [Math.floor(coord[0] / CELL_DEG), Math.floor(coord[1] / CELL_DEG)];
+
+// Binary min-heap of node indices by distance
+class MinHeap {
+  constructor() {
+    this._nodes = [];
+    this._keys = [];
+  }
+
+  get size() {
+    return this._nodes.length;
+  }
+
+  push(node, key) {
+    const nodes = this._nodes;
+    const keys = this._keys;
+    let i = nodes.length;
+    nodes.push(node);
+    keys.push(key);
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (keys[parent] <= key) break;
+      nodes[i] = nodes[parent];
+      keys[i] = keys[parent];
+      i = parent;
+    }
+    nodes[i] = node;
+    keys[i] = key;
+  }
+
+  // Node with the smallest key, as [node, key]
+  pop() {
+    const nodes = this._nodes;
+    const keys = this._keys;
+    const top = [nodes[0], keys[0]];
+    const lastNode = nodes.pop();
+    const lastKey = keys.pop();
+    if (nodes.length) {
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        if (left >= nodes.length) break;
+        const right = left + 1;
+        const child = right < nodes.length && keys[right] < keys[left] ? right : left;
+        if (keys[child] >= lastKey) break;
+        nodes[i] = nodes[child];
+        keys[i] = keys[child];
+        i = child;
+      }
+      nodes[i] = lastNode;
+      keys[i] = lastKey;
+    }
+    return top;
+  }
+}
+
+export class PedestrianNetwork {
+  // coords: [lon, lat] per node; edges: [from, to, metres] (walkable both ways)
+  constructor(coords, edges) {
+    this.coords = coords;
+    this.edgeCount = edges.length;
+    this._adjacency = coords.map(() => []);
+    for (const [from, to, metres] of edges) {
+      this._adjacency[from].push(to, metres);
+      this._adjacency[to].push(from, metres);
+    }
+    this._grid = new Map();
+    coords.forEach((coord, i) => {
+      const key = cellOf(coord).join(',');
+      if (!this._grid.has(key)) this._grid.set(key, []);
+      this._grid.get(key).push(i);
+    });
+    this._targetsFor = null;
+    this._targets = null;
+  }
+
+  get nodeCount() {
+    return this.coords.length;
+  }
+
+  // Network from LineString / MultiLineString features
+  static fromFeatures(features) {
+    const coords = [];
+    const ids = new Map();
+    const edges = [];
+    const nodeOf = (coord) => {
+      const key = `${coord[0].toFixed(7)},${coord[1].toFixed(7)}`;
+      let id = ids.get(key);
+      if (id === undefined) {
+        id = coords.length;
+        ids.set(key, id);
+        coords.push([coord[0], coord[1]]);
+      }
+      return id;
+    };
+    const addLine = (line) => {
+      for (let i = 1; i < line.length; i++) {
+        const from = nodeOf(line[i - 1]);
+        const to = nodeOf(line[i]);
+        if (from !== to) edges.push([from, to, distanceMetres(coords[from], coords[to])]);
+      }
+    };
+    for (const feature of features) {
+      const g = feature.geometry;
+      if (g?.type === 'LineString') addLine(g.coordinates);
+      else if (g?.type === 'MultiLineString') g.coordinates.forEach(addLine);
+    }
+    return new PedestrianNetwork(coords, edges);
+  }
+
+  // Network from a compact graph; edges without a length are measured
+  static fromGraph({ nodes, edges }) {
+    if (!Array.isArray(nodes) || !Array.isArray(edges)) {
+      throw new Error('Graph needs nodes and edges arrays');
+    }
+    const valid = edges.filter(([from, to]) => nodes[from] && nodes[to] && from !== to);
+    return new PedestrianNetwork(nodes, valid.map(([from, to, metres]) =>
+      [from, to, typeof metres === 'number' ? metres : distanceMetres(nodes[from], nodes[to])]
+    ));
+  }
+
+  // Nearest node to a [lon, lat] point within SNAP_MAX_M, as { node, distance }, or null
+  nearestNode(point) {
+    const [cx, cy] = cellOf(point);
+    const maxRing = Math.ceil(SNAP_MAX_M / (CELL_DEG * 111320 * Math.cos(point[1] * Math.PI / 180)));
+    let best = null;
+    for (let ring = 0; ring <= maxRing; ring++) {
+      for (let x = cx - ring; x <= cx + ring; x++) {
+        for (let y = cy - ring; y <= cy + ring; y++) {
+          // Only the cells on the edge of this ring are new
+          if (Math.abs(x - cx) !== ring && Math.abs(y - cy) !== ring) continue;
+          for (const node of this._grid.get(`${x},${y}`) || []) {
+            const distance = distanceMetres(point, this.coords[node]);
+            if (!best || distance < best.distance) best = { node, distance };
+          }
+        }
+      }
+      // Nodes in later rings lie at least a ring's width away
+      if (best && best.distance <= ring * CELL_DEG * 111320 * Math.cos(point[1] * Math.PI / 180)) break;
+    }
+    return best && best.distance <= SNAP_MAX_M ? best : null;
+  }
+
+  // Shortest walk from a point to the nearest green structure, as a route feature with
+  // walk_distance (m), walk_time (min at the data's 5 km/h) and green_structure_id.
+  // structures: index from buildStructureIndex(). Returns { route, reason }: route is null
+  // when the point is off the network (reason 'offNetwork') or no structure can be
+  // reached from it (reason 'unreachable').
+  routeToNearest(point, structures) {
+    const start = this.nearestNode(point);
+    if (!start) return { route: null, reason: 'offNetwork' };
+    const targets = this._targetNodes(structures);
+
+    const distances = new Float64Array(this.nodeCount).fill(Infinity);
+    const previous = new Int32Array(this.nodeCount).fill(-1);
+    const heap = new MinHeap();
+    distances[start.node] = 0;
+    heap.push(start.node, 0);
+    let goal = -1;
+    while (heap.size) {
+      const [node, distance] = heap.pop();
+      if (distance > distances[node]) continue;  // stale entry
+      if (targets.has(node)) {
+        goal = node;
+        break;
+      }
+      const adjacent = this._adjacency[node];
+      for (let i = 0; i < adjacent.length; i += 2) {
+        const next = adjacent[i];
+        const d = distance + adjacent[i + 1];
+        if (d < distances[next]) {
+          distances[next] = d;
+          previous[next] = node;
+          heap.push(next, d);
+        }
+      }
+    }
+    if (goal === -1) return { route: null, reason: 'unreachable' };
+
+    const path = [];
+    for (let node = goal; node !== -1; node = previous[node]) path.push(this.coords[node]);
+    path.reverse();
+    const coordinates = start.distance > 0 ? [point, ...path] : path;
+    if (coordinates.length === 1) coordinates.push(coordinates[0]);
+    const metres = distances[goal] + start.distance;
+    return {
+      route: {
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates },
+        properties: {
+          walk_distance: Math.round(metres),
+          walk_time: Math.round((metres / metresPerMinute(DATA_SPEED_KMH)) * 10) / 10,
+          green_structure_id: targets.get(goal)
+        }
+      },
+      reason: null
+    };
+  }
+
+  // Walk from a park outwards: points along every way within maxMetres of the polygon
+  // (Polygon or MultiPolygon), spaced at most spacing metres apart, as { coord, metres },
+  // and the walked distance to each node reached (Map node -> metres). The walk starts
+  // at the nodes within TARGET_TOLERANCE_M of the polygon.
+  reachFrom(geometry, maxMetres, spacing) {
+    const distances = new Map();
+    const heap = new MinHeap();
+    for (const [node] of this._nodesNear(geometry, geometryBbox(geometry))) {
+      distances.set(node, 0);
+      heap.push(node, 0);
+    }
+    while (heap.size) {
+      const [node, distance] = heap.pop();
+      if (distance > distances.get(node)) continue;  // stale entry
+      const adjacent = this._adjacency[node];
+      for (let i = 0; i < adjacent.length; i += 2) {
+        const next = adjacent[i];
+        const d = distance + adjacent[i + 1];
+        if (d <= maxMetres && d < (distances.get(next) ?? Infinity)) {
+          distances.set(next, d);
+          heap.push(next, d);
+        }
+      }
+    }
+
+    // Ways are walked partly from either end, up to maxMetres
+    const points = [];
+    for (const [node, distance] of distances) {
+      points.push({ coord: this.coords[node], metres: distance });
+      const adjacent = this._adjacency[node];
+      for (let i = 0; i < adjacent.length; i += 2) {
+        const next = adjacent[i];
+        const other = distances.get(next) ?? Infinity;
+        if (other !== Infinity && next < node) continue;  // seen from the other end
+        const length = adjacent[i + 1];
+        const steps = Math.ceil(length / spacing);
+        for (let k = 1; k < steps; k++) {
+          const f = k / steps;
+          const metres = Math.min(distance + f * length, other + (1 - f) * length);
+          if (metres > maxMetres) continue;
+          const [x1, y1] = this.coords[node];
+          const [x2, y2] = this.coords[next];
+          points.push({ coord: [x1 + (x2 - x1) * f, y1 + (y2 - y1) * f], metres });
+        }
+      }
+    }
+    return { points, distances };
+  }
+
+  // Nodes within TARGET_TOLERANCE_M of a polygon (inside included) as [node, metres]
+  _nodesNear(geometry, bbox) {
+    const { minX, minY, maxX, maxY } = bbox;
+    const padY = TARGET_TOLERANCE_M / 111320;
+    const padX = padY / Math.cos(((minY + maxY) / 2) * Math.PI / 180);
+    const [x0, y0] = cellOf([minX - padX, minY - padY]);
+    const [x1, y1] = cellOf([maxX + padX, maxY + padY]);
+    const near = [];
+    for (let x = x0; x <= x1; x++) {
+      for (let y = y0; y <= y1; y++) {
+        for (const node of this._grid.get(`${x},${y}`) || []) {
+          const d = distanceToPolygon(this.coords[node], geometry);
+          if (d <= TARGET_TOLERANCE_M) near.push([node, d]);
+        }
+      }
+    }
+    return near;
+  }
+
+  // Nodes near a structure mapped to the closest structure's id; computed once per
+  // structure index
+  _targetNodes(structures) {
+    if (this._targetsFor === structures) return this._targets;
+    const targets = new Map();
+    const closest = new Map();
+    for (const structure of structures.values()) {
+      for (const [node, d] of this._nodesNear(structure.feature.geometry, structure.bbox)) {
+        if (d < (closest.get(node) ?? Infinity)) {
+          closest.set(node, d);
+          targets.set(node, structure.id);
+        }
+      }
+    }
+    this._targetsFor = structures;
+    this._targets = targets;
+    return targets;
+  }
+}
+
+// Network from a URL (the manifest's `network`) or a local File: .fgb through the decoding
+// worker, anything else as JSON (a compact graph or GeoJSON lines)
+export async function loadNetwork(input, { decoder, signal = null }) {
+  const name = typeof input === 'string' ? input : input.name;
+  if (/\.fgb(\?|$)/i.test(name)) {
+    const source = typeof input === 'string' ? input : new Uint8Array(await input.arrayBuffer());
+    const { collection } = await decoder.load(source, { signal });
+    return PedestrianNetwork.fromFeatures(collection.features);
+  }
+  let json;
+  if (typeof input === 'string') {
+    const response = await fetch(input, { signal });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    json = await response.json();
+  } else {
+    json = JSON.parse(await input.text());
+  }
+  return json.nodes ? PedestrianNetwork.fromGraph(json) : PedestrianNetwork.fromFeatures(json.features || []);
+}
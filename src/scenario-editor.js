@@ -0,0 +1,247 @@
+// "What-if" scenario editor
+// Draw candidate parks on the map (click to add vertices, double-click to finish,
+// Backspace to undo a vertex, Escape to cancel), list them, save/load them as GeoJSON
+// and show how many residents each minute threshold gains.
+
+import { makeCandidate, scenarioToGeojson, candidatesFromGeojson } from './scenario.js';
+import { downloadBlob } from './export.js';
+import { t, formatArea, formatNumber, formatPopulation } from './i18n.js';
+
+const EMPTY = { type: 'FeatureCollection', features: [] };
+const SUMMARY_STEP = 5;  // minutes between rows of the gain table
+
+export class ScenarioEditor {
+  // onChange(candidates) runs whenever the candidate parks change
+  constructor({ map, container, onChange }) {
+    this._map = map;
+    this._container = container;
+    this._onChange = onChange;
+    this.candidates = [];
+    this.drawing = false;
+    this._vertices = [];
+    this._nextIndex = 1;
+
+    this._container.style.display = 'none';
+    this._container.innerHTML = `
+      <div class="catchment-header">
+        <div class="legend-title">${t('scenario.title')}</div>
+        <button type="button" class="catchment-close" aria-label="${t('common.close')}">×</button>
+      </div>
+      <div class="scenario-actions">
+        <button type="button" class="scenario-button" data-action="draw">${t('scenario.draw')}</button>
+        <button type="button" class="scenario-button" data-action="save">${t('scenario.save')}</button>
+        <button type="button" class="scenario-button" data-action="load">${t('scenario.load')}</button>
+        <button type="button" class="scenario-button" data-action="clear">${t('scenario.clear')}</button>
+        <input type="file" accept=".geojson,.json,application/geo+json,application/json" hidden />
+      </div>
+      <div class="scenario-hint catchment-row"></div>
+      <ul class="catchment-parks scenario-list"></ul>
+      <div class="scenario-results"></div>
+    `;
+
+    const $ = (selector) => this._container.querySelector(selector);
+    $('.catchment-close').addEventListener('click', () => this.close());
+    $('[data-action="draw"]').addEventListener('click', () => {
+      if (this.drawing) this._finishDrawing(); else this._startDrawing();
+    });
+    $('[data-action="save"]').addEventListener('click', () => this._save());
+    $('[data-action="load"]').addEventListener('click', () => $('input[type="file"]').click());
+    $('[data-action="clear"]').addEventListener('click', () => this.clear());
+    $('input[type="file"]').addEventListener('change', (e) => this._load(e.target));
+
+    this._onClick = (e) => this._addVertex([e.lngLat.lng, e.lngLat.lat]);
+    this._onDblClick = (e) => {
+      e.preventDefault();
+      this._finishDrawing();
+    };
+    this._onKeyDown = (e) => {
+      if (e.target.closest?.('input, textarea, select')) return;
+      if (e.key === 'Escape') this._cancelDrawing();
+      if (e.key === 'Backspace' && this._vertices.length) {
+        e.preventDefault();
+        this._vertices.pop();
+        this._renderDraft();
+      }
+    };
+
+    this._addDraftLayers();
+    this._renderList();
+  }
+
+  // Draft polygon shown while drawing
+  _addDraftLayers() {
+    if (this._map.getSource('scenario-draft')) return;
+    this._map.addSource('scenario-draft', { type: 'geojson', data: EMPTY });
+    this._map.addLayer({
+      id: 'scenario-draft-line',
+      type: 'line',
+      source: 'scenario-draft',
+      paint: { 'line-color': '#6EE7B7', 'line-width': 2, 'line-dasharray': [2, 1] }
+    });
+    this._map.addLayer({
+      id: 'scenario-draft-points',
+      type: 'circle',
+      source: 'scenario-draft',
+      filter: ['==', ['geometry-type'], 'Point'],
+      paint: { 'circle-radius': 4, 'circle-color': '#6EE7B7', 'circle-stroke-width': 1, 'circle-stroke-color': '#ffffff' }
+    });
+  }
+
+  open() {
+    this._container.style.display = 'block';
+  }
+
+  close() {
+    this._cancelDrawing();
+    this._container.style.display = 'none';
+  }
+
+  toggle() {
+    if (this._container.style.display === 'none') this.open(); else this.close();
+  }
+
+  get isOpen() {
+    return this._container.style.display !== 'none';
+  }
+
+  clear() {
+    this._cancelDrawing();
+    this.candidates = [];
+    this._nextIndex = 1;
+    this._changed();
+  }
+
+  // gained[m]: additional residents within m minutes; threshold: current slider value
+  showResults({ gained, detourFactor, parcelsImproved, threshold }) {
+    this.detourFactor = detourFactor;
+    const results = this._container.querySelector('.scenario-results');
+    if (!this.candidates.length) {
+      results.innerHTML = '';
+      return;
+    }
+    const rows = [];
+    for (let m = SUMMARY_STEP; m < gained.length; m += SUMMARY_STEP) rows.push(m);
+    if (threshold < gained.length && !rows.includes(threshold)) rows.push(threshold);
+    rows.sort((a, b) => a - b);
+
+    results.innerHTML = `
+      <div class="catchment-row">${t('scenario.summary', { factor: formatNumber(detourFactor, 2), parcels: formatNumber(parcelsImproved) })}</div>
+      <table class="scenario-table">
+        <thead><tr><th>${t('scenario.within')}</th><th>${t('scenario.additional')}</th></tr></thead>
+        <tbody>${rows.map(m => `
+          <tr class="${m === threshold ? 'current' : ''}"><td>${m} min</td><td>+${formatPopulation(gained[m])}</td></tr>
+        `).join('')}</tbody>
+      </table>
+    `;
+  }
+
+  _changed() {
+    this._renderList();
+    this._onChange(this.candidates);
+  }
+
+  _renderList() {
+    const list = this._container.querySelector('.scenario-list');
+    list.innerHTML = this.candidates.map((c, i) => `
+      <li> <span>${formatArea(c.properties.green_area_m2)}</span>
+        <button type="button" class="scenario-remove" data-index="${i}" aria-label="${t('scenario.remove')}">×</button></li>
+    `).join('');
+    // Names can come from a loaded scenario file
+    list.querySelectorAll('li').forEach((li, i) => li.prepend(this.candidates[i].properties.green_area_name));
+    list.querySelectorAll('.scenario-remove').forEach(button => {
+      button.addEventListener('click', () => {
+        this.candidates.splice(Number(button.dataset.index), 1);
+        this._changed();
+      });
+    });
+    this._container.querySelector('.scenario-hint').textContent = this.drawing
+      ? t('scenario.drawingHint')
+      : (this.candidates.length ? '' : t('scenario.emptyHint'));
+  }
+
+  _startDrawing() {
+    this.drawing = true;
+    this._vertices = [];
+    this._map.doubleClickZoom.disable();
+    this._map.getCanvas().style.cursor = 'crosshair';
+    this._map.on('click', this._onClick);
+    this._map.on('dblclick', this._onDblClick);
+    document.addEventListener('keydown', this._onKeyDown);
+    this._container.querySelector('[data-action="draw"]').textContent = t('scenario.finish');
+    this._renderList();
+  }
+
+  _stopDrawing() {
+    this.drawing = false;
+    this._vertices = [];
+    this._map.off('click', this._onClick);
+    this._map.off('dblclick', this._onDblClick);
+    document.removeEventListener('keydown', this._onKeyDown);
+    this._map.doubleClickZoom.enable();
+    this._map.getCanvas().style.cursor = '';
+    this._map.getSource('scenario-draft')?.setData(EMPTY);
+    this._container.querySelector('[data-action="draw"]').textContent = t('scenario.draw');
+    this._renderList();
+  }
+
+  _cancelDrawing() {
+    if (this.drawing) this._stopDrawing();
+  }
+
+  _finishDrawing() {
+    // A double-click also fires two clicks; drop the duplicate vertex it leaves
+    const vertices = this._vertices.filter((v, i, all) =>
+      i === 0 || v[0] !== all[i - 1][0] || v[1] !== all[i - 1][1]
+    );
+    this._stopDrawing();
+    if (vertices.length < 3) return;
+    const ring = [...vertices, vertices[0]];
+    this.candidates.push(makeCandidate({ type: 'Polygon', coordinates: [ring] }, this._nextIndex++));
+    this._changed();
+  }
+
+  _addVertex(lngLat) {
+    this._vertices.push(lngLat);
+    this._renderDraft();
+  }
+
+  _renderDraft() {
+    const features = this._vertices.map(v => ({
+      type: 'Feature', geometry: { type: 'Point', coordinates: v }, properties: {}
+    }));
+    if (this._vertices.length > 1) {
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates: [...this._vertices, this._vertices[0]] },
+        properties: {}
+      });
+    }
+    this._map.getSource('scenario-draft').setData({ type: 'FeatureCollection', features });
+  }
+
+  // Scenario files carry the detour factor they were evaluated with, for reference
+  _save() {
+    if (!this.candidates.length) return;
+    const geojson = scenarioToGeojson(this.candidates, this.detourFactor ?? null);
+    downloadBlob(new Blob([JSON.stringify(geojson, null, 2)], { type: 'application/geo+json' }), 'scenario.geojson');
+  }
+
+  async _load(input) {
+    const file = input.files?.[0];
+    input.value = '';
+    if (!file) return;
+    try {
+      const candidates = candidatesFromGeojson(JSON.parse(await file.text()));
+      if (!candidates.length) {
+        throw new Error(t('scenario.noPolygons'));
+      }
+      this._cancelDrawing();
+      this.candidates = candidates;
+      this._nextIndex = candidates.length + 1;
+      this._changed();
+    } catch (error) {
+      console.error('Failed to load scenario:', error);
+      this._container.querySelector('.scenario-hint').textContent = t('scenario.loadFailed', { message: error.message });
+    }
+  }
+}
@@ -0,0 +1,134 @@
+// "What-if" park scenarios
+// Estimates new walk times when candidate parks are added. The walking distance to a
+// candidate is the straight-line distance from the parcel to the polygon, scaled by a
+// detour factor calibrated from the existing walk_distance values (walked distance over
+// straight-line distance to the nearest existing green structure).
+
+import { geometryBbox, bboxCenter, distanceToBbox, distanceToPolygon, polygonAreaM2 } from './geometry.js';
+import { DATA_SPEED_KMH, metresPerMinute } from './walk-speed.js';
+import { t } from './i18n.js';
+
+const WALK_SPEED_M_PER_MIN = metresPerMinute(DATA_SPEED_KMH);  // 5 km/h, as used for walk_time
+const CALIBRATION_SAMPLE = 500;
+const DEFAULT_DETOUR = 1.3;
+
+// Straight-line distance in metres from a point to the nearest polygon of a list.
+// Candidates are visited by bbox distance, stopping once no closer polygon is possible.
+function nearestPolygonDistance(point, polygons) {
+  const candidates = polygons
+    .map(p => ({ p, lower: distanceToBbox(point, p.bbox) }))
+    .sort((a, b) => a.lower - b.lower);
+  let best = Infinity;
+  for (const { p, lower } of candidates) {
+    if (lower >= best) break;
+    best = Math.min(best, distanceToPolygon(point, p.geometry));
+  }
+  return best;
+}
+
+function parcelCenter(parcel) {
+  return bboxCenter(geometryBbox(parcel.geometry));
+}
+
+// Median ratio of walk_distance to straight-line distance to the nearest structure
+export function calibrateDetourFactor(parcels, structureFeatures) {
+  const polygons = structureFeatures.map(f => ({ geometry: f.geometry, bbox: geometryBbox(f.geometry) }));
+  const withDistance = parcels.filter(p => Number(p.properties?.walk_distance) > 0);
+  if (!polygons.length || !withDistance.length) return DEFAULT_DETOUR;
+
+  const step = Math.max(1, Math.floor(withDistance.length / CALIBRATION_SAMPLE));
+  const ratios = [];
+  for (let i = 0; i < withDistance.length; i += step) {
+    const parcel = withDistance[i];
+    const straight = nearestPolygonDistance(parcelCenter(parcel), polygons);
+    // Parcels next to or inside a park say nothing about detours
+    if (straight < 25 || !Number.isFinite(straight)) continue;
+    ratios.push(Number(parcel.properties.walk_distance) / straight);
+  }
+  if (!ratios.length) return DEFAULT_DETOUR;
+  ratios.sort((a, b) => a - b);
+  const median = ratios[Math.floor(ratios.length / 2)];
+  return Math.min(3, Math.max(1, median));
+}
+
+// Candidate park feature with the green_areas properties filled in
+export function makeCandidate(geometry, index) {
+  return {
+    type: 'Feature',
+    geometry,
+    properties: {
+      green_area_id: `scenario-${index}`,
+      green_area_name: t('scenario.candidate', { index }),
+      green_area_m2: Math.round(polygonAreaM2(geometry)),
+      scenario: true
+    }
+  };
+}
+
+// Estimated walk time per parcel with the candidates in place.
+// Returns Map parcel_id -> { before, after, population } for parcels that gain time.
+export function estimateScenario(parcels, candidates, { detourFactor, maxWalkTime }) {
+  const polygons = candidates.map(f => ({ geometry: f.geometry, bbox: geometryBbox(f.geometry) }));
+  const changes = new Map();
+  if (!polygons.length) return changes;
+
+  // Parcels further than this from every candidate cannot improve
+  const reach = (maxWalkTime * WALK_SPEED_M_PER_MIN) / detourFactor;
+
+  for (const parcel of parcels) {
+    const p = parcel.properties || {};
+    if (p.parcel_id === undefined) continue;
+    const center = parcelCenter(parcel);
+    if (polygons.every(poly => distanceToBbox(center, poly.bbox) > reach)) continue;
+
+    const walked = nearestPolygonDistance(center, polygons) * detourFactor;
+    const after = walked / WALK_SPEED_M_PER_MIN;
+    const before = p.walk_time ?? Infinity;
+    if (after < before) {
+      changes.set(p.parcel_id, {
+        before,
+        after: Math.round(after * 10) / 10,
+        population: Number(p.population) || 0
+      });
+    }
+  }
+  return changes;
+}
+
+// Additional residents within each whole-minute threshold 1..maxWalkTime.
+// scale converts the 5 km/h minutes of the changes to another walking speed.
+export function additionalResidentsByMinute(changes, maxWalkTime, scale = 1) {
+  const gained = new Array(maxWalkTime + 1).fill(0);
+  changes.forEach(({ before, after, population }) => {
+    for (let m = Math.max(1, Math.ceil(after * scale)); m <= maxWalkTime && m < before * scale; m++) {
+      gained[m] += population;
+    }
+  });
+  return gained;
+}
+
+// Scenario file: the candidate parks plus the detour factor they were evaluated with
+export function scenarioToGeojson(candidates, detourFactor) {
+  return {
+    type: 'FeatureCollection',
+    name: 'green_access_scenario',
+    detour_factor: detourFactor,
+    features: candidates.map(f => ({
+      type: 'Feature',
+      geometry: f.geometry,
+      properties: { green_area_name: f.properties.green_area_name, green_area_m2: f.properties.green_area_m2 }
+    }))
+  };
+}
+
+// Candidate parks from a scenario file (any GeoJSON with Polygon/MultiPolygon features)
+export function candidatesFromGeojson(geojson) {
+  const features = geojson?.type === 'FeatureCollection' ? geojson.features : [geojson];
+  return features
+    .filter(f => f?.geometry && ['Polygon', 'MultiPolygon'].includes(f.geometry.type))
+    .map((f, i) => {
+      const candidate = makeCandidate(f.geometry, i + 1);
+      if (f.properties?.green_area_name) candidate.properties.green_area_name = f.properties.green_area_name;
+      return candidate;
+    });
+}
@@ -0,0 +1,140 @@
+// Proximity standards panel
+// Picks the rule set, loads custom rule sets from a JSON file and shows the share of
+// residents living in compliant parcels.
+
+import { BUILTIN_RULE_SETS, parseRuleSets } from './standards.js';
+import { t, formatNumber, formatDistance, formatPercent, formatPopulation } from './i18n.js';
+
+const CONDITION_LABELS = {
+  walk_distance: () => t('metric.walk_distance'),
+  walk_time: () => t('metric.walk_time'),
+  green_structure_ha: () => t('standards.structureSize')
+};
+
+const CONDITION_FORMATS = {
+  walk_distance: (v) => formatDistance(v),
+  walk_time: (v) => `${formatNumber(v, 1)} min`,
+  green_structure_ha: (v) => `${formatNumber(v, 2)} ha`
+};
+
+// "Walk distance ≤ 300 m · Green structure ≥ 0.5 ha"
+function describeConditions(ruleSet) {
+  return ruleSet.conditions.map(({ property, min, max }) => {
+    const bounds = [];
+    if (min !== undefined) bounds.push(`≥ ${CONDITION_FORMATS[property](min)}`);
+    if (max !== undefined) bounds.push(`≤ ${CONDITION_FORMATS[property](max)}`);
+    return `${CONDITION_LABELS[property]()} ${bounds.join(' ')}`;
+  }).join(' · ');
+}
+
+export class StandardsPanel {
+  // onChange(ruleSet) runs when another rule set is picked or loaded; onClose() on close
+  constructor(container, { onChange, onClose }) {
+    this._container = container;
+    this._onChange = onChange;
+    this.ruleSets = [...BUILTIN_RULE_SETS];
+    this.ruleSet = this.ruleSets[0];
+    this._loadedFiles = 0;
+
+    this._container.style.display = 'none';
+    this._container.innerHTML = `
+      <div class="catchment-header">
+        <div class="legend-title">${t('standards.title')}</div>
+        <button type="button" class="catchment-close" aria-label="${t('common.close')}">×</button>
+      </div>
+      <label class="layer-select">${t('standards.ruleSet')}
+        <select class="standards-select"></select>
+      </label>
+      <div class="catchment-row standards-conditions"></div>
+      <div class="standards-summary"></div>
+      <div class="scenario-actions">
+        <button type="button" class="scenario-button" data-action="load">${t('standards.load')}</button>
+        <input type="file" accept=".json,application/json" hidden />
+      </div>
+      <div class="catchment-row standards-status"></div>
+    `;
+
+    const $ = (selector) => this._container.querySelector(selector);
+    $('.catchment-close').addEventListener('click', onClose);
+    $('.standards-select').addEventListener('change', (e) => {
+      this._select(this.ruleSets.find(r => r.id === e.target.value));
+    });
+    $('[data-action="load"]').addEventListener('click', () => $('input[type="file"]').click());
+    $('input[type="file"]').addEventListener('change', (e) => this._load(e.target));
+    this._renderOptions();
+  }
+
+  open() {
+    this._container.style.display = 'block';
+  }
+
+  close() {
+    this._container.style.display = 'none';
+  }
+
+  get isOpen() {
+    return this._container.style.display !== 'none';
+  }
+
+  showLoading() {
+    this._container.querySelector('.standards-summary').innerHTML =
+      `<div class="catchment-row">${t('common.loading')}</div>`;
+  }
+
+  // summary: output of complianceSummary()
+  showSummary(summary) {
+    const unknown = summary.unknownParcels
+      ? `<div class="catchment-row">${t('standards.unknown', {
+        parcels: formatNumber(summary.unknownParcels),
+        population: formatPopulation(summary.unknownPopulation)
+      })}</div>`
+      : '';
+    this._container.querySelector('.standards-summary').innerHTML = `
+      <div class="catchment-main">${formatPercent(summary.share)} <span>${t('standards.residentsComply')}</span></div>
+      <div class="standards-bar"><div style="width:${(summary.share * 100).toFixed(1)}%;"></div></div>
+      <div class="catchment-row">${t('standards.residents', {
+        compliant: formatPopulation(summary.compliantPopulation),
+        total: formatPopulation(summary.population)
+      })}</div>
+      <div class="catchment-row">${t('standards.parcels', {
+        compliant: formatNumber(summary.compliantParcels),
+        total: formatNumber(summary.parcels)
+      })}</div>
+      ${unknown}
+    `;
+  }
+
+  _renderOptions() {
+    const select = this._container.querySelector('.standards-select');
+    // Ids and names can come from a loaded rule set file
+    select.replaceChildren(...this.ruleSets.map(r => new Option(r.name, r.id)));
+    select.value = this.ruleSet.id;
+    this._container.querySelector('.standards-conditions').textContent = describeConditions(this.ruleSet);
+  }
+
+  _select(ruleSet) {
+    this.ruleSet = ruleSet;
+    this._renderOptions();
+    this._onChange(ruleSet);
+  }
+
+  // Loaded rule sets are added to the list (replacing any with the same id) and the
+  // first one is applied
+  async _load(input) {
+    const file = input.files?.[0];
+    input.value = '';
+    if (!file) return;
+    const status = this._container.querySelector('.standards-status');
+    try {
+      this._loadedFiles += 1;
+      const loaded = parseRuleSets(JSON.parse(await file.text()), `custom-${this._loadedFiles}`);
+      const ids = new Set(loaded.map(r => r.id));
+      this.ruleSets = [...this.ruleSets.filter(r => !ids.has(r.id)), ...loaded];
+      status.textContent = t('standards.loaded', { count: loaded.length, n: formatNumber(loaded.length) });
+      this._select(loaded[0]);
+    } catch (error) {
+      console.error('Failed to load rule sets:', error);
+      status.textContent = t('standards.loadFailed', { message: error.message });
+    }
+  }
+}
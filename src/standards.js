@@ -0,0 +1,117 @@
+// Proximity standards
+// A rule set classifies each parcel as compliant when all of its conditions hold:
+//   { "id": "who-300", "name": "WHO: ≥ 0.5 ha within 300 m",
+//     "conditions": [{ "property": "walk_distance", "max": 300 },
+//                    { "property": "green_structure_ha", "min": 0.5 }] }
+// Conditions read walk_distance (m), walk_time (min) or green_structure_ha, the size of the
+// green structure the parcel's shortest route ends at. Parcels missing a value the rule
+// set needs are left unclassified.
+
+import { t } from './i18n.js';
+
+export const STANDARD_PROPERTIES = ['walk_distance', 'walk_time', 'green_structure_ha'];
+
+// Class colours (colour-blind safe blue / orange, distinct from the highlight colours)
+const COMPLIANT_COLOR = '#3B82F6';
+const NON_COMPLIANT_COLOR = '#F97316';
+
+export const BUILTIN_RULE_SETS = [
+  {
+    id: 'who-300',
+    name: t('standards.who'),
+    conditions: [{ property: 'walk_distance', max: 300 }, { property: 'green_structure_ha', min: 0.5 }]
+  },
+  {
+    id: '3-30-300',
+    name: t('standards.threeThirtyThreeHundred'),
+    conditions: [{ property: 'walk_distance', max: 300 }, { property: 'green_structure_ha', min: 1 }]
+  },
+  {
+    id: '15-minute',
+    name: t('standards.fifteenMinute'),
+    conditions: [{ property: 'walk_time', max: 15 }]
+  }
+];
+
+// Rule sets from a JSON document: one rule set, an array of them or { ruleSets: [...] }.
+// Throws with a readable message when a rule set is malformed.
+export function parseRuleSets(json, idPrefix = 'custom') {
+  const list = Array.isArray(json) ? json : (Array.isArray(json?.ruleSets) ? json.ruleSets : [json]);
+  if (!list.length || !list.every(r => r && typeof r === 'object')) {
+    throw new Error(t('standards.error.noRuleSets'));
+  }
+  return list.map((ruleSet, i) => {
+    const name = typeof ruleSet.name === 'string' ? ruleSet.name.trim() : '';
+    if (!name) throw new Error(t('standards.error.name', { index: i + 1 }));
+    if (!Array.isArray(ruleSet.conditions) || !ruleSet.conditions.length) {
+      throw new Error(t('standards.error.conditions', { name }));
+    }
+    const conditions = ruleSet.conditions.map(c => {
+      if (!STANDARD_PROPERTIES.includes(c?.property)) {
+        throw new Error(t('standards.error.property', { name, property: c?.property }));
+      }
+      const min = c.min === undefined ? undefined : Number(c.min);
+      const max = c.max === undefined ? undefined : Number(c.max);
+      if ((min === undefined && max === undefined) || [min, max].some(v => v !== undefined && !Number.isFinite(v))) {
+        throw new Error(t('standards.error.bounds', { name, property: c.property }));
+      }
+      return { property: c.property, min, max };
+    });
+    return { id: String(ruleSet.id ?? `${idPrefix}-${i + 1}`), name, conditions };
+  });
+}
+
+// Whether the rule set needs the destination structure of each parcel
+export function needsDestinations(ruleSet) {
+  return ruleSet.conditions.some(c => c.property === 'green_structure_ha');
+}
+
+// true / false, or null when a value the rule set needs is missing.
+// structureHa: size of the parcel's destination structure, if known.
+export function classifyParcel(properties, ruleSet, structureHa) {
+  const p = properties || {};
+  for (const { property, min, max } of ruleSet.conditions) {
+    const raw = property === 'green_structure_ha' ? (p.green_structure_ha ?? structureHa) : p[property];
+    if (raw === undefined || raw === null || raw === '') return null;
+    const value = Number(raw);
+    if (!Number.isFinite(value)) return null;
+    if ((min !== undefined && value < min) || (max !== undefined && value > max)) return false;
+  }
+  return true;
+}
+
+// Residents and parcels per class; classOf(feature) returns true / false / null
+export function complianceSummary(parcels, classOf) {
+  const summary = {
+    population: 0,
+    compliantPopulation: 0,
+    unknownPopulation: 0,
+    parcels: 0,
+    compliantParcels: 0,
+    unknownParcels: 0
+  };
+  for (const parcel of parcels) {
+    const population = Number(parcel.properties?.population) || 0;
+    const compliant = classOf(parcel);
+    summary.population += population;
+    summary.parcels += 1;
+    if (compliant === null) {
+      summary.unknownPopulation += population;
+      summary.unknownParcels += 1;
+    } else if (compliant) {
+      summary.compliantPopulation += population;
+      summary.compliantParcels += 1;
+    }
+  }
+  summary.share = summary.population ? summary.compliantPopulation / summary.population : 0;
+  return summary;
+}
+
+// Parcel colour by class, from the standard_class property (1 compliant, 0 not)
+export function standardColorExpression() {
+  return ['match', ['get', 'standard_class'], 1, COMPLIANT_COLOR, 0, NON_COMPLIANT_COLOR, NON_COMPLIANT_COLOR];
+}
+
+export function formatStandardClass(value) {
+  return value === 1 ? t('standards.compliant') : t('standards.nonCompliant');
+}
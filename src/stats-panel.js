@@ -0,0 +1,100 @@
+// Accessibility statistics panel
+// Residents and parcels within the slider threshold, a cumulative population curve with
+// the threshold marked, and median / 90th percentile walk time, for the whole city or
+// the current viewport.
+
+import { summarizeThreshold, cumulativePopulationShare, walkTimePercentile } from './stats.js';
+import { t, formatNumber, formatPercent, formatPopulation } from './i18n.js';
+
+const CURVE_WIDTH = 200;
+const CURVE_HEIGHT = 60;
+
+export class StatsPanel {
+  // onScopeChange(scope) is called with 'city' or 'view' when the user toggles the scope
+  constructor(container, { onScopeChange }) {
+    this.scope = 'city';
+    this._container = container;
+    this._container.innerHTML = `
+      <div class="stats-header">
+        <div class="legend-title">${t('stats.within', { threshold: '<span class="stats-threshold">—</span>' })}</div>
+        <div class="stats-scope" role="group" aria-label="${t('stats.scope')}">
+          <button type="button" data-scope="city" class="active">${t('stats.city')}</button>
+          <button type="button" data-scope="view">${t('stats.view')}</button>
+        </div>
+      </div>
+      <div class="stats-main">
+        <span class="stats-population">—</span>
+        <span class="stats-share"></span>
+      </div>
+      <div class="stats-row">${t('stats.parcels')} <span class="stats-parcels">—</span></div>
+      <div class="stats-row">
+        ${t('stats.median')} <span class="stats-median">—</span> · ${t('stats.p90')} <span class="stats-p90">—</span>
+      </div>
+      <svg class="stats-curve" width="${CURVE_WIDTH}" height="${CURVE_HEIGHT}" viewBox="0 0 ${CURVE_WIDTH} ${CURVE_HEIGHT}">
+        <path class="stats-curve-area" d=""></path>
+        <path class="stats-curve-line" d=""></path>
+        <line class="stats-curve-marker" x1="0" x2="0" y1="0" y2="${CURVE_HEIGHT}"></line>
+      </svg>
+    `;
+
+    this._container.querySelectorAll('.stats-scope button').forEach(button => {
+      button.addEventListener('click', () => {
+        if (button.dataset.scope === this.scope) return;
+        this.scope = button.dataset.scope;
+        this._container.querySelectorAll('.stats-scope button').forEach(b => {
+          b.classList.toggle('active', b === button);
+        });
+        onScopeChange(this.scope);
+      });
+    });
+  }
+
+  // histogram: walk time histogram of the current scope; maxWalkTime sets the curve's x range
+  update({ histogram, threshold, maxWalkTime }) {
+    const $ = (selector) => this._container.querySelector(selector);
+    $('.stats-threshold').textContent = threshold;
+
+    if (!histogram || histogram.total.count === 0) {
+      $('.stats-population').textContent = '—';
+      $('.stats-share').textContent = '';
+      $('.stats-parcels').textContent = '—';
+      $('.stats-median').textContent = '—';
+      $('.stats-p90').textContent = '—';
+      $('.stats-curve-line').setAttribute('d', '');
+      $('.stats-curve-area').setAttribute('d', '');
+      return;
+    }
+
+    const within = summarizeThreshold(histogram, threshold);
+    $('.stats-population').textContent = formatPopulation(within.population);
+    $('.stats-share').textContent = t('stats.ofTotal', {
+      total: formatPopulation(histogram.total.population),
+      share: formatPercent(within.populationShare)
+    });
+    $('.stats-parcels').textContent = `${formatNumber(within.count)} ${t('stats.ofTotal', {
+      total: formatNumber(histogram.total.count),
+      share: formatPercent(within.countShare)
+    })}`;
+
+    const median = walkTimePercentile(histogram, 0.5);
+    const p90 = walkTimePercentile(histogram, 0.9);
+    $('.stats-median').textContent = median === null ? '—' : `${median} min`;
+    $('.stats-p90').textContent = p90 === null ? '—' : `${p90} min`;
+
+    // Cumulative population curve, 0..maxWalkTime on x and 0..100% on y
+    const x = (minute) => (Math.min(minute, maxWalkTime) / maxWalkTime) * CURVE_WIDTH;
+    const y = (share) => CURVE_HEIGHT - share * CURVE_HEIGHT;
+    const curve = cumulativePopulationShare(histogram);
+    const points = [[0, 0]];
+    for (let m = 0; m <= maxWalkTime; m++) {
+      points.push([m, curve[Math.min(m, curve.length - 1)] ?? 0]);
+    }
+    const line = points.map(([m, share], i) => `${i ? 'L' : 'M'}${x(m).toFixed(1)},${y(share).toFixed(1)}`).join('');
+    $('.stats-curve-line').setAttribute('d', line);
+    $('.stats-curve-area').setAttribute('d', `${line}L${CURVE_WIDTH},${CURVE_HEIGHT}L0,${CURVE_HEIGHT}Z`);
+
+    const markerX = x(threshold).toFixed(1);
+    $('.stats-curve-marker').setAttribute('x1', markerX);
+    $('.stats-curve-marker').setAttribute('x2', markerX);
+  }
+}
@@ -0,0 +1,96 @@
+// Walk time statistics
+// Parcels are binned by whole minute, rounding walk_time up, so the cumulative sum of
+// bins 0..v equals the parcels (and residents) with walk_time <= v, matching the slider filter.
+
+export function createWalkTimeHistogram() {
+  return {
+    population: [],             // residents per minute bin
+    count: [],                  // parcels per minute bin
+    total: { population: 0, count: 0 },
+    missing: { population: 0, count: 0 }  // parcels without walk_time
+  };
+}
+
+// walkTime: the parcel's walk time, when not its walk_time (another walking speed)
+export function addToHistogram(histogram, properties, walkTime = properties?.walk_time) {
+  const population = Number(properties?.population) || 0;
+  histogram.total.population += population;
+  histogram.total.count += 1;
+
+  if (walkTime === null || walkTime === undefined || Number.isNaN(Number(walkTime))) {
+    histogram.missing.population += population;
+    histogram.missing.count += 1;
+    return;
+  }
+
+  const minute = Math.max(0, Math.ceil(Number(walkTime)));
+  for (let m = histogram.count.length; m <= minute; m++) {
+    histogram.population[m] = 0;
+    histogram.count[m] = 0;
+  }
+  histogram.population[minute] += population;
+  histogram.count[minute] += 1;
+}
+
+// walkTimeOf(properties) overrides the walk_time property
+export function histogramFromFeatures(features, walkTimeOf = (p) => p?.walk_time) {
+  const histogram = createWalkTimeHistogram();
+  for (const feature of features) {
+    addToHistogram(histogram, feature.properties, walkTimeOf(feature.properties));
+  }
+  return histogram;
+}
+
+// Residents and parcels with walk_time <= threshold, and their share of the total
+export function summarizeThreshold(histogram, threshold) {
+  let population = 0;
+  let count = 0;
+  const last = Math.min(Math.floor(threshold), histogram.count.length - 1);
+  for (let m = 0; m <= last; m++) {
+    population += histogram.population[m];
+    count += histogram.count[m];
+  }
+  const { total } = histogram;
+  return {
+    population,
+    count,
+    populationShare: total.population ? population / total.population : 0,
+    countShare: total.count ? count / total.count : 0
+  };
+}
+
+// Cumulative share of all residents reached by each minute (parcels without a walk
+// time never count as reached, so the curve can stay below 1)
+export function cumulativePopulationShare(histogram) {
+  const { total } = histogram;
+  let sum = 0;
+  return histogram.population.map(p => {
+    sum += p;
+    return total.population ? sum / total.population : 0;
+  });
+}
+
+// Population-weighted walk time percentile (minute resolution) among residents with a
+// walk time; null when there are none
+export function walkTimePercentile(histogram, p) {
+  const reachable = histogram.total.population - histogram.missing.population;
+  if (reachable <= 0) return null;
+  let sum = 0;
+  for (let m = 0; m < histogram.population.length; m++) {
+    sum += histogram.population[m];
+    if (sum >= p * reachable) return m;
+  }
+  return histogram.population.length - 1;
+}
+
+// Percentile rank (0..1) of a walk time among the parcels with one: the share of parcels
+// with a shorter walk, counting half of those in the same minute bin; null without data
+export function walkTimePercentileRank(histogram, walkTime) {
+  const withTime = histogram.total.count - histogram.missing.count;
+  if (withTime <= 0 || walkTime === null || walkTime === undefined || Number.isNaN(Number(walkTime))) return null;
+  const minute = Math.max(0, Math.ceil(Number(walkTime)));
+  let below = 0;
+  for (let m = 0; m < Math.min(minute, histogram.count.length); m++) below += histogram.count[m];
+  const same = histogram.count[minute] || 0;
+  return (below + same / 2) / withTime;
+}
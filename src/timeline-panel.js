@@ -0,0 +1,130 @@
+// Animation settings panel
+// Range, step and speed of the threshold animation, looping, the camera move played
+// along with it (orbit, or a path through views added from the map) and WebM recording.
+
+import { t, formatNumber } from './i18n.js';
+
+const CAMERA_MODES = ['none', 'orbit', 'path'];
+
+export class TimelinePanel {
+  // onChange(options) runs with { from, to, step, interval, loop } when a setting changes;
+  // onAddKeyframe() / onClearKeyframes() edit the camera path; onClose() on close
+  constructor(container, { onChange, onAddKeyframe, onClearKeyframes, onClose }) {
+    this._container = container;
+    this._onChange = onChange;
+    this.camera = 'none';
+    this.record = false;
+
+    this._container.style.display = 'none';
+    this._container.innerHTML = `
+      <div class="catchment-header">
+        <div class="legend-title">${t('timeline.title')}</div>
+        <button type="button" class="catchment-close" aria-label="${t('common.close')}">×</button>
+      </div>
+      <div class="timeline-grid">
+        <label>${t('timeline.from')} <input type="number" data-option="from" min="1" step="1" value="1" /></label>
+        <label>${t('timeline.to')} <input type="number" data-option="to" min="1" step="1" /></label>
+        <label>${t('timeline.step')} <input type="number" data-option="step" min="1" step="1" value="1" /></label>
+        <label>${t('timeline.interval')} <input type="number" data-option="interval" min="0.1" max="10" step="0.1" value="0.5" /></label>
+      </div>
+      <label class="metric-check"><input type="checkbox" data-option="loop" /> ${t('timeline.loop')}</label>
+      <label class="layer-select">${t('timeline.camera')}
+        <select class="timeline-camera">
+          ${CAMERA_MODES.map(mode => `<option value="${mode}">${t(`timeline.camera.${mode}`)}</option>`).join('')}
+        </select>
+      </label>
+      <div class="timeline-path" style="display:none;">
+        <div class="scenario-actions">
+          <button type="button" class="scenario-button" data-action="add">${t('timeline.addView')}</button>
+          <button type="button" class="scenario-button" data-action="clear">${t('timeline.clearPath')}</button>
+        </div>
+        <div class="catchment-row timeline-keyframes"></div>
+      </div>
+      <label class="metric-check"><input type="checkbox" class="timeline-record" /> ${t('timeline.record')}</label>
+      <div class="catchment-row timeline-status" role="status"></div>
+    `;
+
+    const $ = (selector) => this._container.querySelector(selector);
+    $('.catchment-close').addEventListener('click', onClose);
+    this._container.querySelectorAll('[data-option]').forEach(input => {
+      input.addEventListener('change', () => this._onChange(this.options()));
+    });
+    $('.timeline-camera').addEventListener('change', (e) => {
+      this.camera = e.target.value;
+      $('.timeline-path').style.display = this.camera === 'path' ? 'block' : 'none';
+    });
+    $('[data-action="add"]').addEventListener('click', onAddKeyframe);
+    $('[data-action="clear"]').addEventListener('click', onClearKeyframes);
+    $('.timeline-record').addEventListener('change', (e) => {
+      this.record = e.target.checked;
+    });
+    this.setKeyframeCount(0);
+  }
+
+  open() {
+    this._container.style.display = 'block';
+  }
+
+  close() {
+    this._container.style.display = 'none';
+  }
+
+  toggle() {
+    if (this._container.style.display === 'none') this.open(); else this.close();
+  }
+
+  get isOpen() {
+    return this._container.style.display !== 'none';
+  }
+
+  // Settings as Timeline options (interval in ms), clamped to the inputs' bounds
+  options() {
+    const value = (option) => {
+      const input = this._container.querySelector(`[data-option="${option}"]`);
+      const v = Number(input.value);
+      const min = Number(input.min);
+      const max = input.max === '' ? Infinity : Number(input.max);
+      return Number.isFinite(v) ? Math.min(Math.max(v, min), max) : min;
+    };
+    return {
+      from: value('from'),
+      to: value('to'),
+      step: value('step'),
+      interval: Math.round(value('interval') * 1000),
+      loop: this._container.querySelector('[data-option="loop"]').checked
+    };
+  }
+
+  // Slider range of the city (and walking speed); the end moves along when it was at the
+  // old maximum. Returns the updated options.
+  setRange(max) {
+    const from = this._container.querySelector('[data-option="from"]');
+    const to = this._container.querySelector('[data-option="to"]');
+    const wasMax = to.value === '' || to.value === to.max;
+    from.max = max;
+    to.max = max;
+    if (wasMax || Number(to.value) > max) to.value = max;
+    if (Number(from.value) > max) from.value = 1;
+    return this.options();
+  }
+
+  setKeyframeCount(count) {
+    this._container.querySelector('.timeline-keyframes').textContent =
+      t('timeline.keyframes', { count, n: formatNumber(count) });
+  }
+
+  // Recording is offered only where the browser supports it
+  setRecordingAvailable(available) {
+    const checkbox = this._container.querySelector('.timeline-record');
+    checkbox.disabled = !available;
+    if (!available) {
+      checkbox.checked = false;
+      this.record = false;
+      checkbox.parentElement.title = t('timeline.recordUnsupported');
+    }
+  }
+
+  setStatus(text) {
+    this._container.querySelector('.timeline-status').textContent = text;
+  }
+}
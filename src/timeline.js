@@ -0,0 +1,113 @@
+// Threshold animation
+// Steps a value from `from` to `to` at a fixed interval, resuming from wherever it was
+// paused, and optionally loops. Camera helpers turn the timeline position (0..1) into an
+// orbit around the starting view or a path through keyframed views.
+
+export class Timeline {
+  // onTick(value, progress) runs at every step (progress 0..1 along the range);
+  // onEnd() each time the end of the range is reached (before looping);
+  // onStateChange(playing) when playback starts or stops
+  constructor({ onTick, onEnd, onStateChange }) {
+    this._onTick = onTick;
+    this._onEnd = onEnd;
+    this._onStateChange = onStateChange;
+    this._timer = null;
+    this.options = { from: 1, to: 42, step: 1, interval: 500, loop: false };
+    this.value = this.options.from;
+  }
+
+  get playing() {
+    return this._timer !== null;
+  }
+
+  // Partial options; the range is kept in order and the step positive
+  configure(options) {
+    const next = { ...this.options, ...options };
+    next.step = Math.max(next.step, 0.1);
+    next.interval = Math.max(next.interval, 50);
+    if (next.from > next.to) [next.from, next.to] = [next.to, next.from];
+    this.options = next;
+    // A running animation picks up the new interval
+    if (this.playing) {
+      clearInterval(this._timer);
+      this._timer = setInterval(() => this._advance(), next.interval);
+    }
+  }
+
+  progressOf(value) {
+    const { from, to } = this.options;
+    return to === from ? 1 : Math.min(Math.max((value - from) / (to - from), 0), 1);
+  }
+
+  // Play from value (e.g. the slider's); outside the range or at its end, from the start
+  play(value = this.value) {
+    if (this.playing) return;
+    const { from, to, interval } = this.options;
+    this.value = value < from || value >= to ? from : value;
+    this._tick();
+    this._timer = setInterval(() => this._advance(), interval);
+    this._onStateChange(true);
+  }
+
+  pause() {
+    if (!this.playing) return;
+    clearInterval(this._timer);
+    this._timer = null;
+    this._onStateChange(false);
+  }
+
+  toggle(value) {
+    if (this.playing) this.pause(); else this.play(value);
+  }
+
+  _advance() {
+    const { from, to, step, loop } = this.options;
+    if (this.value >= to) {
+      this._onEnd();
+      if (!loop) {
+        this.pause();
+        return;
+      }
+      this.value = from;
+    } else {
+      // The last step lands on the end of the range
+      this.value = Math.min(Math.round((this.value + step) * 10) / 10, to);
+    }
+    this._tick();
+  }
+
+  _tick() {
+    this._onTick(this.value, this.progressOf(this.value));
+  }
+}
+
+function lerp(a, b, f) {
+  return a + (b - a) * f;
+}
+
+// Bearing change from a to b the short way round, in -180..180
+function bearingDelta(a, b) {
+  return ((((b - a) % 360) + 540) % 360) - 180;
+}
+
+// One full turn around the starting view over the timeline
+// camera: { center: [lng, lat], zoom, bearing, pitch }
+export function orbitCamera(start, progress) {
+  return { ...start, bearing: start.bearing + 360 * progress };
+}
+
+// View along a path of keyframed views, spread evenly over the timeline
+export function pathCamera(keyframes, progress) {
+  if (keyframes.length === 1) return keyframes[0];
+  const position = progress * (keyframes.length - 1);
+  const i = Math.min(Math.floor(position), keyframes.length - 2);
+  const f = position - i;
+  const a = keyframes[i];
+  const b = keyframes[i + 1];
+  return {
+    center: [lerp(a.center[0], b.center[0], f), lerp(a.center[1], b.center[1], f)],
+    zoom: lerp(a.zoom, b.zoom, f),
+    bearing: a.bearing + bearingDelta(a.bearing, b.bearing) * f,
+    pitch: lerp(a.pitch, b.pitch, f)
+  };
+}
@@ -0,0 +1,62 @@
+// Shareable view state in the URL hash
+// The camera lives in MapLibre's own `map=zoom/lat/lng/bearing/pitch` entry (hash: 'map');
+// this module reads and writes the other entries without touching it:
+//   t=12                       walk time threshold
+//   parcel=123                 selected parcel_id (its routes are loaded on restore)
+//   color=walk_time            colour metric
+//   height=population          height metric
+//   speed=3.6                  walking speed in km/h (absent: the data's 5 km/h)
+//   hidden=boundary-line,...   layers switched off
+
+const KEYS = ['t', 'parcel', 'color', 'height', 'speed', 'hidden'];
+
+// Hash entries as [key, rawValue] pairs, in order
+function hashEntries(hash) {
+  return hash.replace(/^#/, '').split('&').filter(Boolean).map(part => {
+    const i = part.indexOf('=');
+    return i === -1 ? [part, ''] : [part.slice(0, i), part.slice(i + 1)];
+  });
+}
+
+// Decoded value, or null for a malformed escape (e.g. a truncated shared link)
+function decodeValue(raw) {
+  try {
+    return decodeURIComponent(raw);
+  } catch {
+    return null;
+  }
+}
+
+export function readUrlState(hash = window.location.hash) {
+  const values = new Map(hashEntries(hash)
+    .map(([key, raw]) => [key, decodeValue(raw)])
+    .filter(([, value]) => value !== null));
+  const state = {};
+  const threshold = Number(values.get('t'));
+  if (values.has('t') && Number.isFinite(threshold)) state.threshold = threshold;
+  if (values.get('parcel')) state.parcelId = values.get('parcel');
+  if (values.get('color')) state.colorMetric = values.get('color');
+  if (values.get('height')) state.heightMetric = values.get('height');
+  const speed = Number(values.get('speed'));
+  if (values.get('speed') && Number.isFinite(speed) && speed > 0) state.walkSpeed = speed;
+  if (values.has('hidden')) state.hiddenLayers = values.get('hidden').split(',').filter(Boolean);
+  return state;
+}
+
+// Replace our entries in the hash, keeping MapLibre's (and any other) entries as they are
+export function writeUrlState({ threshold, parcelId, colorMetric, heightMetric, walkSpeed, hiddenLayers }) {
+  const entries = hashEntries(window.location.hash).filter(([key]) => !KEYS.includes(key));
+  const add = (key, value) => {
+    if (value !== undefined && value !== null && value !== '') entries.push([key, encodeURIComponent(value)]);
+  };
+  add('t', threshold);
+  add('parcel', parcelId);
+  add('color', colorMetric);
+  add('height', heightMetric);
+  add('speed', walkSpeed);
+  if (hiddenLayers?.length) entries.push(['hidden', hiddenLayers.map(encodeURIComponent).join(',')]);
+
+  const url = new URL(window.location.href);
+  url.hash = entries.map(([key, value]) => `${key}=${value}`).join('&');
+  window.history.replaceState(window.history.state, '', url);
+}
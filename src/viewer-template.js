@@ -0,0 +1,160 @@
+// Viewer markup
+// The map, panels and controls of one viewer, rendered into its shadow root; ids only
+// need to be unique within a viewer. Static labels are localised after rendering
+// (data-i18n attributes, see i18n.js).
+
+export const VIEWER_HTML = `
+<div class="viewer">
+  <div id="map"></div>
+
+  <!-- Second map of the compare mode (same camera as the main map) -->
+  <div id="compare-map"></div>
+
+  <!-- Title -->
+  <div id="title">
+    <h1><span data-i18n="app.title">Green Accessibility 3D</span> - <span id="cityName">Barcelona</span></h1>
+    <div class="title-controls">
+      <select id="citySelect" aria-label="City" data-i18n-label="app.city"></select>
+      <select id="languageSelect" aria-label="Language" data-i18n-label="app.language"></select>
+    </div>
+    <button type="button" id="connectionStatus" class="connection-status" data-mode="online" aria-live="polite">Online</button>
+  </div>
+
+  <div id="ui">
+    <div id="slider-controls">
+      <button id="playButton" aria-label="Play animation" aria-pressed="false" title="Play / pause (Space or K)" data-i18n-label="play.play" data-i18n-title="play.title">▶</button>
+      <div style="flex: 1;">
+        <label for="timeSlider" style="display:flex;align-items:center;gap:6px;margin-bottom:4px;font-size:11px;opacity:0.9;">
+          <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor">
+            <circle cx="12" cy="12" r="10" fill="none" stroke="currentColor" stroke-width="2"/>
+            <path d="M12 6v6l4 2" stroke="currentColor" stroke-width="2" stroke-linecap="round" fill="none"/>
+          </svg>
+          <span data-i18n="slider.label">Walk time:</span> <span id="timeVal">42</span> min
+        </label>
+        <input id="timeSlider" type="range" min="1" max="42" value="42" step="1" />
+      </div>
+      <button id="timelineButton" aria-label="Animation settings" aria-pressed="false" title="Animation settings" data-i18n-label="timeline.settings" data-i18n-title="timeline.settings">⚙</button>
+    </div>
+    <div id="metric-controls">
+      <label><span data-i18n="controls.colour">Colour</span> <select id="colorMetricSelect"></select></label>
+      <label><span data-i18n="controls.height">Height</span> <select id="heightMetricSelect"></select></label>
+    </div>
+    <div id="speed-controls">
+      <label><span data-i18n="controls.speed">Walking speed</span> <select id="speedSelect"></select></label>
+      <label id="customSpeedField" hidden><span data-i18n="controls.customSpeed">Speed (km/h)</span> <input id="customSpeed" type="number" min="1" max="8" step="0.1" /></label>
+    </div>
+    <label class="metric-check"><input type="checkbox" id="highContrastToggle" /> <span data-i18n="controls.highContrast">High-contrast colours</span></label>
+  </div>
+
+  <!-- Accessibility statistics -->
+  <div id="stats-panel" class="legend-panel"></div>
+
+  <!-- Park catchment / park pressure -->
+  <div id="catchment-panel" class="legend-panel"></div>
+
+  <!-- Selected parcel details -->
+  <div id="parcel-panel" class="legend-panel"></div>
+
+  <!-- Proximity standards -->
+  <div id="standards-panel" class="legend-panel"></div>
+
+  <!-- Route from a clicked point -->
+  <div id="routing-panel" class="legend-panel"></div>
+
+  <!-- Walking isochrones around a park -->
+  <div id="isochrone-panel" class="legend-panel"></div>
+
+  <!-- Districts: aggregation and ranking -->
+  <div id="district-panel" class="legend-panel"></div>
+
+  <!-- Animation settings -->
+  <div id="timeline-panel" class="legend-panel"></div>
+
+  <!-- Compare datasets -->
+  <div id="compare-panel" class="legend-panel"></div>
+
+  <!-- What-if scenario editor -->
+  <div id="scenario-panel" class="legend-panel"></div>
+
+  <!-- Layer visibility, opacity and basemap -->
+  <div id="layer-panel" class="legend-panel"></div>
+
+  <!-- Export menu -->
+  <div id="export-panel" class="legend-panel"></div>
+
+  <div id="tooltip" class="tooltip" style="display:none;" aria-hidden="true"></div>
+
+  <!-- Screen reader announcements (tooltips, selection, animation) -->
+  <div id="live-region" class="visually-hidden" role="status" aria-live="polite"></div>
+
+  <div id="legends">
+    <!-- Height Legend (active height metric) -->
+    <div class="legend-panel" id="heightLegend"></div>
+
+    <!-- Colour Legend (active colour metric) -->
+    <div class="legend-panel" id="colorLegend"></div>
+
+    <!-- Icon Buttons -->
+    <div class="icon-buttons">
+      <button class="icon-button" id="pressureButton" aria-label="Park pressure" data-i18n-label="buttons.pressure" aria-pressed="false">
+        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <path d="M12 2a7 7 0 0 0-7 7c0 3 2 5 4 6v3h6v-3c2-1 4-3 4-6a7 7 0 0 0-7-7z"></path>
+          <line x1="12" y1="18" x2="12" y2="22"></line>
+        </svg>
+      </button>
+      <button class="icon-button" id="standardsButton" aria-label="Proximity standards" aria-pressed="false" data-i18n-label="standards.title">
+        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <circle cx="12" cy="12" r="10"></circle>
+          <polyline points="8 12 11 15 16 9"></polyline>
+        </svg>
+      </button>
+      <button class="icon-button" id="scenarioButton" aria-label="What-if scenario" data-i18n-label="buttons.scenario">
+        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <path d="M12 20h9"></path>
+          <path d="M16.5 3.5a2.1 2.1 0 0 1 3 3L7 19l-4 1 1-4z"></path>
+        </svg>
+      </button>
+      <button class="icon-button" id="routingButton" aria-label="Route from a point" aria-pressed="false" data-i18n-label="routing.title">
+        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <circle cx="6" cy="19" r="2"></circle>
+          <path d="M18 8c0 3-4 7-4 7s-4-4-4-7a4 4 0 0 1 8 0z"></path>
+          <path d="M8 19h5a3 3 0 0 0 0-6h-1"></path>
+        </svg>
+      </button>
+      <button class="icon-button" id="districtsButton" aria-label="Districts" aria-pressed="false" data-i18n-label="districts.title">
+        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <path d="M3 6l6-3 6 3 6-3v15l-6 3-6-3-6 3z"></path>
+          <line x1="9" y1="3" x2="9" y2="18"></line>
+          <line x1="15" y1="6" x2="15" y2="21"></line>
+        </svg>
+      </button>
+      <button class="icon-button" id="compareButton" aria-label="Compare datasets" aria-pressed="false" data-i18n-label="compare.title">
+        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <rect x="3" y="4" width="18" height="16"></rect>
+          <line x1="12" y1="2" x2="12" y2="22"></line>
+        </svg>
+      </button>
+      <button class="icon-button" id="exportButton" aria-label="Export" data-i18n-label="buttons.export">
+        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
+          <polyline points="7 10 12 15 17 10"></polyline>
+          <line x1="12" y1="15" x2="12" y2="3"></line>
+        </svg>
+      </button>
+      <button class="icon-button" id="userGuideButton" aria-label="User guide" data-i18n-label="buttons.guide">
+        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <path d="M4 19.5A2.5 2.5 0 0 1 6.5 17H20"></path>
+          <path d="M6.5 2H20v20H6.5A2.5 2.5 0 0 1 4 19.5v-15A2.5 2.5 0 0 1 6.5 2z"></path>
+        </svg>
+      </button>
+      <button class="icon-button" id="aboutButton" aria-label="About the project" data-i18n-label="buttons.about">
+        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <circle cx="12" cy="12" r="10"></circle>
+          <line x1="12" y1="16" x2="12" y2="12"></line>
+          <line x1="12" y1="8" x2="12.01" y2="8"></line>
+        </svg>
+      </button>
+    </div>
+  </div>
+</div>
+`;
@@ -0,0 +1,2598 @@
+// Viewer
+// One instance of the app: the map, its data and every panel, rendered into the shadow
+// root of a container element so that several viewers can share a page without sharing
+// state. Used by the <green-access-map> element (green-access-map.js); index.html holds
+// one standalone viewer that fills the page.
+
+import { loadCityIndex, loadCityManifest, getCityIdFromUrl, setCityIdInUrl } from './cities.js';
+import { RouteLookup } from './routes.js';
+import { geometryBbox, bboxCenter, routeProfile } from './geometry.js';
+import { ParcelTileCache } from './parcels.js';
+import { FgbDecoder } from './fgb-client.js';
+import { histogramFromFeatures, walkTimePercentileRank } from './stats.js';
+import { StatsPanel } from './stats-panel.js';
+import { CatchmentAnalysis, routeDestination } from './catchment.js';
+import { CatchmentPanel } from './catchment-panel.js';
+import { ParcelPanel } from './parcel-panel.js';
+import { compareWalkTimes, differenceColorExpression, formatChange } from './compare.js';
+import { CompareView } from './compare-view.js';
+import { ComparePanel } from './compare-panel.js';
+import { calibrateDetourFactor, estimateScenario, additionalResidentsByMinute } from './scenario.js';
+import { ScenarioEditor } from './scenario-editor.js';
+import { needsDestinations, classifyParcel, complianceSummary, standardColorExpression, formatStandardClass } from './standards.js';
+import { StandardsPanel } from './standards-panel.js';
+import {
+  METRICS, DEFAULT_COLOR_METRIC, DEFAULT_HEIGHT_METRIC,
+  metricColorExpression, metricHeightExpression, hasMetricExpression, metricValue, metricHeight, formatMetric
+} from './metrics.js';
+import { ParcelLegend } from './legends.js';
+import { downloadBlob, featuresToGeojson, parcelsToCsv, routesToGpx, snapshotMap, canRecordMap, recordMap } from './export.js';
+import { ExportMenu } from './export-menu.js';
+import { loadNetwork } from './routing.js';
+import { RoutingPanel } from './routing-panel.js';
+import { isochronePolygons, bandPopulation, ISOCHRONE_CELL_M } from './isochrones.js';
+import { IsochronePanel } from './isochrone-panel.js';
+import {
+  DistrictAggregation, DISTRICT_MAX_ZOOM, AREA_METRICS, normalizeAreas, areaColorStops, areaColorExpression, areaHeightExpression,
+  formatAreaMetric
+} from './districts.js';
+import { DistrictPanel } from './district-panel.js';
+import { Timeline, orbitCamera, pathCamera } from './timeline.js';
+import { TimelinePanel } from './timeline-panel.js';
+import { readUrlState, writeUrlState } from './url-state.js';
+import {
+  DATA_SPEED_KMH, SPEED_PROFILES, metresPerMinute, walkTimeAt, walkTimeExpression, maxWalkTimeAt, rescaleWalkTime, profileOf, clampSpeed
+} from './walk-speed.js';
+import { LayerPanel } from './layer-panel.js';
+import { registerServiceWorker, ConnectionMonitor } from './offline.js';
+import { GeocoderControl, LocalSearchProvider, NominatimProvider } from './geocoder.js';
+import { createAnnouncer, escapeHtml, textOf, trapFocus } from './a11y.js';
+import { ParcelNavigator, NAVIGATION_HELP } from './parcel-navigator.js';
+import { t, LANGUAGES, language, setLanguage, localizeDocument, formatArea, formatDistance, formatNumber } from './i18n.js';
+import { VIEWER_HTML } from './viewer-template.js';
+
+// Debounce helper
+function debounce(func, wait) {
+  let timeout;
+  return function executedFunction(...args) {
+    const later = () => {
+      clearTimeout(timeout);
+      func(...args);
+    };
+    clearTimeout(timeout);
+    timeout = setTimeout(later, wait);
+  };
+}
+
+// Throttle helper (leading call, then at most one call per interval)
+function throttle(func, wait) {
+  let last = 0;
+  let timeout;
+  const throttled = (...args) => {
+    const remaining = wait - (Date.now() - last);
+    clearTimeout(timeout);
+    if (remaining <= 0) {
+      last = Date.now();
+      func(...args);
+    } else {
+      timeout = setTimeout(() => {
+        last = Date.now();
+        func(...args);
+      }, remaining);
+    }
+  };
+  throttled.cancel = () => clearTimeout(timeout);
+  return throttled;
+}
+
+function loadScript(src) {
+  return new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = src;
+    script.onload = resolve;
+    script.onerror = () => reject(new Error(`Failed to load ${src}`));
+    document.head.appendChild(script);
+  });
+}
+
+// MapLibre GL JS (vendored) is a page-wide script, loaded once for every viewer unless
+// the page already has it
+let maplibreReady = null;
+function loadMaplibre() {
+  if (window.maplibregl) return Promise.resolve();
+  maplibreReady = maplibreReady || loadScript(new URL('../vendor/maplibre-gl/maplibre-gl.js', import.meta.url).href);
+  return maplibreReady;
+}
+
+// Stylesheets of a viewer's shadow root: MapLibre's (vendored) and the app's
+const STYLESHEETS = [
+  new URL('../vendor/maplibre-gl/maplibre-gl.css', import.meta.url).href,
+  new URL('../styles.css', import.meta.url).href
+];
+
+// Markup and stylesheets of a viewer; resolves once the styles apply, since the map
+// measures its container when it is created
+function renderViewer(root) {
+  root.innerHTML = VIEWER_HTML;
+  const viewer = root.querySelector('.viewer');
+  return Promise.all(STYLESHEETS.map(href => new Promise(resolve => {
+    const link = document.createElement('link');
+    link.rel = 'stylesheet';
+    link.onload = resolve;
+    link.onerror = resolve;
+    link.href = href;
+    viewer.before(link);
+  })));
+}
+
+// Create a viewer in container, whose shadow root holds the map and the panels.
+// options: city (id; default: the index default), dataRoot (folder with cities.json;
+// default ./data), standalone (the viewer owns the page: view state and city in the URL,
+// document title, language picker, keyboard shortcuts anywhere on the page) and
+// serviceWorker (URL of sw.js, registered for offline use).
+// Resolves with the viewer's methods once the map and the city have loaded; the
+// parcelselect, thresholdchange and routeload events are dispatched on container.
+export async function createViewer(container, options = {}) {
+  const { dataRoot = './data', standalone = false } = options;
+  const root = container.shadowRoot || container.attachShadow({ mode: 'open' });
+  await Promise.all([renderViewer(root), loadMaplibre()]);
+
+  const emit = (type, detail) => container.dispatchEvent(new CustomEvent(type, { detail }));
+  const announce = createAnnouncer(root.getElementById('live-region'));
+  // Listeners on the document, removed by destroy()
+  const lifetime = new AbortController();
+
+  // Slider configuration
+  const INITIAL_MIN = 1;
+
+  // Static labels, in the language from ?lang= or the browser
+  localizeDocument(root);
+
+  // Cache the app and the city data for offline use (sw.js); the map does not wait for it
+  const offlineReady = options.serviceWorker ? registerServiceWorker(options.serviceWorker) : Promise.resolve(false);
+
+  // City manifest (data paths, camera, slider range, geocoder bounds)
+  const cityIndex = await loadCityIndex(dataRoot);
+  let city = await loadCityManifest(options.city || (standalone ? getCityIdFromUrl(cityIndex) : cityIndex.default), dataRoot);
+  if (standalone) document.title = t('app.documentTitle', { city: city.name });
+
+  // Initialize map
+  // Carto raster basemaps (tiles without labels, and labels only)
+  const BASEMAPS = {
+    dark: {
+      label: t('basemap.dark'),
+      tiles: ['https://a.basemaps.cartocdn.com/dark_nolabels/{z}/{x}/{y}.png'],
+      labels: ['https://a.basemaps.cartocdn.com/dark_only_labels/{z}/{x}/{y}.png']
+    },
+    light: {
+      label: t('basemap.light'),
+      tiles: ['https://a.basemaps.cartocdn.com/light_nolabels/{z}/{x}/{y}.png'],
+      labels: ['https://a.basemaps.cartocdn.com/light_only_labels/{z}/{x}/{y}.png']
+    },
+    none: { label: t('basemap.none') },
+    // Drawn from the city's boundary (land) and green layers over a plain background,
+    // without tiles; also replaces the tiles while they cannot be reached
+    local: { label: t('basemap.local'), background: '#141517', land: '#26282b' }
+  };
+
+  // Style with a Carto basemap and its labels (none and local hide them); also used by the
+  // compare view. No layer draws text, so the style needs no glyphs.
+  function basemapStyle(basemap) {
+    const visibility = basemap.tiles ? 'visible' : 'none';
+    return {
+      version: 8,
+      sources: {
+        'carto': {
+          type: 'raster',
+          tiles: basemap.tiles || BASEMAPS.dark.tiles,
+          tileSize: 256,
+          attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>'
+        },
+        'carto-labels': {
+          type: 'raster',
+          tiles: basemap.labels || BASEMAPS.dark.labels,
+          tileSize: 256
+        }
+      },
+      layers: [
+        {
+          id: 'basemap-background',
+          type: 'background',
+          layout: { visibility: basemap.land ? 'visible' : 'none' },
+          paint: { 'background-color': BASEMAPS.local.background }
+        },
+        { id: 'basemap', type: 'raster', source: 'carto', layout: { visibility } },
+        {
+          id: 'basemap-labels',
+          type: 'raster',
+          source: 'carto-labels',
+          minzoom: 16,
+          layout: { visibility },
+          paint: {
+            'raster-opacity': [
+              'interpolate',
+              ['linear'],
+              ['zoom'],
+              16, 0,
+              17, 1
+            ]
+          }
+        }
+      ]
+    };
+  }
+
+  const map = new maplibregl.Map({
+    container: root.getElementById('map'),
+    style: basemapStyle(BASEMAPS.dark),
+    center: city.center,
+    zoom: city.zoom,
+    pitch: 60,
+    bearing: -20,
+    antialias: true,
+    // Camera in the URL hash of a standalone viewer; other view state is kept next to it (url-state.js)
+    hash: standalone ? 'map' : false
+  });
+
+  // Offline indicator: whether the tiles or the local basemap are drawn, and whether the
+  // app has been saved for offline use
+  const connectionStatus = root.getElementById('connectionStatus');
+  let offlineCached = false;
+
+  function renderConnectionStatus() {
+    const { mode } = connection;
+    connectionStatus.dataset.mode = mode;
+    connectionStatus.textContent = t(`offline.${mode}`);
+    connectionStatus.title = [
+      offlineCached ? t('offline.cached') : t('offline.notCached'),
+      mode === 'online' ? '' : t('offline.retry')
+    ].filter(Boolean).join(' · ');
+    connectionStatus.disabled = mode === 'online';
+  }
+
+  // Redraws the basemap when the tiles come and go; the map's load handler adds the compare view
+  let onConnectionChange = () => {
+    if (map.getLayer('basemap')) applyLayerSettings();
+  };
+
+  const connection = new ConnectionMonitor(map, {
+    sources: ['carto', 'carto-labels'],
+    onChange: () => {
+      renderConnectionStatus();
+      onConnectionChange();
+    }
+  });
+  connectionStatus.addEventListener('click', () => connection.retry());
+  renderConnectionStatus();
+  offlineReady.then((ready) => {
+    offlineCached = ready;
+    renderConnectionStatus();
+  });
+
+  const tooltip = root.getElementById('tooltip');
+
+  // Add navigation control with custom styling (black background)
+  map.addControl(new maplibregl.NavigationControl({
+    showCompass: true,
+    showZoom: true,
+    visualizePitch: true
+  }), 'top-right');
+
+  // FlatGeobuf decoding runs in a worker so the 3D scene keeps rendering smoothly
+  const decoder = new FgbDecoder();
+
+  // Parcels cached by tile
+  const parcelTiles = new ParcelTileCache({ decoder });
+
+  // Route lookup (LRU cache, sidecar index, bbox query)
+  const routeLookup = new RouteLookup({ decoder, parcelExtent: (parcelId) => parcelTiles.extentOf(parcelId) });
+  routeLookup.setSource(city.data.routes, city.data.routesIndex);
+
+  // Green structure catchments and park pressure
+  const catchments = new CatchmentAnalysis({
+    decoder,
+    getParcels: () => parcelTiles.toFeatureCollection().features
+  });
+
+  // Search: parcels, parks and structures of the loaded city, plus Nominatim when configured
+  const localSearch = new LocalSearchProvider({
+    getParcels: () => parcelTiles.toFeatureCollection().features,
+    getGreenAreas: () => cityGeojson.greenAreas?.features || [],
+    getStructures: () => catchments.structures
+  });
+
+  function searchProviders(target) {
+    return target.geocoder.endpoint ? [localSearch, new NominatimProvider(target.geocoder)] : [localSearch];
+  }
+
+  // Until the map has loaded a result can only be flown to
+  let onSearchSelect = (result) => map.flyTo({ center: result.center, zoom: 17 });
+
+  const geocoder = new GeocoderControl({
+    providers: searchProviders(city),
+    onSelect: (result) => onSearchSelect(result)
+  });
+  map.addControl(geocoder, 'top-left');
+
+  // View state from a shared link
+  const initialUrlState = standalone ? readUrlState() : {};
+
+  // Thematic metrics drawn as parcel colour and extrusion height (ids from METRICS)
+  const parcelStyle = {
+    color: METRICS[initialUrlState.colorMetric] ? initialUrlState.colorMetric : DEFAULT_COLOR_METRIC,
+    height: METRICS[initialUrlState.heightMetric] ? initialUrlState.heightMetric : DEFAULT_HEIGHT_METRIC,
+    highContrast: false,  // Colour-blind safe, high-contrast ramps
+    standard: null,  // Rule set of the proximity standards mode; parcels are coloured by class
+    // Walking speed (km/h) effective walk times are computed at; the data's is 5 km/h
+    walkSpeed: initialUrlState.walkSpeed === undefined ? DATA_SPEED_KMH : clampSpeed(initialUrlState.walkSpeed)
+  };
+
+  // Parcel colour: selection, hover, catchment and scenario highlights over the colour metric
+  // (or the standard_class of the standards mode)
+  // ctx: { maxWalkTime, highContrast, standard, walkSpeed }
+  function parcelColorExpression(metricId, ctx) {
+    return [
+      'case',
+      ['boolean', ['feature-state', 'selected'], false],
+      '#f87171',  // Coral red for selected building (matches pause button)
+      ['boolean', ['feature-state', 'hover'], false],
+      '#FFFFFF',  // White border/highlight on hover
+      ['boolean', ['feature-state', 'catchment'], false],
+      '#34D399',  // Green for parcels served by the selected structure
+      // Gain colour where both times are known (parcels beyond every park have no walk_time)
+      ['all', ['has', 'scenario_walk_time'], ['==', ['typeof', ['get', 'walk_time']], 'number']],
+      ['interpolate', ['linear'], ['*', ['-', ['get', 'walk_time'], ['get', 'scenario_walk_time']], DATA_SPEED_KMH / ctx.walkSpeed],
+        0, '#FEF08A',    // Pale yellow (small gain)
+        5, '#A3E635',    // Lime (5 min gained)
+        10, '#16A34A'    // Green (10+ min gained)
+      ],
+      ...(ctx.standard
+        ? [['has', 'standard_class'], standardColorExpression()]
+        : [hasMetricExpression(metricId), metricColorExpression(metricId, ctx)]),
+      '#27272a'  // Gray for parcels without a value
+    ];
+  }
+
+  function parcelColorContext(target) {
+    return {
+      maxWalkTime: cityMaxWalkTime(target),
+      highContrast: parcelStyle.highContrast,
+      standard: parcelStyle.standard !== null,
+      walkSpeed: parcelStyle.walkSpeed
+    };
+  }
+
+  // Slider range of a city at the current walking speed
+  function cityMaxWalkTime(target) {
+    return maxWalkTimeAt(target.maxWalkTime, parcelStyle.walkSpeed);
+  }
+
+  // Parcels within a walk time threshold at the current walking speed; scenario_walk_time
+  // (at 5 km/h, like walk_time) is set by the what-if editor
+  function parcelFilter(threshold) {
+    if (parcelStyle.walkSpeed === DATA_SPEED_KMH) {
+      return ['<=', ['coalesce', ['get', 'scenario_walk_time'], ['get', 'walk_time'], 999], threshold];
+    }
+    return ['<=', [
+      'case',
+      ['has', 'scenario_walk_time'], ['*', ['get', 'scenario_walk_time'], DATA_SPEED_KMH / parcelStyle.walkSpeed],
+      ['has', 'walk_time'], walkTimeExpression(parcelStyle.walkSpeed),
+      999
+    ], threshold];
+  }
+
+  // Effective walk time of a parcel as filtered and drawn, or null without data
+  function parcelWalkTime(properties) {
+    const p = properties || {};
+    if (p.scenario_walk_time !== undefined) return rescaleWalkTime(p.scenario_walk_time, parcelStyle.walkSpeed);
+    return walkTimeAt(p, parcelStyle.walkSpeed);
+  }
+
+  // Layers that belong to a city, in drawing order
+  const CITY_LAYERS = ['boundary-fill', 'green-areas-fill', 'green-structures-fill', 'green-structures-line', 'boundary-line', 'parcels-3d'];
+  const CITY_SOURCES = ['green_areas', 'green_structures', 'boundary', 'parcels'];
+
+  // Layers in the layer panel, with their default opacity and how opacity is painted
+  const LAYER_OPTIONS = [
+    { id: 'green-areas-fill', label: t('layers.greenAreas'), opacity: 0.85, paint: (o) => ({ 'fill-extrusion-opacity': o }) },
+    { id: 'green-structures-line', label: t('layers.greenStructures'), opacity: 0.9, paint: (o) => ({ 'line-opacity': o }) },
+    { id: 'boundary-line', label: t('layers.boundary'), opacity: 0.6, paint: (o) => ({ 'line-opacity': o }) },
+    { id: 'routes-line', label: t('layers.routes'), opacity: 0.95, paint: (o) => ({ 'line-opacity': o }) },
+    { id: 'route-endpoints', label: t('layers.routeEndpoints'), opacity: 1, paint: (o) => ({ 'circle-opacity': o, 'circle-stroke-opacity': o }) },
+    // Labels fade in between zoom 16 and 17
+    { id: 'basemap-labels', label: t('layers.basemapLabels'), opacity: 1, paint: (o) => ({ 'raster-opacity': ['interpolate', ['linear'], ['zoom'], 16, 0, 17, o] }) }
+  ];
+  const TOGGLE_LAYERS = LAYER_OPTIONS.map(l => l.id);
+  const hiddenLayers = new Set((initialUrlState.hiddenLayers || []).filter(id => TOGGLE_LAYERS.includes(id)));
+
+  // Layer panel settings that outlive a city switch (city layers are re-created)
+  const layerSettings = {
+    opacity: Object.fromEntries(LAYER_OPTIONS.map(l => [l.id, l.opacity])),
+    basemap: 'dark',
+    greenExtruded: false
+  };
+
+  // Green areas are drawn flat (0.5 m) or as raised slabs
+  const GREEN_AREA_HEIGHT_M = { flat: 0.5, extruded: 6 };
+
+  // Basemap actually drawn: the local one while the tiles of the chosen one cannot be reached
+  function activeBasemap() {
+    return BASEMAPS[layerSettings.basemap].tiles && connection.mode !== 'online' ? 'local' : layerSettings.basemap;
+  }
+
+  // Apply visibility, opacity and the basemap choice to the layers currently in the style
+  function applyLayerSettings() {
+    const basemap = BASEMAPS[activeBasemap()];
+    LAYER_OPTIONS.forEach(({ id, paint }) => {
+      if (!map.getLayer(id)) return;
+      // Without tiles there are no labels either
+      const hidden = hiddenLayers.has(id) || (id === 'basemap-labels' && !basemap.tiles);
+      map.setLayoutProperty(id, 'visibility', hidden ? 'none' : 'visible');
+      Object.entries(paint(layerSettings.opacity[id])).forEach(([property, value]) => {
+        map.setPaintProperty(id, property, value);
+      });
+    });
+    map.setLayoutProperty('basemap', 'visibility', basemap.tiles ? 'visible' : 'none');
+    map.setLayoutProperty('basemap-background', 'visibility', basemap.land ? 'visible' : 'none');
+    if (map.getLayer('boundary-fill')) {
+      map.setLayoutProperty('boundary-fill', 'visibility', basemap.land ? 'visible' : 'none');
+    }
+    if (map.getLayer('green-areas-fill')) {
+      map.setPaintProperty('green-areas-fill', 'fill-extrusion-height', greenAreaHeight());
+    }
+  }
+
+  function greenAreaHeight() {
+    return layerSettings.greenExtruded ? GREEN_AREA_HEIGHT_M.extruded : GREEN_AREA_HEIGHT_M.flat;
+  }
+
+  // Point the basemap sources at another Carto style; picking tiles tries them again
+  function setBasemap(id) {
+    layerSettings.basemap = id;
+    const basemap = BASEMAPS[id];
+    if (basemap.tiles) {
+      map.getSource('carto').setTiles(basemap.tiles);
+      map.getSource('carto-labels').setTiles(basemap.labels);
+      connection.retry();
+    }
+    applyLayerSettings();
+  }
+
+  // GeoJSON layers of the active city, shared with the analysis modules
+  let cityGeojson = { greenAreas: null, greenStructures: null, boundary: null };
+
+  async function fetchGeojson(url) {
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      return await response.json();
+    } catch (error) {
+      console.error(`[fetchGeojson] Failed to load ${url}:`, error);
+      return { type: 'FeatureCollection', features: [] };
+    }
+  }
+
+  // Green structure fill: transparent click target, catchment highlight and park pressure
+  function structureFillOpacity(pressureOn) {
+    return ['case', ['boolean', ['feature-state', 'selected'], false], 0.45, pressureOn ? 0.6 : 0];
+  }
+
+  // Add the sources and layers of a city below the route layers (if present)
+  async function addCityLayers(target) {
+    const [greenAreas, greenStructures, boundary] = await Promise.all([
+      fetchGeojson(target.data.greenAreas),
+      fetchGeojson(target.data.greenStructures),
+      fetchGeojson(target.data.boundary)
+    ]);
+    // Another city was picked while loading
+    if (target !== city) return;
+    cityGeojson = { greenAreas, greenStructures, boundary };
+    catchments.setCity({ routesUrl: target.data.routes, greenStructures, greenAreas });
+
+    const beforeId = map.getLayer('routes-line') ? 'routes-line' : undefined;
+
+    // Municipal boundary (the land of the local basemap, and the outline further up)
+    map.addSource('boundary', { type: 'geojson', data: boundary });
+    map.addLayer({
+      id: 'boundary-fill',
+      type: 'fill',
+      source: 'boundary',
+      layout: { visibility: BASEMAPS[activeBasemap()].land ? 'visible' : 'none' },
+      paint: { 'fill-color': BASEMAPS.local.land }
+    }, beforeId);
+
+    // Green areas fill layer (candidate parks of a what-if scenario are added to this source)
+    map.addSource('green_areas', { type: 'geojson', data: greenAreas });
+    map.addLayer({
+      id: 'green-areas-fill',
+      type: 'fill-extrusion',
+      source: 'green_areas',
+      paint: {
+        'fill-extrusion-color': ['case', ['boolean', ['get', 'scenario'], false], '#6EE7B7', '#10B981'],
+        'fill-extrusion-opacity': 0.85,
+        'fill-extrusion-height': greenAreaHeight(),
+        'fill-extrusion-base': 0
+      }
+    }, beforeId);
+
+    // Green area outline/structure layer
+    map.addSource('green_structures', {
+      type: 'geojson',
+      data: greenStructures,
+      promoteId: 'green_structure_id'
+    });
+    map.addLayer({
+      id: 'green-structures-fill',
+      type: 'fill',
+      source: 'green_structures',
+      paint: {
+        'fill-color': [
+          'case',
+          ['boolean', ['feature-state', 'selected'], false],
+          '#34D399',  // Selected structure (catchment mode)
+          ['interpolate', ['linear'], ['coalesce', ['feature-state', 'pressure'], 0],
+            0, '#10B981',    // Green (few residents per hectare)
+            0.5, '#FBBF24',  // Amber
+            1, '#EF4444'     // Red (most crowded)
+          ]
+        ],
+        'fill-opacity': structureFillOpacity(false)
+      }
+    }, beforeId);
+    map.addLayer({
+      id: 'green-structures-line',
+      type: 'line',
+      source: 'green_structures',
+      paint: {
+        'line-color': '#059669',
+        'line-width': 2,
+        'line-opacity': 0.9
+      },
+      layout: {
+        'line-cap': 'round',
+        'line-join': 'round'
+      }
+    }, beforeId);
+
+    map.addLayer({
+      id: 'boundary-line',
+      type: 'line',
+      source: 'boundary',
+      paint: {
+        'line-color': '#ffffff',
+        'line-width': 2,
+        'line-opacity': 0.6
+      },
+      layout: {
+        'line-cap': 'round',
+        'line-join': 'round'
+      }
+    }, beforeId);
+
+    // Parcels (FlatGeobuf with spatial index, decoded in a worker)
+    map.addSource('parcels', {
+      type: 'geojson',
+      data: { type: 'FeatureCollection', features: [] },
+      promoteId: 'parcel_id'  // Stable ids keep selection/hover feature-state across reloads
+    });
+
+    map.addLayer({
+      id: 'parcels-3d',
+      type: 'fill-extrusion',
+      source: 'parcels',
+      filter: parcelFilter(cityMaxWalkTime(target)),
+      paint: {
+        'fill-extrusion-height': metricHeightExpression(parcelStyle.height, parcelColorContext(target)),
+        'fill-extrusion-base': 0,
+        'fill-extrusion-opacity': 0.9,
+        'fill-extrusion-color': parcelColorExpression(parcelStyle.color, parcelColorContext(target))
+      }
+    }, beforeId);
+
+    // Load all parcels to show the full city, drawing them as batches arrive from the
+    // worker, or only the tiles in view for large datasets
+    parcelTiles.setSource(target.data.parcels);
+    let parcels;
+    if (target.preloadParcels) {
+      const loaded = [];
+      const drawLoaded = throttle(() => {
+        if (target === city) map.getSource('parcels').setData({ type: 'FeatureCollection', features: loaded });
+      }, 500);
+      parcels = await parcelTiles.loadAll((batch) => {
+        loaded.push(...batch);
+        drawLoaded();
+      });
+      drawLoaded.cancel();
+    } else {
+      parcels = (await parcelTiles.loadViewport(map.getBounds())) || parcelTiles.toFeatureCollection();
+    }
+    // Another city was picked while the parcels were loading
+    if (target !== city) return;
+    map.getSource('parcels').setData(parcels);
+  }
+
+  function removeCityLayers() {
+    CITY_LAYERS.forEach(id => {
+      if (map.getLayer(id)) map.removeLayer(id);
+    });
+    CITY_SOURCES.forEach(id => {
+      if (map.getSource(id)) map.removeSource(id);
+    });
+  }
+
+  // Resolves with the viewer's methods at the end of the load handler
+  let resolveViewer;
+  const viewer = new Promise(resolve => { resolveViewer = resolve; });
+
+  map.on('load', async () => {
+    await addCityLayers(city);
+
+    // Variable to track selected parcel and hovered parcel
+    let selectedParcelId = null;
+    let hoveredParcelId = null;
+    let routeAbort = null;
+
+    // Fetch parcels of newly uncovered tiles when moving or zooming; stale tile
+    // requests are cancelled by the tile cache
+    map.on('moveend', debounce(async () => {
+      if (!map.getSource('parcels')) return;  // City switch in progress
+      const parcelsUrl = city.data.parcels;
+      const parcels = await parcelTiles.loadViewport(map.getBounds());
+      // The city changed while loading
+      if (parcelsUrl !== city.data.parcels || !map.getSource('parcels')) return;
+      if (parcels && parcelStyle.standard) standardsPanel.showSummary(classifyParcels(parcelStyle.standard));
+      if (parcels && scenarioEditor.candidates.length) {
+        applyScenario(scenarioEditor.candidates);  // Estimate new tiles too
+      } else if (parcels) {
+        map.getSource('parcels').setData(parcels);
+      }
+      if (parcels || statsPanel.scope === 'view') updateStats();
+      if (parcels) updateComparison();
+      if (parcels) updateDistricts();
+      renderLegends();
+    }, 200));
+
+    // Add hover effect to buildings
+    // Hover highlight (mouse or keyboard navigation)
+    const setHoveredParcel = (id) => {
+      if (hoveredParcelId !== null) {
+        map.setFeatureState(
+          { source: 'parcels', id: hoveredParcelId },
+          { hover: false }
+        );
+      }
+      hoveredParcelId = id;
+      if (id !== null) {
+        map.setFeatureState(
+          { source: 'parcels', id: hoveredParcelId },
+          { hover: true }
+        );
+      }
+    };
+
+    map.on('mousemove', 'parcels-3d', (e) => {
+      if (e.features.length > 0) {
+        setHoveredParcel(e.features[0].id);
+        map.getCanvas().style.cursor = 'pointer';
+      }
+    });
+
+    map.on('mouseleave', 'parcels-3d', () => {
+      setHoveredParcel(null);
+      map.getCanvas().style.cursor = '';
+    });
+
+    // Districts drawn instead of the parcels at low zoom (district mode), flat or extruded
+    map.addSource('districts', {
+      type: 'geojson',
+      data: { type: 'FeatureCollection', features: [] },
+      promoteId: 'area_id'
+    });
+
+    map.addLayer({
+      id: 'districts-3d',
+      type: 'fill-extrusion',
+      source: 'districts',
+      maxzoom: DISTRICT_MAX_ZOOM,
+      paint: {
+        'fill-extrusion-base': 0,
+        'fill-extrusion-height': 0,
+        'fill-extrusion-opacity': 0.85
+      }
+    });
+
+    map.addLayer({
+      id: 'districts-line',
+      type: 'line',
+      source: 'districts',
+      maxzoom: DISTRICT_MAX_ZOOM,
+      paint: {
+        'line-color': ['case', ['boolean', ['feature-state', 'selected'], false], '#f87171', '#ffffff'],
+        'line-width': ['case', ['boolean', ['feature-state', 'selected'], false], 3, 1],
+        'line-opacity': 0.8
+      }
+    });
+
+    // Walking isochrones around a park, nested with the shortest band on top
+    map.addSource('isochrones', {
+      type: 'geojson',
+      data: { type: 'FeatureCollection', features: [] }
+    });
+
+    map.addLayer({
+      id: 'isochrones-fill',
+      type: 'fill',
+      source: 'isochrones',
+      paint: {
+        'fill-color': ['get', 'color'],
+        'fill-opacity': 0.25
+      }
+    });
+
+    map.addLayer({
+      id: 'isochrones-line',
+      type: 'line',
+      source: 'isochrones',
+      paint: {
+        'line-color': ['get', 'color'],
+        'line-width': 1.5
+      }
+    });
+
+    // Empty source for selected routes with lineMetrics enabled for gradient
+    map.addSource('routes-selected', {
+      type: 'geojson',
+      data: { type: 'FeatureCollection', features: [] },
+      lineMetrics: true
+    });
+
+    map.addSource('route-points', {
+      type: 'geojson',
+      data: { type: 'FeatureCollection', features: [] }
+    });
+
+    map.addLayer({
+      id: 'routes-line',
+      type: 'line',
+      source: 'routes-selected',
+      layout: {
+        'line-cap': 'round',
+        'line-join': 'round'
+      },
+      paint: {
+        'line-width': 3,
+        'line-opacity': 0.95,
+        'line-gradient': [
+          'interpolate',
+          ['linear'],
+          ['line-progress'],
+          0, '#f87171',    // Coral red (start - matches selected building)
+          0.5, '#fb923c',  // Orange (middle)
+          1, '#FFCD93'     // Peach (end)
+        ]
+      }
+    });
+
+    map.addLayer({
+      id: 'route-endpoints',
+      type: 'circle',
+      source: 'route-points',
+      paint: {
+        'circle-radius': 6,
+        'circle-color': ['get', 'color'],
+        'circle-stroke-width': 2,
+        'circle-stroke-color': '#ffffff',
+        'circle-opacity': 1
+      }
+    });
+
+    // Tooltip for green areas
+    map.on('mousemove', 'green-areas-fill', (e) => {
+      const f = e.features?.[0];
+      if (!f) return hideTip();
+      // Names of scenario candidates come from a loaded scenario file
+      const name = escapeHtml(f.properties.green_area_name || '—');
+      const area = formatArea(f.properties.green_area_m2 || 0);
+      const icon = '<svg width="24" height="24" viewBox="0 0 24 24" fill="#10B981"><circle cx="12" cy="8" r="5"/><circle cx="8" cy="10" r="4"/><circle cx="16" cy="10" r="4"/><rect x="11" y="13" width="2" height="8"/></svg>';
+      showTip(e.point.x, e.point.y, `<div style="display:flex;align-items:center;gap:10px;">${icon}<div><b>${name}</b><br><span style="font-size:11px;opacity:0.7;">${area}</span></div></div>`, 'park');
+    });
+    map.on('mouseleave', 'green-areas-fill', hideTip);
+
+    // Tooltip for parcels
+    const parcelTipHtml = (properties) => {
+      // The compared dataset can be a local file
+      const cad = escapeHtml(properties.cadastral_parcel || properties.parcel_id);
+      // Population and walk time, then whichever other metrics are drawn
+      const metrics = [...new Set(['population', 'walk_time', parcelStyle.color, parcelStyle.height])];
+      const ctx = parcelColorContext(city);
+      const lines = metrics.map(id => `${METRICS[id].label}: ${formatMetric(id, properties, ctx)}`);
+      if (properties.scenario_walk_time !== undefined) {
+        lines.push(t('tooltip.withNewParks', { min: rescaleWalkTime(properties.scenario_walk_time, parcelStyle.walkSpeed) }));
+      }
+      if (properties.walk_time_change !== undefined) {
+        lines.push(t('compare.tooltipChange', { change: formatChange(properties.walk_time_change) }));
+      }
+      if (parcelStyle.standard && properties.standard_class !== undefined) {
+        lines.push(`${escapeHtml(parcelStyle.standard.name)}: ${formatStandardClass(properties.standard_class)}`);
+      }
+      const icon = `<svg width="24" height="24" viewBox="0 0 24 24" fill="#AB47BC"><path d="M10 20v-6h4v6h5v-8h3L12 3 2 12h3v8z"/></svg>`;
+      return `<div style="display:flex;align-items:center;gap:10px;">${icon}<div><div style="font-weight:500;margin-bottom:2px;">${t('tooltip.parcel', { ref: cad })}</div><span style="font-size:11px;opacity:0.7;">${lines.join('<br>')}</span></div></div>`;
+    };
+
+    map.on('mousemove', 'parcels-3d', (e) => {
+      const f = e.features?.[0];
+      if (!f) return hideTip();
+      showTip(e.point.x, e.point.y, parcelTipHtml(f.properties), 'parcel');
+    });
+    map.on('mouseleave', 'parcels-3d', hideTip);
+
+    // Tooltip for routes
+    map.on('mousemove', 'routes-line', (e) => {
+      map.getCanvas().style.cursor = 'pointer';
+      const f = e.features?.[0];
+      if (!f) return hideTip();
+      const minutes = walkTimeAt(f.properties, parcelStyle.walkSpeed);
+      const walkTime = minutes !== null ? `${minutes} min` : '—';
+      const walkDist = f.properties?.walk_distance ? formatDistance(f.properties.walk_distance) : '—';
+      const icon = '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="#f87171" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="6" cy="19" r="2" fill="none"></circle><circle cx="18" cy="5" r="2" fill="none"></circle><path d="M12 19 L16.5 19 C18.433 19 20 17.433 20 15.5 C20 13.567 18.433 12 16.5 12 L8.5 12 C6.567 12 5 10.433 5 8.5 C5 6.567 6.567 5 8.5 5 L12 5"></path></svg>';
+      showTip(e.point.x, e.point.y, `<div style="display:flex;align-items:center;gap:10px;">${icon}<div><b>${t('tooltip.route')}</b><br><span style="font-size:11px;opacity:0.7;">${t('tooltip.time', { time: walkTime })}<br>${t('tooltip.distance', { distance: walkDist })}</span></div></div>`, 'route');
+    });
+    map.on('mouseleave', 'routes-line', () => {
+      map.getCanvas().style.cursor = '';
+      hideTip();
+    });
+
+    // Draw routes with their start/end markers; name: what they start from, for export files
+    const showRoutes = (features, name) => {
+      selectedRoutes = features;
+      selectedRoutesName = name;
+      exportMenu.setRoutesAvailable(features.length > 0);
+      map.getSource('routes-selected').setData({ type: 'FeatureCollection', features });
+
+      // Extract start and end points from routes
+      const points = [];
+      features.forEach((feat, idx) => {
+        if (!feat.geometry || !feat.geometry.coordinates) return;
+
+        // Get coordinates and normalize based on geometry type
+        let coords = feat.geometry.coordinates;
+
+        if (feat.geometry.type === 'MultiLineString') {
+          if (!coords || !coords.length || !coords[0]) return;
+          coords = coords[0]; // first LineString inside the MultiLineString
+        } else if (feat.geometry.type !== 'LineString') {
+          return; // Skip unsupported geometry types
+        }
+
+        if (!coords || coords.length < 2) return;
+
+        const start = coords[0];
+        const end = coords[coords.length - 1];
+
+        // Validate coordinates are valid [lon, lat] pairs
+        if (Array.isArray(start) && start.length >= 2 && !isNaN(start[0]) && !isNaN(start[1])) {
+          points.push({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [start[0], start[1]] },
+            properties: {
+              color: '#f87171',  // Coral red (matches gradient start and selected building)
+              type: 'start',
+              routeIndex: idx
+            }
+          });
+        }
+
+        if (Array.isArray(end) && end.length >= 2 && !isNaN(end[0]) && !isNaN(end[1])) {
+          points.push({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [end[0], end[1]] },
+            properties: {
+              color: '#FFCD93',  // Peach (matches gradient end)
+              type: 'end',
+              routeIndex: idx
+            }
+          });
+        }
+      });
+
+      map.getSource('route-points').setData({
+        type: 'FeatureCollection',
+        features: points
+      });
+    };
+
+    const clearRoutes = () => {
+      selectedRoutes = [];
+      exportMenu.setRoutesAvailable(false);
+      map.getSource('routes-selected').setData({ type: 'FeatureCollection', features: [] });
+      map.getSource('route-points').setData({ type: 'FeatureCollection', features: [] });
+    };
+
+    // Parcel detail panel, docked where the catchment panel goes
+    let selectedParcel = null;
+    const parcelPanel = new ParcelPanel(root.getElementById('parcel-panel'), {
+      onClose: () => {
+        deselectParcel();
+        clearRoutes();
+        announce(t('selection.deselected'));
+      },
+      onZoomToRoute: () => {
+        if (!selectedRoutes.length) return;
+        const { minX, minY, maxX, maxY } = geometryBbox({
+          coordinates: [selectedParcel.geometry.coordinates, ...selectedRoutes.map(r => r.geometry.coordinates)]
+        });
+        map.fitBounds([[minX, minY], [maxX, maxY]], { padding: 80, maxZoom: 18 });
+      },
+      onCopyReference: async () => {
+        const ref = String(selectedParcel.properties.cadastral_parcel || selectedParcel.properties.parcel_id);
+        try {
+          await navigator.clipboard.writeText(ref);
+          parcelPanel.setStatus(t('detail.copied', { ref }));
+        } catch (error) {
+          console.error('Copy failed:', error);
+          parcelPanel.setStatus(t('detail.copyFailed'));
+        }
+      }
+    });
+
+    // City-wide walk time histogram (the worker's, or from the parcels loaded so far)
+    const cityHistogram = () => parcelTiles.stats || histogramFromFeatures(parcelTiles.toFeatureCollection().features);
+
+    // Shortest of a parcel's routes, by distance (or time)
+    const shortestRoute = (routes) => routes.reduce((best, r) => {
+      const length = (f) => f.properties?.walk_distance ?? f.properties?.walk_time ?? Infinity;
+      return !best || length(r) < length(best) ? r : best;
+    }, null);
+
+    // Clear the parcel selection and cancel its route lookup; replacing: another parcel is
+    // being selected (no parcelselect event for the gap)
+    const deselectParcel = ({ replacing = false } = {}) => {
+      routeAbort?.abort();
+      if (selectedParcelId !== null) {
+        map.removeFeatureState({ source: 'parcels', id: selectedParcelId });
+        if (!replacing) emit('parcelselect', { parcelId: null, properties: null });
+      }
+      selectedParcelId = null;
+      selectedParcel = null;
+      if (parcelPanel.isOpen) {
+        parcelPanel.hide();
+        // Back to the park pressure list the detail panel covered
+        if (pressureOn && pressureRows && selectedStructureId === null) {
+          catchmentPanel.showPressure(pressureRows, catchments.structures);
+        }
+      }
+      syncUrlState();
+    };
+
+    // Select a parcel and load its routes; feature needs parcel_id and a geometry
+    const selectParcel = async (feature) => {
+      const parcelId = feature.properties.parcel_id;
+
+      // Clear previous selection
+      deselectParcel({ replacing: true });
+
+      // Set new selection using feature-state (no geometry duplication)
+      selectedParcelId = parcelId;
+      selectedParcel = feature;
+      map.setFeatureState(
+        { source: 'parcels', id: selectedParcelId },
+        { selected: true }
+      );
+      syncUrlState();
+      emit('parcelselect', { parcelId, properties: feature.properties });
+
+      // Details right away; destination and route profile once the routes are in
+      const detail = {
+        properties: feature.properties,
+        walkTime: walkTimeAt(feature.properties, parcelStyle.walkSpeed),
+        rank: walkTimePercentileRank(cityHistogram(), feature.properties.walk_time)
+      };
+      catchmentPanel.hide();
+      parcelPanel.show(detail);
+
+      // Cancel the lookup of a previously clicked parcel
+      routeAbort?.abort();
+      routeAbort = new AbortController();
+      const { signal } = routeAbort;
+
+      try {
+        // Routes from the cache, the sidecar index or a bbox query around the parcel
+        const features = await routeLookup.get(parcelId, geometryBbox(feature.geometry), signal);
+        // Another parcel was clicked (or this one deselected) while loading
+        if (signal.aborted || selectedParcelId !== parcelId) return;
+
+        showRoutes(features, `routes_parcel_${parcelId}`);
+        emit('routeload', { parcelId, point: null, routes: features });
+        const shortest = shortestRoute(features);
+        const structureId = feature.properties.green_structure_id ??
+          (shortest ? routeDestination(shortest, catchments.structures) : null);
+        parcelPanel.show({
+          ...detail,
+          routes: features,
+          profile: shortest ? routeProfile(shortest.geometry) : null,
+          structure: catchments.structures.get(structureId) || null
+        });
+        const times = features.map(r => walkTimeAt(r.properties, parcelStyle.walkSpeed)).filter(t => t !== null);
+        announce(`${t('selection.selected', { ref: feature.properties.cadastral_parcel || parcelId })} ` +
+          (features.length
+            ? t('selection.routes', {
+              count: features.length,
+              n: formatNumber(features.length),
+              walk: times.length ? t('selection.walk', { min: Math.min(...times) }) : ''
+            })
+            : t('selection.noRoutes')));
+      } catch (error) {
+        if (error.name === 'AbortError') return;
+        console.error('Error loading routes:', error);
+        parcelPanel.show({ ...detail, routes: [], profile: null, structure: null });
+      }
+    };
+
+    // Select a parcel, or deselect it if it is already selected (click or Enter)
+    const toggleParcel = (f) => {
+      // A parcel click leaves catchment mode
+      if (selectedStructureId !== null) {
+        clearCatchment();
+        if (!pressureOn) catchmentPanel.hide();
+      }
+
+      // If clicking the same parcel, toggle route visibility
+      if (selectedParcelId === f.properties.parcel_id) {
+        deselectParcel();
+        // Hide routes
+        clearRoutes();
+        announce(t('selection.deselected'));
+        return;
+      }
+
+      selectParcel(f);
+    };
+
+    // Click on parcel -> load routes filtered by parcel_id
+    map.on('click', 'parcels-3d', (e) => {
+      if (scenarioEditor.drawing) return;  // Clicks add park vertices
+      if (routingPanel.isOpen) return;  // Clicks start a route
+      const f = e.features?.[0];
+      if (!f) return;
+      if (!f.properties.parcel_id) return;
+      toggleParcel(f);
+    });
+
+    // Keyboard: step through parcels drawn in view, Enter selects
+    const parcelNavigator = new ParcelNavigator({
+      map,
+      layerId: 'parcels-3d',
+      getParcels: () => visibleParcels(),
+      onFocus: (feature, position, total) => {
+        if (!feature) {
+          announce(t('navigation.none'));
+          return;
+        }
+        setHoveredParcel(feature.properties.parcel_id);
+        const { x, y } = map.project(bboxCenter(geometryBbox(feature.geometry)));
+        const html = parcelTipHtml(feature.properties);
+        showTip(x, y, html, 'parcel', t('navigation.position', { position, total, text: textOf(html) }));
+      },
+      onSelect: (feature) => toggleParcel(feature),
+      onClear: () => {
+        setHoveredParcel(null);
+        hideTip();
+      },
+      onModeChange: (mode) => announce(t(mode === 'cursor' ? 'navigation.cursor' : 'navigation.walkTime'))
+    });
+
+    // Park catchment mode: click a green structure to see the parcels whose routes end there
+    let selectedStructureId = null;
+    let catchmentParcelIds = new Set();
+    let catchmentAbort = null;
+    let pressureOn = false;
+    let pressureAbort = null;
+    let pressureRows = null;
+    const pressureButton = root.getElementById('pressureButton');
+
+    const catchmentPanel = new CatchmentPanel(root.getElementById('catchment-panel'), {
+      onClose: () => {
+        clearCatchment();
+        setPressureMode(false);
+        catchmentPanel.hide();
+      },
+      onSelectStructure: (id) => {
+        const { bbox } = catchments.structures.get(id);
+        map.fitBounds([[bbox.minX, bbox.minY], [bbox.maxX, bbox.maxY]], { padding: 120, maxZoom: 16 });
+        selectStructure(id);
+      }
+    });
+
+    const clearCatchment = () => {
+      catchmentAbort?.abort();
+      if (selectedStructureId === null) return;
+      if (map.getSource('green_structures')) {
+        map.setFeatureState({ source: 'green_structures', id: selectedStructureId }, { selected: false });
+      }
+      if (map.getSource('parcels')) {
+        catchmentParcelIds.forEach(id => map.setFeatureState({ source: 'parcels', id }, { catchment: false }));
+      }
+      catchmentParcelIds = new Set();
+      selectedStructureId = null;
+      clearRoutes();
+    };
+
+    const selectStructure = async (structureId) => {
+      clearCatchment();
+      deselectParcel();
+      clearRoutes();
+
+      selectedStructureId = structureId;
+      map.setFeatureState({ source: 'green_structures', id: structureId }, { selected: true });
+      catchmentPanel.showLoading(t('catchment.structure', { id: structureId }));
+
+      catchmentAbort = new AbortController();
+      const { signal } = catchmentAbort;
+      try {
+        const result = await catchments.catchmentOf(structureId, signal);
+        if (signal.aborted || !result) return;
+        catchmentParcelIds = result.parcelIds;
+        catchmentParcelIds.forEach(id => map.setFeatureState({ source: 'parcels', id }, { catchment: true }));
+        showRoutes(result.routes, `routes_structure_${structureId}`);
+        catchmentPanel.showCatchment(result);
+      } catch (error) {
+        if (error.name === 'AbortError') return;
+        console.error('Error loading catchment:', error);
+      }
+    };
+
+    // Search results: fly there and select the parcel (with its routes) or the structure
+    onSearchSelect = (result) => {
+      if (result.bbox) {
+        const { minX, minY, maxX, maxY } = result.bbox;
+        map.fitBounds([[minX, minY], [maxX, maxY]], { padding: 120, maxZoom: result.kind === 'parcel' ? 18 : 16 });
+      } else {
+        map.flyTo({ center: result.center, zoom: 17 });
+      }
+      if (result.kind === 'parcel') {
+        if (selectedStructureId !== null) {
+          clearCatchment();
+          if (!pressureOn) catchmentPanel.hide();
+        }
+        selectParcel(result.feature);
+      } else if ((result.kind === 'structure' || result.kind === 'park') && catchments.structures.has(result.id)) {
+        selectStructure(result.id);
+      }
+    };
+
+    map.on('click', 'green-structures-fill', (e) => {
+      if (scenarioEditor.drawing) return;  // Clicks add park vertices
+      if (routingPanel.isOpen) return;  // Clicks start a route
+      const f = e.features?.[0];
+      if (!f) return;
+      // Parcels or districts drawn over the structure take the click
+      if (map.queryRenderedFeatures(e.point, { layers: ['parcels-3d', 'districts-3d'] }).length) return;
+
+      if (f.id === selectedStructureId) {
+        clearCatchment();
+        if (pressureOn && pressureRows) {
+          catchmentPanel.showPressure(pressureRows, catchments.structures);
+        } else {
+          catchmentPanel.hide();
+        }
+        return;
+      }
+      selectStructure(f.id);
+    });
+    map.on('mouseenter', 'green-structures-fill', () => {
+      map.getCanvas().style.cursor = 'pointer';
+    });
+    map.on('mouseleave', 'green-structures-fill', () => {
+      map.getCanvas().style.cursor = '';
+    });
+
+    // Park pressure: colour every structure by residents served per hectare
+    const setPressureMode = async (on) => {
+      pressureOn = on;
+      pressureButton.classList.toggle('active', on);
+      pressureButton.setAttribute('aria-pressed', String(on));
+      if (map.getLayer('green-structures-fill')) {
+        map.setPaintProperty('green-structures-fill', 'fill-opacity', structureFillOpacity(on));
+      }
+      pressureAbort?.abort();
+      if (!on) {
+        if (selectedStructureId === null) catchmentPanel.hide();
+        return;
+      }
+
+      // The list waits behind an open parcel detail panel
+      const listShown = () => selectedStructureId === null && !parcelPanel.isOpen;
+      if (listShown()) catchmentPanel.showLoading(t('buttons.pressure'));
+      pressureAbort = new AbortController();
+      const { signal } = pressureAbort;
+      try {
+        const rows = await catchments.pressure(signal);
+        if (signal.aborted) return;
+        pressureRows = rows;
+        rows.forEach(r => map.setFeatureState({ source: 'green_structures', id: r.id }, { pressure: r.rank }));
+        if (listShown()) catchmentPanel.showPressure(rows, catchments.structures);
+      } catch (error) {
+        if (error.name === 'AbortError') return;
+        console.error('Error computing park pressure:', error);
+      }
+    };
+
+    pressureButton.addEventListener('click', () => setPressureMode(!pressureOn));
+
+    // What-if scenario: candidate parks and re-estimated walk times
+    let detourFactor = null;  // calibrated once per city, on the first candidate
+    let scenarioChanges = new Map();
+    let scenarioParcels = [];  // parcels currently carrying scenario_walk_time
+
+    const scenarioEditor = new ScenarioEditor({
+      map,
+      container: root.getElementById('scenario-panel'),
+      onChange: (candidates) => applyScenario(candidates)
+    });
+
+    const updateScenarioResults = () => {
+      scenarioEditor.showResults({
+        gained: additionalResidentsByMinute(scenarioChanges, cityMaxWalkTime(city), DATA_SPEED_KMH / parcelStyle.walkSpeed),
+        detourFactor: detourFactor ?? 1,
+        parcelsImproved: scenarioChanges.size,
+        threshold: parcelThreshold
+      });
+    };
+
+    const applyScenario = (candidates) => {
+      if (!map.getSource('parcels')) return;
+
+      // Candidate parks are drawn with the existing green areas
+      map.getSource('green_areas').setData({
+        ...cityGeojson.greenAreas,
+        features: [...cityGeojson.greenAreas.features, ...candidates]
+      });
+
+      const parcels = parcelTiles.toFeatureCollection().features;
+      if (candidates.length && detourFactor === null) {
+        detourFactor = calibrateDetourFactor(parcels, cityGeojson.greenStructures.features);
+      }
+      scenarioParcels.forEach(f => delete f.properties.scenario_walk_time);
+      scenarioChanges = candidates.length
+        ? estimateScenario(parcels, candidates, { detourFactor, maxWalkTime: city.maxWalkTime })
+        : new Map();
+      scenarioParcels = parcels.filter(f => scenarioChanges.has(f.properties?.parcel_id));
+      scenarioParcels.forEach(f => {
+        f.properties.scenario_walk_time = scenarioChanges.get(f.properties.parcel_id).after;
+      });
+
+      map.getSource('parcels').setData(parcelTiles.toFeatureCollection());
+      updateScenarioResults();
+    };
+
+    root.getElementById('scenarioButton').addEventListener('click', () => {
+      scenarioEditor.toggle();
+      root.getElementById('scenarioButton').classList.toggle('active', scenarioEditor.isOpen);
+    });
+
+    // Proximity standards: every loaded parcel is classified against the picked rule set
+    const standardsButton = root.getElementById('standardsButton');
+    let standardsAbort = null;
+    let standardParcels = [];  // parcels currently carrying standard_class
+    let structureDestinations = null;  // parcel_id -> green_structure_id, loaded once per city when needed
+
+    const standardsPanel = new StandardsPanel(root.getElementById('standards-panel'), {
+      onChange: (ruleSet) => applyStandard(ruleSet),
+      onClose: () => setStandardsMode(false)
+    });
+
+    // Set standard_class on the loaded parcels (1 compliant, 0 not, unset without data)
+    // and summarise the residents in each class
+    const classifyParcels = (ruleSet) => {
+      standardParcels.forEach(f => delete f.properties.standard_class);
+      const parcels = parcelTiles.toFeatureCollection().features;
+      parcels.forEach(f => {
+        const p = f.properties || {};
+        const structure = catchments.structures.get(p.green_structure_id ?? structureDestinations?.get(p.parcel_id));
+        // Walk time conditions use the effective walk time at the current speed
+        const compliant = classifyParcel({ ...p, walk_time: walkTimeAt(p, parcelStyle.walkSpeed) }, ruleSet, structure?.hectares);
+        if (compliant !== null) p.standard_class = compliant ? 1 : 0;
+      });
+      standardParcels = parcels.filter(f => f.properties?.standard_class !== undefined);
+      return complianceSummary(parcels, f => (f.properties?.standard_class === undefined ? null : f.properties.standard_class === 1));
+    };
+
+    const applyStandard = async (ruleSet) => {
+      standardsAbort?.abort();
+      if (!map.getSource('parcels')) return;
+      standardsPanel.showLoading();
+
+      // Structure sizes need the destination of every parcel (route end points)
+      if (needsDestinations(ruleSet) && !structureDestinations) {
+        standardsAbort = new AbortController();
+        const { signal } = standardsAbort;
+        try {
+          const destinations = await catchments.destinations(signal);
+          if (signal.aborted) return;
+          structureDestinations = destinations;
+        } catch (error) {
+          if (error.name === 'AbortError') return;
+          // Parcels without a known destination stay unclassified
+          console.error('Error loading route destinations:', error);
+        }
+      }
+
+      parcelStyle.standard = ruleSet;
+      const summary = classifyParcels(ruleSet);
+      map.getSource('parcels').setData(parcelTiles.toFeatureCollection());
+      updateParcelColor();
+      renderLegends();
+      standardsPanel.showSummary(summary);
+    };
+
+    const setStandardsMode = (on) => {
+      standardsButton.classList.toggle('active', on);
+      standardsButton.setAttribute('aria-pressed', String(on));
+      if (on) {
+        standardsPanel.open();
+        applyStandard(standardsPanel.ruleSet);
+        return;
+      }
+      standardsAbort?.abort();
+      standardsPanel.close();
+      if (parcelStyle.standard === null) return;
+      parcelStyle.standard = null;
+      standardParcels.forEach(f => delete f.properties.standard_class);
+      standardParcels = [];
+      if (map.getSource('parcels')) {
+        map.getSource('parcels').setData(parcelTiles.toFeatureCollection());
+        updateParcelColor();
+        renderLegends();
+      }
+    };
+
+    standardsButton.addEventListener('click', () => setStandardsMode(!standardsPanel.isOpen));
+
+    // Point routing: walk from any clicked point to the nearest green structure over the
+    // pedestrian network, loaded into the browser from the city's `network` or a local file
+    const routingButton = root.getElementById('routingButton');
+    let network = null;
+    let networkAbort = null;  // set once a network load has started for the city
+    let pointRoute = null;  // last route from a clicked point
+
+    const routingPanel = new RoutingPanel(root.getElementById('routing-panel'), {
+      onLoadFile: (file) => loadPedestrianNetwork(file),
+      onClose: () => setRoutingMode(false)
+    });
+
+    const loadPedestrianNetwork = async (input) => {
+      networkAbort?.abort();
+      networkAbort = new AbortController();
+      const { signal } = networkAbort;
+      network = null;
+      routingPanel.setStatus(t('common.loading'));
+      try {
+        const loaded = await loadNetwork(input, { decoder, signal });
+        if (signal.aborted) return;
+        network = loaded;
+        routingPanel.setNetwork(network, typeof input === 'string' ? input.split('/').pop() : input.name);
+        if (isochroneOrigin && isochronePanel.source === 'network') updateIsochrones();
+      } catch (error) {
+        if (error.name === 'AbortError') return;
+        console.error('Error loading pedestrian network:', error);
+        routingPanel.setStatus(t('routing.loadFailed', { message: error.message }));
+        isochronePanel.setStatus(t('routing.loadFailed', { message: error.message }));
+      }
+    };
+
+    // Drop the network of the previous city
+    const resetNetwork = () => {
+      networkAbort?.abort();
+      networkAbort = null;
+      network = null;
+      pointRoute = null;
+      routingPanel.clearRoute();
+    };
+
+    const setRoutingMode = (on) => {
+      routingButton.classList.toggle('active', on);
+      routingButton.setAttribute('aria-pressed', String(on));
+      map.getCanvas().style.cursor = on ? 'crosshair' : '';
+      if (!on) {
+        routingPanel.close();
+        return;
+      }
+      routingPanel.open();
+      if (networkAbort) return;
+      if (city.data.network) loadPedestrianNetwork(city.data.network);
+      else routingPanel.setNetwork(null);
+    };
+
+    // Time at the current walking speed, distance and destination of the route
+    const showPointRoute = (route) => {
+      const walkTime = walkTimeAt(route.properties, parcelStyle.walkSpeed);
+      routingPanel.showRoute({
+        walkTime,
+        distance: route.properties.walk_distance,
+        structure: catchments.structures.get(route.properties.green_structure_id) || null
+      });
+      return walkTime;
+    };
+
+    const routeFromPoint = (point) => {
+      if (!network) {
+        routingPanel.setStatus(t(networkAbort ? 'common.loading' : 'routing.noNetwork'));
+        return;
+      }
+      deselectParcel();
+      if (selectedStructureId !== null) {
+        clearCatchment();
+        if (!pressureOn) catchmentPanel.hide();
+      }
+      const { route, reason } = network.routeToNearest(point, catchments.structures);
+      pointRoute = route;
+      if (!route) {
+        clearRoutes();
+        routingPanel.clearRoute();
+        announce(t(`routing.${reason}`));
+        routingPanel.setStatus(t(`routing.${reason}`));
+        return;
+      }
+      showRoutes([route], 'routes_point');
+      emit('routeload', { parcelId: null, point, routes: [route] });
+      const walkTime = showPointRoute(route);
+      announce(t('routing.found', { min: walkTime, distance: formatDistance(route.properties.walk_distance) }));
+    };
+
+    map.on('click', (e) => {
+      if (!routingPanel.isOpen || scenarioEditor.drawing) return;
+      routeFromPoint(e.lngLat.toArray());
+    });
+
+    routingButton.addEventListener('click', () => setRoutingMode(!routingPanel.isOpen));
+
+    // Walking isochrones: who can reach a park within each minute band, from the parcels'
+    // precomputed walk times or by walking the pedestrian network outwards from the park
+    let isochroneOrigin = null;  // { name, geometry, structureId }
+    let isochroneAbort = null;
+    let isochroneOffer = null;  // popup offering isochrones for a clicked park
+
+    const isochronePanel = new IsochronePanel(root.getElementById('isochrone-panel'), {
+      onChange: () => updateIsochrones(),
+      onClose: () => closeIsochrones()
+    });
+
+    const closeIsochrones = () => {
+      isochroneAbort?.abort();
+      isochroneOrigin = null;
+      isochronePanel.close();
+      isochronePanel.clear();
+      map.getSource('isochrones').setData({ type: 'FeatureCollection', features: [] });
+    };
+
+    // Parcels with their walk time to the park (minutes at the current walking speed), up
+    // to maxMinutes, and the timed points the polygons are drawn from
+    const isochroneReach = async (origin, maxMinutes, signal) => {
+      const parcels = parcelTiles.toFeatureCollection().features;
+      const centre = (f) => bboxCenter(geometryBbox(f.geometry));
+      if (isochronePanel.source === 'parcels') {
+        // The park's catchment: parcels whose shortest route ends at its structure
+        const result = await catchments.catchmentOf(origin.structureId, signal);
+        const entries = parcels
+          .filter(f => result?.parcelIds.has(f.properties?.parcel_id))
+          .map(f => ({ feature: f, minutes: walkTimeAt(f.properties, parcelStyle.walkSpeed) }))
+          .filter(e => e.minutes !== null && e.minutes <= maxMinutes);
+        return { entries, points: entries.map(e => ({ coord: centre(e.feature), minutes: e.minutes })), spreadMinutes: 0 };
+      }
+
+      const perMinute = metresPerMinute(parcelStyle.walkSpeed);
+      const { points, distances } = network.reachFrom(origin.geometry, maxMinutes * perMinute, ISOCHRONE_CELL_M / 2);
+      const reached = geometryBbox({ type: 'MultiPoint', coordinates: points.map(p => p.coord) });
+      const entries = [];
+      for (const feature of parcels) {
+        const point = centre(feature);
+        if (point[0] < reached.minX || point[0] > reached.maxX || point[1] < reached.minY || point[1] > reached.maxY) continue;
+        const start = network.nearestNode(point);
+        const metres = start && distances.has(start.node) ? distances.get(start.node) + start.distance : Infinity;
+        if (metres <= maxMinutes * perMinute) entries.push({ feature, minutes: metres / perMinute });
+      }
+      return {
+        entries,
+        points: points.map(p => ({ coord: p.coord, minutes: p.metres / perMinute })),
+        spreadMinutes: ISOCHRONE_CELL_M / perMinute
+      };
+    };
+
+    const updateIsochrones = async () => {
+      const origin = isochroneOrigin;
+      if (!origin) return;
+      isochroneAbort?.abort();
+      isochroneAbort = new AbortController();
+      const { signal } = isochroneAbort;
+      const empty = { type: 'FeatureCollection', features: [] };
+
+      if (isochronePanel.source === 'parcels' && origin.structureId === null) {
+        map.getSource('isochrones').setData(empty);
+        isochronePanel.clear();
+        isochronePanel.setStatus(t('isochrones.noStructure'));
+        return;
+      }
+      if (isochronePanel.source === 'network' && !network) {
+        // The city's network is loaded on first use; the isochrones follow once it is in
+        if (!networkAbort && city.data.network) loadPedestrianNetwork(city.data.network);
+        map.getSource('isochrones').setData(empty);
+        isochronePanel.clear();
+        isochronePanel.setStatus(t(networkAbort ? 'common.loading' : 'isochrones.noNetwork'));
+        return;
+      }
+
+      const { bands } = isochronePanel;
+      isochronePanel.showLoading();
+      try {
+        const { entries, points, spreadMinutes } = await isochroneReach(origin, bands[bands.length - 1], signal);
+        if (signal.aborted) return;
+        map.getSource('isochrones').setData(isochronePolygons(points, bands, { spreadMinutes }));
+        const rows = bandPopulation(entries.map(e => ({ population: Number(e.feature.properties.population) || 0, minutes: e.minutes })), bands);
+        isochronePanel.showBands(rows);
+        const last = rows[rows.length - 1];
+        announce(t('isochrones.announce', { park: origin.name, min: last.minutes, population: formatNumber(Math.round(last.population)) }));
+      } catch (error) {
+        if (error.name === 'AbortError') return;
+        console.error('Error computing isochrones:', error);
+        isochronePanel.clear();
+        isochronePanel.setStatus(t('isochrones.failed', { message: error.message }));
+      }
+    };
+
+    const openIsochrones = (origin) => {
+      isochroneOrigin = origin;
+      isochronePanel.setPark(origin.name);
+      isochronePanel.open();
+      updateIsochrones();
+    };
+
+    // Park or structure of a clicked feature, with its full geometry from the source data
+    // (rendered features are clipped to tiles)
+    const isochroneOriginOf = (feature) => {
+      const p = feature.properties || {};
+      if (feature.layer.id === 'green-areas-fill') {
+        const park = cityGeojson.greenAreas.features.find(f => f.properties?.green_area_id === p.green_area_id);
+        return {
+          name: p.green_area_name || '—',
+          geometry: (park ?? feature).geometry,
+          structureId: p.green_structure_id ?? p.green_structucture_id ?? null
+        };
+      }
+      const structure = catchments.structures.get(p.green_structure_id);
+      return {
+        name: t('catchment.structure', { id: p.green_structure_id }),
+        geometry: (structure?.feature ?? feature).geometry,
+        structureId: structure ? structure.id : null
+      };
+    };
+
+    // Clicking a park or a structure outline offers its isochrones
+    map.on('click', (e) => {
+      if (scenarioEditor.drawing || routingPanel.isOpen) return;
+      if (!map.getLayer('green-areas-fill') || !map.getLayer('green-structures-line')) return;
+      if (map.queryRenderedFeatures(e.point, { layers: ['parcels-3d', 'districts-3d'] }).length) return;
+      const { x, y } = e.point;
+      const feature = map.queryRenderedFeatures(e.point, { layers: ['green-areas-fill'] })[0] ??
+        map.queryRenderedFeatures([[x - 4, y - 4], [x + 4, y + 4]], { layers: ['green-structures-line'] })[0];
+      if (!feature) return;
+
+      const origin = isochroneOriginOf(feature);
+      const content = document.createElement('div');
+      content.className = 'isochrone-offer';
+      content.innerHTML = `<b></b><button type="button" class="scenario-button">${t('isochrones.offer')}</button>`;
+      content.querySelector('b').textContent = origin.name;
+      isochroneOffer?.remove();
+      const popup = new maplibregl.Popup({ closeButton: true, closeOnClick: true, className: 'isochrone-popup' })
+        .setLngLat(e.lngLat)
+        .setDOMContent(content)
+        .addTo(map);
+      isochroneOffer = popup;
+      content.querySelector('button').addEventListener('click', () => {
+        popup.remove();
+        openIsochrones(origin);
+      });
+    });
+
+    // Districts: parcels aggregated into administrative areas (the city's `districts` or a
+    // local file), drawn instead of the parcels below DISTRICT_MAX_ZOOM and ranked in a table
+    const districtsButton = root.getElementById('districtsButton');
+    const districts = new DistrictAggregation();
+    let districtRows = [];
+    let selectedAreaId = null;
+
+    const districtPanel = new DistrictPanel(root.getElementById('district-panel'), {
+      onMetricChange: () => updateDistrictStyle(),
+      onExtrudeChange: () => updateDistrictStyle(),
+      onLoadFile: async (file) => {
+        try {
+          setDistrictAreas(normalizeAreas(JSON.parse(await file.text())), file.name);
+        } catch (error) {
+          console.error('Error loading districts:', error);
+          districtPanel.setStatus(t('districts.loadFailed', { message: error.message }));
+        }
+      },
+      onSelectArea: (id) => selectArea(id, { zoom: true }),
+      onClose: () => setDistrictMode(false)
+    });
+
+    const updateDistrictStyle = () => {
+      const ctx = parcelColorContext(city);
+      map.setPaintProperty('districts-3d', 'fill-extrusion-color', areaColorExpression(districtPanel.metric, districtRows, ctx));
+      map.setPaintProperty('districts-3d', 'fill-extrusion-height',
+        districtPanel.extrude ? areaHeightExpression(districtPanel.metric, districtRows) : 0);
+      districtPanel.showLegend(areaColorStops(districtPanel.metric, districtRows, ctx));
+    };
+
+    // Aggregate the loaded parcels again (threshold, walking speed or new tiles changed)
+    const updateDistricts = () => {
+      if (!districtPanel.isOpen || !districts.areas) return;
+      districtRows = districts.aggregate(parcelTiles.toFeatureCollection().features, cityGeojson.greenAreas?.features || [], {
+        walkTimeOf: (p) => walkTimeAt(p, parcelStyle.walkSpeed),
+        threshold: parcelThreshold
+      });
+      map.getSource('districts').setData(districts.areas);
+      if (map.getLayer('parcels-3d')) map.setLayerZoomRange('parcels-3d', DISTRICT_MAX_ZOOM, 24);
+      updateDistrictStyle();
+      districtPanel.showRanking(districtRows, parcelThreshold);
+    };
+    const debouncedUpdateDistricts = debounce(updateDistricts, 150);
+
+    const setDistrictAreas = (areas, name) => {
+      selectArea(null);
+      districts.setAreas(areas);
+      districtPanel.setStatus(t('districts.loaded', { count: areas.features.length, n: formatNumber(areas.features.length), name }));
+      updateDistricts();
+    };
+
+    const loadCityDistricts = async () => {
+      const target = city;
+      districtPanel.setStatus(t('common.loading'));
+      const geojson = await fetchGeojson(target.data.districts);
+      if (target !== city || !districtPanel.isOpen) return;
+      try {
+        setDistrictAreas(normalizeAreas(geojson), target.data.districts.split('/').pop());
+      } catch (error) {
+        districtPanel.setStatus(t('districts.loadFailed', { message: error.message }));
+      }
+    };
+
+    const districtSummary = (row) => [
+      `${t('metric.population')}: ${formatNumber(Math.round(row.population))}`,
+      ...Object.entries(AREA_METRICS).map(([id, m]) => `${m.label}: ${formatAreaMetric(id, row[id])}`)
+    ];
+
+    // Highlight an area on the map and in the table, zooming to it from the table
+    const selectArea = (id, { zoom = false } = {}) => {
+      if (selectedAreaId !== null) map.setFeatureState({ source: 'districts', id: selectedAreaId }, { selected: false });
+      selectedAreaId = id;
+      districtPanel.setSelected(id);
+      if (id === null) return;
+      map.setFeatureState({ source: 'districts', id }, { selected: true });
+      const row = districtRows.find(r => r.id === id);
+      if (zoom) {
+        const { minX, minY, maxX, maxY } = geometryBbox(districts.areas.features[id].geometry);  // area_id is the index
+        map.fitBounds([[minX, minY], [maxX, maxY]], { padding: 80, maxZoom: DISTRICT_MAX_ZOOM - 0.5 });
+      }
+      if (row) announce(`${row.name}. ${districtSummary(row).join('. ')}.`);
+    };
+
+    const setDistrictMode = (on) => {
+      districtsButton.classList.toggle('active', on);
+      districtsButton.setAttribute('aria-pressed', String(on));
+      if (!on) {
+        districtPanel.close();
+        selectArea(null);
+        map.getSource('districts').setData({ type: 'FeatureCollection', features: [] });
+        if (map.getLayer('parcels-3d')) map.setLayerZoomRange('parcels-3d', 0, 24);
+        return;
+      }
+      districtPanel.open();
+      if (districts.areas) updateDistricts();
+      else if (city.data.districts) loadCityDistricts();
+      else districtPanel.setStatus(t('districts.noAreas'));
+    };
+
+    districtsButton.addEventListener('click', () => setDistrictMode(!districtPanel.isOpen));
+
+    map.on('mousemove', 'districts-3d', (e) => {
+      const f = e.features?.[0];
+      const row = f && districtRows.find(r => r.id === f.id);
+      if (!row) return hideTip();
+      const icon = '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="#AB47BC" stroke-width="2"><path d="M3 6l6-3 6 3 6-3v15l-6 3-6-3-6 3z"/><path d="M9 3v15M15 6v15"/></svg>';
+      showTip(e.point.x, e.point.y, `<div style="display:flex;align-items:center;gap:10px;">${icon}<div><b>${escapeHtml(row.name)}</b><br><span style="font-size:11px;opacity:0.7;">${districtSummary(row).join('<br>')}</span></div></div>`);
+    });
+    map.on('mouseleave', 'districts-3d', hideTip);
+    map.on('click', 'districts-3d', (e) => {
+      if (scenarioEditor.drawing || routingPanel.isOpen) return;
+      const f = e.features?.[0];
+      if (f) selectArea(f.id === selectedAreaId ? null : f.id);
+    });
+
+    // Slider - filter parcels by walk_time
+    const slider = root.getElementById('timeSlider');
+    const timeVal = root.getElementById('timeVal');
+    const playButton = root.getElementById('playButton');
+    let parcelThreshold;  // walk_time threshold currently applied to parcels-3d
+
+    // Reset slider range to the active city
+    const resetSlider = () => {
+      // The parcels layer is created showing every parcel up to the max walk time
+      parcelThreshold = cityMaxWalkTime(city);
+      slider.max = cityMaxWalkTime(city);
+      slider.value = INITIAL_MIN;
+      timeVal.textContent = INITIAL_MIN;
+    };
+    resetSlider();
+
+    // Update filter function
+    const updateParcelFilter = (v) => {
+      const changed = v !== parcelThreshold;
+      parcelThreshold = v;
+      map.setFilter('parcels-3d', parcelFilter(v));
+      parcelNavigator.invalidate();
+      updateStats();
+      debouncedRenderLegends();
+      syncUrlState();
+      if (scenarioEditor.candidates.length) updateScenarioResults();
+      debouncedUpdateDistricts();
+      if (changed) emit('thresholdchange', { threshold: v });
+    };
+
+    // Statistics panel: city-wide histogram from the worker, or parcels in the viewport
+    const statsPanel = new StatsPanel(root.getElementById('stats-panel'), {
+      onScopeChange: () => updateStats()
+    });
+
+    // Parcels in view that pass the walk time filter, as drawn
+    const visibleParcels = () => parcelTiles.featuresInBounds(map.getBounds()).filter(f =>
+      (parcelWalkTime(f.properties) ?? 999) <= parcelThreshold
+    );
+
+    const updateStats = () => {
+      // The worker's histogram is at the data's 5 km/h
+      const atDataSpeed = parcelStyle.walkSpeed === DATA_SPEED_KMH;
+      const walkTimeOf = (p) => walkTimeAt(p, parcelStyle.walkSpeed);
+      let histogram;
+      if (statsPanel.scope === 'view') {
+        histogram = histogramFromFeatures(parcelTiles.featuresInBounds(map.getBounds()), walkTimeOf);
+      } else {
+        histogram = (atDataSpeed && parcelTiles.stats) || histogramFromFeatures(parcelTiles.toFeatureCollection().features, walkTimeOf);
+      }
+      statsPanel.update({ histogram, threshold: parcelThreshold, maxWalkTime: cityMaxWalkTime(city) });
+    };
+    updateStats();
+
+    // Debounced version for better performance
+    const debouncedUpdateFilter = debounce(updateParcelFilter, 150);
+
+    // Update slider gradient on input
+    const updateSliderGradient = (value) => {
+      const percent = ((value - 1) / (cityMaxWalkTime(city) - 1)) * 100;
+      slider.style.background = `linear-gradient(to right, #ffffff ${percent}%, #d1d5db ${percent}%)`;
+    };
+
+    slider.addEventListener('input', () => {
+      // Dragging the slider takes over from the animation
+      if (timeline.playing) timeline.pause();
+      const v = Number(slider.value);
+      timeVal.textContent = v;
+      updateSliderGradient(v);
+      debouncedUpdateFilter(v);
+    });
+
+    // Initialize slider gradient
+    updateSliderGradient(INITIAL_MIN);
+
+    // Thematic metrics: colour and extrusion height are picked independently
+    const colorMetricSelect = root.getElementById('colorMetricSelect');
+    const heightMetricSelect = root.getElementById('heightMetricSelect');
+    const metricOptions = Object.entries(METRICS)
+      .map(([id, metric]) => `<option value="${id}">${metric.label}</option>`)
+      .join('');
+    colorMetricSelect.innerHTML = metricOptions;
+    heightMetricSelect.innerHTML = metricOptions;
+    colorMetricSelect.value = parcelStyle.color;
+    heightMetricSelect.value = parcelStyle.height;
+
+    // Legends follow the parcels-3d paint expressions and the parcels drawn in view
+    const parcelLegend = new ParcelLegend({
+      map,
+      layerId: 'parcels-3d',
+      colorContainer: root.getElementById('colorLegend'),
+      heightContainer: root.getElementById('heightLegend')
+    });
+
+    // Colour legend: the colour metric, or the compliance classes of the standards mode
+    const colorLegendOf = () => (parcelStyle.standard
+      ? { label: parcelStyle.standard.name, format: formatStandardClass }
+      : { label: METRICS[parcelStyle.color].label, format: METRICS[parcelStyle.color].format });
+
+    const renderLegends = () => {
+      const height = METRICS[parcelStyle.height];
+      const values = visibleParcels()
+        .map(f => metricValue(parcelStyle.height, f.properties, parcelColorContext(city)))
+        .filter(v => v !== null);
+      parcelLegend.update({
+        color: colorLegendOf(),
+        height: {
+          label: height.label,
+          format: height.format,
+          values,
+          toMetres: (v) => metricHeight(parcelStyle.height, v)
+        }
+      });
+    };
+    const debouncedRenderLegends = debounce(renderLegends, 150);
+    renderLegends();
+
+    const updateParcelColor = () => {
+      map.setPaintProperty('parcels-3d', 'fill-extrusion-color', parcelColorExpression(parcelStyle.color, parcelColorContext(city)));
+      updateCompareStyle();
+    };
+
+    root.getElementById('highContrastToggle').addEventListener('change', (e) => {
+      parcelStyle.highContrast = e.target.checked;
+      updateParcelColor();
+      if (districtPanel.isOpen) updateDistrictStyle();
+      renderLegends();
+    });
+
+    colorMetricSelect.addEventListener('change', () => {
+      parcelStyle.color = colorMetricSelect.value;
+      updateParcelColor();
+      renderLegends();
+      syncUrlState();
+    });
+    heightMetricSelect.addEventListener('change', () => {
+      parcelStyle.height = heightMetricSelect.value;
+      map.setPaintProperty('parcels-3d', 'fill-extrusion-height', metricHeightExpression(parcelStyle.height, parcelColorContext(city)));
+      updateCompareStyle();
+      renderLegends();
+      syncUrlState();
+    });
+
+    // Walking speed profile: walk times are recomputed at the picked speed, and the slider
+    // range, statistics, legends and tooltips follow
+    const speedSelect = root.getElementById('speedSelect');
+    const customSpeed = root.getElementById('customSpeed');
+    const customSpeedField = root.getElementById('customSpeedField');
+    speedSelect.innerHTML = [
+      ...SPEED_PROFILES.map(p => `<option value="${p.id}">${t('speed.option', { label: p.label, speed: formatNumber(p.kmh, 1) })}</option>`),
+      `<option value="custom">${t('speed.custom')}</option>`
+    ].join('');
+
+    const showWalkSpeed = () => {
+      const profile = profileOf(parcelStyle.walkSpeed);
+      speedSelect.value = profile;
+      customSpeed.value = parcelStyle.walkSpeed;
+      customSpeedField.hidden = profile !== 'custom';
+    };
+    showWalkSpeed();
+
+    const setWalkSpeed = (kmh) => {
+      parcelStyle.walkSpeed = clampSpeed(kmh);
+      showWalkSpeed();
+
+      // Same threshold in minutes within the new range; "everything" stays everything
+      const max = cityMaxWalkTime(city);
+      const showsAll = parcelThreshold >= Number(slider.max);
+      slider.max = max;
+      if (Number(slider.value) > max) {
+        slider.value = max;
+        timeVal.textContent = max;
+      }
+      updateSliderGradient(Number(slider.value));
+      updateParcelFilter(showsAll ? max : Math.min(parcelThreshold, max));
+      timeline.configure(timelinePanel.setRange(max));
+
+      updateParcelColor();
+      map.setPaintProperty('parcels-3d', 'fill-extrusion-height', metricHeightExpression(parcelStyle.height, parcelColorContext(city)));
+      if (parcelStyle.standard) {
+        standardsPanel.showSummary(classifyParcels(parcelStyle.standard));
+        map.getSource('parcels').setData(parcelTiles.toFeatureCollection());
+      }
+      if (selectedParcel) selectParcel(selectedParcel);  // Detail panel at the new speed
+      if (pointRoute) showPointRoute(pointRoute);
+      if (compareView.isOpen) updateComparison();  // Changes at the new speed
+      updateIsochrones();
+      renderLegends();
+      announce(t('speed.changed', { speed: formatNumber(parcelStyle.walkSpeed, 1) }));
+    };
+
+    speedSelect.addEventListener('change', () => {
+      const profile = SPEED_PROFILES.find(p => p.id === speedSelect.value);
+      if (profile) {
+        setWalkSpeed(profile.kmh);
+      } else {
+        customSpeedField.hidden = false;
+        customSpeed.focus();
+      }
+    });
+    customSpeed.addEventListener('change', () => {
+      const kmh = Number(customSpeed.value);
+      if (Number.isFinite(kmh) && kmh > 0) setWalkSpeed(kmh); else showWalkSpeed();
+    });
+
+    // Threshold, selection, metrics, speed and hidden layers in the URL hash (camera: MapLibre)
+    const syncUrlState = debounce(() => {
+      if (!standalone) return;
+      writeUrlState({
+        threshold: parcelThreshold,
+        parcelId: selectedParcelId,
+        colorMetric: parcelStyle.color,
+        heightMetric: parcelStyle.height,
+        walkSpeed: parcelStyle.walkSpeed === DATA_SPEED_KMH ? null : parcelStyle.walkSpeed,
+        hiddenLayers: [...hiddenLayers]
+      });
+    }, 300);
+
+    // Layer panel: visibility, opacity, basemap and flat/extruded green areas
+    new LayerPanel(root.getElementById('layer-panel'), {
+      layers: LAYER_OPTIONS,
+      basemaps: Object.entries(BASEMAPS).map(([id, b]) => ({ id, label: b.label })),
+      state: { hidden: hiddenLayers, ...layerSettings },
+      onVisibilityChange: (id, visible) => {
+        if (visible) hiddenLayers.delete(id); else hiddenLayers.add(id);
+        applyLayerSettings();
+        syncUrlState();
+      },
+      onOpacityChange: (id, opacity) => {
+        layerSettings.opacity[id] = opacity;
+        applyLayerSettings();
+      },
+      onBasemapChange: (id) => {
+        setBasemap(id);
+        compareView.setBasemap(BASEMAPS[activeBasemap()]);
+      },
+      onGreenExtrusionChange: (extruded) => {
+        layerSettings.greenExtruded = extruded;
+        applyLayerSettings();
+      }
+    });
+
+    // Export menu: parcels in view under the threshold, a map snapshot and the selected routes
+    let selectedRoutes = [];
+    let selectedRoutesName = 'routes';
+    const exportButton = root.getElementById('exportButton');
+    const exportMenu = new ExportMenu(root.getElementById('export-panel'), {
+      onExport: (option) => exportData(option).catch(error => {
+        console.error(`Export ${option} failed:`, error);
+        exportMenu.setStatus(t('export.failed', { message: error.message }));
+      })
+    });
+
+    exportButton.addEventListener('click', () => {
+      exportMenu.toggle();
+      exportButton.classList.toggle('active', exportMenu.isOpen);
+    });
+
+    const exportData = async (option) => {
+      const base = `${city.id}_${parcelThreshold}min`;
+      exportMenu.setStatus('');
+      if (option === 'parcels-geojson' || option === 'parcels-csv') {
+        const parcels = visibleParcels();
+        if (option === 'parcels-geojson') {
+          const geojson = featuresToGeojson(parcels, `parcels_${base}`);
+          downloadBlob(new Blob([JSON.stringify(geojson)], { type: 'application/geo+json' }), `parcels_${base}.geojson`);
+        } else {
+          downloadBlob(new Blob([parcelsToCsv(parcels)], { type: 'text/csv' }), `parcels_${base}.csv`);
+        }
+        exportMenu.setStatus(t('export.done', { count: parcels.length, n: formatNumber(parcels.length) }));
+      } else if (option === 'snapshot-png') {
+        const legend = colorLegendOf();
+        const blob = await snapshotMap(map, {
+          title: `${t('app.title')} - ${city.name}`,
+          subtitle: t('export.subtitle', { threshold: parcelThreshold, color: legend.label, height: METRICS[parcelStyle.height].label }),
+          legend: {
+            label: legend.label,
+            expression: map.getPaintProperty('parcels-3d', 'fill-extrusion-color'),
+            format: legend.format
+          }
+        });
+        downloadBlob(blob, `map_${base}.png`);
+      } else if (option === 'routes-geojson' || option === 'routes-gpx') {
+        if (!selectedRoutes.length) return;
+        const name = selectedRoutesName;
+        if (option === 'routes-geojson') {
+          const geojson = featuresToGeojson(selectedRoutes, name);
+          downloadBlob(new Blob([JSON.stringify(geojson)], { type: 'application/geo+json' }), `${name}.geojson`);
+        } else {
+          downloadBlob(new Blob([routesToGpx(selectedRoutes, name)], { type: 'application/gpx+xml' }), `${name}.gpx`);
+        }
+      }
+    };
+
+    // Compare mode: a second map on the same camera draws another run of the analysis with
+    // its own threshold, optionally coloured by the change in walk time per parcel_id
+    const compareButton = root.getElementById('compareButton');
+    let compareThreshold = cityMaxWalkTime(city);
+    let compareDifference = false;
+
+    const compareView = new CompareView({
+      map,
+      container: root.getElementById('compare-map'),
+      decoder,
+      style: () => basemapStyle(BASEMAPS[activeBasemap()]),
+      onParcels: () => updateComparison(),
+      onParcelHover: (properties, point) => {
+        if (!properties) return hideTip();
+        showTip(point.x, point.y, parcelTipHtml(properties), 'parcel');
+      }
+    });
+
+    // Both maps swap their tiles for the local basemap together
+    onConnectionChange = () => {
+      applyLayerSettings();
+      compareView.setBasemap(BASEMAPS[activeBasemap()]);
+    };
+
+    // The main map's parcels, the city's variants, and local files added in the panel
+    const compareDatasets = (target) => [
+      { id: 'main', name: t('compare.baseline'), parcels: target.data.parcels },
+      ...target.variants
+    ];
+
+    const comparePanel = new ComparePanel(root.getElementById('compare-panel'), {
+      onDatasetChange: (dataset) => loadComparison(dataset),
+      onModeChange: (mode) => compareView.setMode(mode),
+      onThresholdChange: (v) => {
+        compareThreshold = v;
+        updateCompareStyle();
+      },
+      onDifferenceChange: (on) => {
+        compareDifference = on;
+        updateCompareStyle();
+      },
+      onClose: () => setCompareMode(false)
+    });
+    comparePanel.setCity({ datasets: compareDatasets(city), maxWalkTime: cityMaxWalkTime(city) });
+
+    const updateCompareStyle = () => {
+      if (!compareView.isReady) return;
+      compareView.setParcelStyle({
+        color: compareDifference
+          ? differenceColorExpression()
+          : parcelColorExpression(parcelStyle.color, { ...parcelColorContext(city), standard: false }),
+        height: metricHeightExpression(parcelStyle.height, parcelColorContext(city)),
+        filter: parcelFilter(compareThreshold)
+      });
+    };
+
+    // Match the compared parcels with the main map's on parcel_id
+    const updateComparison = () => {
+      if (!compareView.isReady) return;
+      const summary = compareWalkTimes(parcelTiles.toFeatureCollection().features, compareView.parcels(), parcelStyle.walkSpeed);
+      compareView.refresh();
+      comparePanel.showSummary(summary);
+    };
+
+    const loadComparison = async (dataset) => {
+      // Before the map has loaded, opening it loads the picked dataset
+      if (!compareView.isReady) return;
+      comparePanel.showLoading();
+      try {
+        const input = dataset.file ? new Uint8Array(await dataset.file.arrayBuffer()) : dataset.parcels;
+        const loaded = await compareView.loadParcels(input, { preload: city.preloadParcels });
+        if (!loaded) return;
+        updateComparison();
+      } catch (error) {
+        console.error('Error loading the compared dataset:', error);
+        comparePanel.setStatus(t('compare.loadFailed', { message: error.message }));
+      }
+    };
+
+    const setCompareMode = async (on) => {
+      compareButton.classList.toggle('active', on);
+      compareButton.setAttribute('aria-pressed', String(on));
+      if (!on) {
+        comparePanel.close();
+        compareView.close();
+        return;
+      }
+      comparePanel.open();
+      await compareView.open();
+      if (!compareView.isOpen) return;  // Closed while the map was loading
+      compareView.setCity(cityGeojson);
+      compareView.setBasemap(BASEMAPS[activeBasemap()]);
+      updateCompareStyle();
+      if (compareView.parcels().length) {
+        updateComparison();
+      } else {
+        loadComparison(comparePanel.dataset);
+      }
+    };
+
+    compareButton.addEventListener('click', () => setCompareMode(!compareView.isOpen));
+
+    // Threshold animation: configurable range, step and speed, resuming where it was paused,
+    // looping, an optional camera orbit or path along the timeline and WebM recording
+    const timelineButton = root.getElementById('timelineButton');
+    let cameraKeyframes = [];
+    let orbitStart = null;  // view the orbit turns around (bearing at the start of the range)
+    let recording = null;  // { stop() } while the map canvas is recorded
+
+    const currentCamera = () => ({
+      center: map.getCenter().toArray(),
+      zoom: map.getZoom(),
+      bearing: map.getBearing(),
+      pitch: map.getPitch()
+    });
+
+    const setThreshold = (v) => {
+      slider.value = v;
+      timeVal.textContent = v;
+      updateSliderGradient(v);
+      updateParcelFilter(v);
+    };
+
+    // Ease to the camera of the timeline position over one step
+    const moveCamera = (progress) => {
+      let camera = null;
+      if (timelinePanel.camera === 'orbit' && orbitStart) camera = orbitCamera(orbitStart, progress);
+      if (timelinePanel.camera === 'path' && cameraKeyframes.length) camera = pathCamera(cameraKeyframes, progress);
+      if (camera) map.easeTo({ ...camera, duration: timeline.options.interval, easing: (x) => x });
+    };
+
+    const startRecording = () => {
+      if (recording) return;
+      try {
+        recording = recordMap(map);
+        timelinePanel.setStatus(t('timeline.recording'));
+      } catch (error) {
+        console.error('Recording failed:', error);
+        timelinePanel.setStatus(t('timeline.recordFailed', { message: error.message }));
+      }
+    };
+
+    // Stop recording and download the clip
+    const stopRecording = async () => {
+      if (!recording) return;
+      const current = recording;
+      recording = null;
+      try {
+        const blob = await current.stop();
+        const { from, to } = timeline.options;
+        downloadBlob(blob, `animation_${city.id}_${from}-${to}min.webm`);
+        timelinePanel.setStatus(t('timeline.recorded'));
+      } catch (error) {
+        console.error('Recording failed:', error);
+        timelinePanel.setStatus(t('timeline.recordFailed', { message: error.message }));
+      }
+    };
+
+    const timeline = new Timeline({
+      onTick: (value, progress) => {
+        setThreshold(value);
+        moveCamera(progress);
+      },
+      // One pass is recorded, also when looping
+      onEnd: () => stopRecording(),
+      onStateChange: (playing) => {
+        playButton.textContent = playing ? '⏸' : '▶';
+        playButton.classList.toggle('playing', playing);
+        playButton.setAttribute('aria-label', t(playing ? 'play.pause' : 'play.play'));
+        playButton.setAttribute('aria-pressed', String(playing));
+        if (!playing) stopRecording();
+      }
+    });
+
+    const timelinePanel = new TimelinePanel(root.getElementById('timeline-panel'), {
+      onChange: (options) => timeline.configure(options),
+      onAddKeyframe: () => {
+        cameraKeyframes.push(currentCamera());
+        timelinePanel.setKeyframeCount(cameraKeyframes.length);
+      },
+      onClearKeyframes: () => {
+        cameraKeyframes = [];
+        timelinePanel.setKeyframeCount(0);
+      },
+      onClose: () => {
+        timelinePanel.close();
+        timelineButton.classList.remove('active');
+        timelineButton.setAttribute('aria-pressed', 'false');
+      }
+    });
+    timelinePanel.setRecordingAvailable(canRecordMap());
+    timeline.configure(timelinePanel.setRange(cityMaxWalkTime(city)));
+
+    timelineButton.addEventListener('click', () => {
+      timelinePanel.toggle();
+      timelineButton.classList.toggle('active', timelinePanel.isOpen);
+      timelineButton.setAttribute('aria-pressed', String(timelinePanel.isOpen));
+    });
+
+    const stopPlaying = () => timeline.pause();
+
+    const togglePlay = () => {
+      if (timeline.playing) {
+        timeline.pause();
+        announce(t('play.paused', { min: slider.value }));
+        return;
+      }
+      const { from, to } = timeline.options;
+      const value = Number(slider.value);
+      const start = value < from || value >= to ? from : value;
+      // The orbit continues from the current view, wherever the timeline resumes
+      orbitStart = { ...currentCamera(), bearing: map.getBearing() - 360 * timeline.progressOf(start) };
+      if (timelinePanel.record) startRecording();
+      timeline.play(value);
+      announce(t('play.playing'));
+    };
+
+    playButton.addEventListener('click', togglePlay);
+
+    // Space or K plays / pauses from anywhere on the page (standalone) or in the viewer,
+    // except form fields and buttons (the event's target is read inside the shadow root)
+    (standalone ? document : container).addEventListener('keydown', (e) => {
+      if (e.altKey || e.ctrlKey || e.metaKey) return;
+      if (e.composedPath()[0].closest?.('input, textarea, select, button, a, .maplibregl-popup')) return;
+      if (e.key === ' ' || e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        togglePlay();
+      }
+    }, { signal: lifetime.signal });
+
+    // City picker
+    const citySelect = root.getElementById('citySelect');
+    const cityName = root.getElementById('cityName');
+    citySelect.innerHTML = cityIndex.cities.map(c =>
+      `<option value="${c.id}">${c.name}</option>`
+    ).join('');
+    citySelect.value = city.id;
+    citySelect.hidden = cityIndex.cities.length < 2;
+    cityName.textContent = city.name;
+
+    // Language picker: reloads the page in the chosen language, keeping the view in the hash.
+    // Embedded viewers follow the page's language.
+    const languageSelect = root.getElementById('languageSelect');
+    languageSelect.hidden = !standalone;
+    languageSelect.innerHTML = LANGUAGES.map(l => `<option value="${l.id}" lang="${l.id}">${l.label}</option>`).join('');
+    languageSelect.value = language;
+    languageSelect.addEventListener('change', () => setLanguage(languageSelect.value));
+
+    citySelect.addEventListener('change', async () => {
+      const cityId = citySelect.value;
+      let next;
+      try {
+        next = await loadCityManifest(cityId, dataRoot);
+      } catch (error) {
+        console.error(`Failed to load city ${cityId}:`, error);
+        citySelect.value = city.id;
+        return;
+      }
+      // Ignore if another switch started while this manifest was loading
+      if (citySelect.value !== cityId) return;
+
+      stopPlaying();
+      hideTip();
+      clearCatchment();
+      setPressureMode(false);
+      pressureRows = null;
+      setStandardsMode(false);
+      structureDestinations = null;
+      setCompareMode(false);
+      compareView.clear();
+      setRoutingMode(false);
+      resetNetwork();
+      closeIsochrones();
+      isochroneOffer?.remove();
+      setDistrictMode(false);
+      districts.setAreas(null);
+      districtRows = [];
+      districtPanel.clear();
+      scenarioEditor.clear();
+      detourFactor = null;
+      deselectParcel();
+      hoveredParcelId = null;
+      clearRoutes();
+
+      city = next;
+      if (standalone) {
+        setCityIdInUrl(city.id);
+        document.title = t('app.documentTitle', { city: city.name });
+      }
+      cityName.textContent = city.name;
+      geocoder.setProviders(searchProviders(city));
+      localSearch.invalidate();
+      routeLookup.setSource(city.data.routes, city.data.routesIndex);
+      resetSlider();
+      updateSliderGradient(INITIAL_MIN);
+      compareThreshold = cityMaxWalkTime(city);
+      timeline.configure(timelinePanel.setRange(cityMaxWalkTime(city)));
+      cameraKeyframes = [];
+      timelinePanel.setKeyframeCount(0);
+      comparePanel.setCity({ datasets: compareDatasets(city), maxWalkTime: cityMaxWalkTime(city) });
+
+      parcelTiles.abortAll();
+      removeCityLayers();
+      map.jumpTo({ center: city.center, zoom: city.zoom });
+      await addCityLayers(city);
+      applyLayerSettings();
+      updateStats();
+      renderLegends();
+      syncUrlState();
+    });
+
+    // Restore the view of a shared link (the camera is restored by MapLibre)
+    const restoreUrlState = () => {
+      applyLayerSettings();
+      const { threshold, parcelId } = initialUrlState;
+      if (threshold !== undefined) {
+        const v = Math.min(Math.max(Math.round(threshold), 1), cityMaxWalkTime(city));
+        slider.value = v;
+        timeVal.textContent = v;
+        updateSliderGradient(v);
+        updateParcelFilter(v);
+      }
+      if (parcelId !== undefined) {
+        // Re-run the parcel click: select it and load its routes
+        const feature = parcelTiles.toFeatureCollection().features
+          .find(f => String(f.properties?.parcel_id) === parcelId);
+        if (feature) selectParcel(feature);
+      }
+      syncUrlState();
+    };
+    restoreUrlState();
+
+    // Track active popups to prevent duplicates
+    let activeUserGuidePopup = null;
+    let activeAboutPopup = null;
+
+    // User Guide button functionality
+    const userGuideButton = root.getElementById('userGuideButton');
+    userGuideButton.addEventListener('click', () => {
+      // Close if already open, or close other popup and open this one
+      if (activeUserGuidePopup) {
+        activeUserGuidePopup.remove();
+        activeUserGuidePopup = null;
+        return;
+      }
+
+      // Close About popup if open
+      if (activeAboutPopup) {
+        activeAboutPopup.remove();
+        activeAboutPopup = null;
+      }
+
+      const guideItems = ['rotate', 'hoverParcels', 'clickParcel', 'hoverGreen', 'structures', 'pressure', 'whatIf',
+        'standards', 'compare', 'routing', 'isochrones', 'districts', 'search', 'export', 'slider', 'animation', 'speed', 'keyboard', 'metrics', 'language', 'offline', 'scale'];
+      const guideContent = `
+        <div style="background:#1E1F21;padding:16px;border-radius:0;">
+          <h3 style="margin:0 0 12px 0;color:#ffffff;font-size:16px;font-weight:600;">${t('guide.title')}</h3>
+          <div style="font-size:12px;line-height:1.7;color:#d1d5db;">
+            ${guideItems.map((item, i) => `<p style="margin:${i === guideItems.length - 1 ? '0' : '0 0 10px 0'};"><strong style="color:#fff;">${t(`guide.${item}.title`)}</strong> – ${t(`guide.${item}`, { help: NAVIGATION_HELP })}</p>`).join('')}
+          </div>
+        </div>
+      `;
+
+      // Calculate center position
+      const center = map.getCenter();
+
+      activeUserGuidePopup = new maplibregl.Popup({
+        closeButton: true,
+        closeOnClick: true,
+        maxWidth: '400px',
+        className: 'custom-popup',
+        anchor: 'center'
+      })
+        .setLngLat(center)
+        .setHTML(guideContent)
+        .addTo(map);
+
+      // Remove arrow
+      activeUserGuidePopup._container.querySelector('.maplibregl-popup-tip').style.display = 'none';
+
+      // Keyboard: focus stays in the dialog, Escape closes it
+      const popup = activeUserGuidePopup;
+      const releaseFocus = trapFocus(popup.getElement(), { label: t('guide.title'), onEscape: () => popup.remove() });
+
+      // Clear reference when closed
+      activeUserGuidePopup.on('close', () => {
+        releaseFocus();
+        if (activeUserGuidePopup === popup) activeUserGuidePopup = null;
+      });
+    });
+
+    // About button functionality
+    const aboutButton = root.getElementById('aboutButton');
+    aboutButton.addEventListener('click', () => {
+      // Close if already open, or close other popup and open this one
+      if (activeAboutPopup) {
+        activeAboutPopup.remove();
+        activeAboutPopup = null;
+        return;
+      }
+
+      // Close User Guide popup if open
+      if (activeUserGuidePopup) {
+        activeUserGuidePopup.remove();
+        activeUserGuidePopup = null;
+      }
+
+      const aboutContent = `
+        <div style="background:#1E1F21;padding:16px;border-radius:0;">
+          <h3 style="margin:0 0 12px 0;color:#ffffff;font-size:16px;font-weight:600;">${t('about.title')}</h3>
+          <p style="margin:0 0 12px 0;font-size:12px;line-height:1.6;color:#d1d5db;">
+            ${t('about.intro')}
+          </p>
+          <h4 style="margin:0 0 6px 0;color:#ffffff;font-size:14px;font-weight:600;">${t('about.sources')}</h4>
+          <ul style="margin:0 0 12px 0;padding-left:18px;font-size:12px;line-height:1.6;color:#d1d5db;">
+            <li><strong>OpenStreetMap / Overpass API</strong> – ${t('about.source.osm')}</li>
+            <li><strong>${t('about.source.cadastre.name')}</strong> – ${t('about.source.cadastre')}</li>
+            <li><strong>INE</strong> – ${t('about.source.ine')}</li>
+            <li><strong>ICGC</strong> – ${t('about.source.icgc')}</li>
+            <li><strong>${t('about.source.derived.name')}</strong> – ${t('about.source.derived')}</li>
+          </ul>
+          <h4 style="margin:0 0 6px 0;color:#ffffff;font-size:14px;font-weight:600;">${t('about.technologies')}</h4>
+          <p style="margin:0 0 12px 0;font-size:12px;line-height:1.6;color:#d1d5db;">
+            ${t('about.techList')}
+          </p>
+          <h4 style="margin:0 0 6px 0;color:#ffffff;font-size:14px;font-weight:600;">${t('about.author')}</h4>
+          <p style="margin:0 0 4px 0;font-size:12px;line-height:1.6;color:#d1d5db;">
+            <strong style="color:#fff;">Mónica Alegre</strong>
+          </p>
+          <p style="margin:0 0 2px 0;font-size:12px;color:#d1d5db;">
+            LinkedIn: <a href="https://www.linkedin.com/in/monicaalegre" target="_blank" style="color:#AB47BC;">linkedin.com/in/monicaalegre</a>
+          </p>
+          <p style="margin:0;font-size:12px;color:#d1d5db;">
+            Web: <a href="https://monica-alegre.github.io" target="_blank" style="color:#AB47BC;">monica-alegre.github.io</a>
+          </p>
+        </div>
+      `;
+
+      // Calculate center position
+      const center = map.getCenter();
+
+      activeAboutPopup = new maplibregl.Popup({
+        closeButton: true,
+        closeOnClick: true,
+        maxWidth: '480px',
+        className: 'custom-popup',
+        anchor: 'center'
+      })
+        .setLngLat(center)
+        .setHTML(aboutContent)
+        .addTo(map);
+
+      // Remove arrow
+      activeAboutPopup._container.querySelector('.maplibregl-popup-tip').style.display = 'none';
+
+      // Keyboard: focus stays in the dialog, Escape closes it
+      const popup = activeAboutPopup;
+      const releaseFocus = trapFocus(popup.getElement(), { label: t('about.title'), onEscape: () => popup.remove() });
+
+      // Clear reference when closed
+      activeAboutPopup.on('close', () => {
+        releaseFocus();
+        if (activeAboutPopup === popup) activeAboutPopup = null;
+      });
+    });
+
+    // Methods of the viewer, also reached through the element and the postMessage bridge
+    resolveViewer({
+      map,
+
+      // Walk time threshold in minutes, within the slider range; returns the one applied
+      setThreshold: (minutes) => {
+        const value = Math.round(Number(minutes));
+        if (!Number.isFinite(value)) throw new Error(`Invalid threshold: ${minutes}`);
+        const v = Math.min(Math.max(value, 1), Number(slider.max));
+        if (timeline.playing) timeline.pause();
+        setThreshold(v);
+        return v;
+      },
+
+      // Fly to a loaded parcel by parcel_id and select it (its routes load as on a click);
+      // false when no such parcel is loaded
+      selectParcel: (parcelId) => {
+        const feature = parcelTiles.toFeatureCollection().features
+          .find(f => String(f.properties?.parcel_id) === String(parcelId));
+        if (!feature) return false;
+        onSearchSelect({ kind: 'parcel', feature, bbox: geometryBbox(feature.geometry) });
+        return true;
+      },
+
+      // Fly to a park by green_area_id or name (the best search match) and open the
+      // catchment of its structure; resolves with the park's name, or null
+      flyToPark: async (park) => {
+        let feature = (cityGeojson.greenAreas?.features || [])
+          .find(f => String(f.properties?.green_area_id) === String(park));
+        if (!feature) {
+          const result = (await localSearch.search(String(park))).find(r => r.kind === 'park');
+          feature = result?.feature;
+        }
+        if (!feature) return null;
+        const p = feature.properties;
+        onSearchSelect({
+          kind: 'park',
+          feature,
+          bbox: geometryBbox(feature.geometry),
+          id: p.green_structure_id ?? p.green_structucture_id
+        });
+        return p.green_area_name ?? null;
+      },
+
+      // Metric of the parcels' colour or height (see METRICS in metrics.js)
+      setMetric: (metricId, channel = 'color') => {
+        if (!METRICS[metricId]) throw new Error(`Unknown metric: ${metricId}`);
+        if (channel !== 'color' && channel !== 'height') throw new Error(`Unknown channel: ${channel}`);
+        const select = channel === 'color' ? colorMetricSelect : heightMetricSelect;
+        select.value = metricId;
+        select.dispatchEvent(new Event('change'));
+      },
+
+      // Remove the maps, the decoding worker and the page-level listeners
+      destroy: () => {
+        stopPlaying();
+        lifetime.abort();
+        connection.destroy();
+        compareView.destroy();
+        map.remove();
+        decoder.terminate();
+        root.innerHTML = '';
+      }
+    });
+  });
+
+  // --- Tooltip helpers ---
+  // Tooltips are also read out by screen readers once the pointer settles
+  const announceTip = debounce(announce, 400);
+
+  function showTip(x, y, html, type = 'default', announcement = textOf(html)) {
+    tooltip.style.display = 'block';
+    tooltip.innerHTML = html;
+    announceTip(announcement);
+
+    // Reset classes
+    tooltip.className = 'tooltip';
+
+    // Add type-specific class
+    if (type === 'park') {
+      tooltip.classList.add('tooltip-park');
+    } else if (type === 'parcel') {
+      tooltip.classList.add('tooltip-parcel');
+    } else if (type === 'route') {
+      tooltip.classList.add('tooltip-route');
+    }
+
+    // Position tooltip with bounds checking to prevent viewport changes; x and y are
+    // pixels from the viewer's corner, where the map starts
+    const tooltipRect = tooltip.getBoundingClientRect();
+    const mapRect = root.getElementById('map').getBoundingClientRect();
+
+    let left = x + 12;
+    let top = y + 12;
+
+    // Keep tooltip within map bounds
+    if (left + tooltipRect.width > mapRect.width) {
+      left = x - tooltipRect.width - 12;
+    }
+    if (top + tooltipRect.height > mapRect.height) {
+      top = y - tooltipRect.height - 12;
+    }
+    if (left < 0) {
+      left = 5;
+    }
+    if (top < 0) {
+      top = 5;
+    }
+
+    tooltip.style.left = left + 'px';
+    tooltip.style.top = top + 'px';
+  }
+
+  function hideTip() {
+    tooltip.style.display = 'none';
+  }
+
+  function midPointOfLine(f) {
+    const g = f.geometry;
+    if (!g) return null;
+    const c = (g.type === 'LineString' ? g.coordinates : (g.coordinates?.[0] || []));
+    return c[Math.floor(c.length / 2)];
+  }
+
+  return viewer;
+}
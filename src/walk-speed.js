@@ -0,0 +1,62 @@
+// Walking speed profiles
+// walk_time in the data is computed at 5 km/h. At another speed the effective walk time
+// is recomputed from walk_distance (or, for parcels without one, scaled from walk_time);
+// at 5 km/h the data's walk_time is used as is.
+
+import { t } from './i18n.js';
+
+export const DATA_SPEED_KMH = 5;
+export const MIN_SPEED_KMH = 1;
+export const MAX_SPEED_KMH = 8;
+
+// Typical pedestrian speeds (about 1.4, 1.1, 1.0, 0.9 and 0.7 m/s)
+export const SPEED_PROFILES = [
+  { id: 'adult', label: t('speed.adult'), kmh: 5 },
+  { id: 'older', label: t('speed.older'), kmh: 4 },
+  { id: 'child', label: t('speed.child'), kmh: 3.6 },
+  { id: 'wheelchair', label: t('speed.wheelchair'), kmh: 3.2 },
+  { id: 'reduced', label: t('speed.reduced'), kmh: 2.5 }
+];
+
+export function metresPerMinute(kmh) {
+  return (kmh * 1000) / 60;
+}
+
+// Minutes at the given speed for a time measured at the data's 5 km/h
+export function rescaleWalkTime(minutes, kmh) {
+  return kmh === DATA_SPEED_KMH ? minutes : Math.round((minutes * DATA_SPEED_KMH / kmh) * 10) / 10;
+}
+
+// Effective walk time of a parcel or route (minutes, one decimal), or null without data
+export function walkTimeAt(properties, kmh) {
+  const p = properties || {};
+  if (kmh === DATA_SPEED_KMH) return typeof p.walk_time === 'number' ? p.walk_time : null;
+  if (typeof p.walk_distance === 'number') return Math.round((p.walk_distance / metresPerMinute(kmh)) * 10) / 10;
+  return typeof p.walk_time === 'number' ? rescaleWalkTime(p.walk_time, kmh) : null;
+}
+
+// Style expression of walkTimeAt(); callers check that walk_time is set
+export function walkTimeExpression(kmh) {
+  if (kmh === DATA_SPEED_KMH) return ['get', 'walk_time'];
+  const round = (value) => ['/', ['round', ['*', value, 10]], 10];
+  return [
+    'case',
+    ['==', ['typeof', ['get', 'walk_distance']], 'number'],
+    round(['/', ['get', 'walk_distance'], metresPerMinute(kmh)]),
+    round(['*', ['get', 'walk_time'], DATA_SPEED_KMH / kmh])
+  ];
+}
+
+// Slider range: the city's max walk time, stretched for slower speeds
+export function maxWalkTimeAt(maxWalkTime, kmh) {
+  return Math.ceil(maxWalkTime * DATA_SPEED_KMH / kmh);
+}
+
+// Preset id of a speed, or 'custom'
+export function profileOf(kmh) {
+  return SPEED_PROFILES.find(p => p.kmh === kmh)?.id ?? 'custom';
+}
+
+export function clampSpeed(kmh) {
+  return Math.min(Math.max(kmh, MIN_SPEED_KMH), MAX_SPEED_KMH);
+}
@@ -0,0 +1,189 @@
+// Service worker
+// Keeps the viewer usable without a network. The app shell, the vendored libraries and
+// the data of the default city are cached on install. The shell is served network
+// first (edits show up on reload), data from the cache first; FlatGeobuf range requests
+// are cut from the cached file. Basemap tiles and web fonts are cached as they are
+// fetched, so areas already seen keep their tiles.
+
+const VERSION = 'v2';
+const SHELL_CACHE = `shell-${VERSION}`;
+const DATA_CACHE = `data-${VERSION}`;
+const RUNTIME_CACHE = 'runtime';
+const MAX_RUNTIME_ENTRIES = 2000;  // oldest tiles are dropped beyond this
+
+const SHELL = [
+  './',
+  'index.html',
+  'main.js',
+  'styles.css',
+  'favicon.png',
+  'vendor/maplibre-gl/maplibre-gl.js',
+  'vendor/maplibre-gl/maplibre-gl.css',
+  'vendor/flatgeobuf/flatgeobuf.js',
+  'src/a11y.js',
+  'src/catchment-panel.js',
+  'src/catchment.js',
+  'src/cities.js',
+  'src/compare-panel.js',
+  'src/compare-view.js',
+  'src/compare.js',
+  'src/district-panel.js',
+  'src/districts.js',
+  'src/embed-bridge.js',
+  'src/export-menu.js',
+  'src/export.js',
+  'src/fgb-client.js',
+  'src/fgb-worker.js',
+  'src/geocoder.js',
+  'src/geometry.js',
+  'src/green-access-map.js',
+  'src/i18n.js',
+  'src/isochrone-panel.js',
+  'src/isochrones.js',
+  'src/layer-panel.js',
+  'src/legends.js',
+  'src/lru.js',
+  'src/messages.js',
+  'src/metrics.js',
+  'src/offline.js',
+  'src/parcel-navigator.js',
+  'src/parcel-panel.js',
+  'src/parcels.js',
+  'src/routes.js',
+  'src/routing-panel.js',
+  'src/routing.js',
+  'src/scenario-editor.js',
+  'src/scenario.js',
+  'src/standards-panel.js',
+  'src/standards.js',
+  'src/stats-panel.js',
+  'src/stats.js',
+  'src/timeline-panel.js',
+  'src/timeline.js',
+  'src/url-state.js',
+  'src/viewer-template.js',
+  'src/viewer.js',
+  'src/walk-speed.js'
+];
+
+// Cross-origin hosts (and their subdomains) whose responses are kept for offline use
+const RUNTIME_HOSTS = [
+  'basemaps.cartocdn.com',
+  'fonts.googleapis.com',
+  'fonts.gstatic.com'
+];
+
+// Files that cannot be fetched are skipped, not fatal
+async function addAll(cacheName, urls) {
+  const cache = await caches.open(cacheName);
+  await Promise.all(urls.map(url => cache.add(url).catch(error => {
+    console.warn(`[sw] Not cached: ${url}`, error);
+  })));
+}
+
+// Manifest and local datasets of the default city (remote datasets stay remote)
+async function cityFiles() {
+  try {
+    const index = await (await fetch('data/cities.json')).json();
+    const id = index.default || index.cities[0].id;
+    const dir = `data/${id}`;
+    const manifest = await (await fetch(`${dir}/manifest.json`)).json();
+    const files = [
+      ...Object.values(manifest.data || {}),
+      ...(manifest.variants || []).map(v => v?.parcels).filter(Boolean)
+    ].filter(file => !/^(https?:)?\/\//.test(file));
+    return ['data/cities.json', `${dir}/manifest.json`, ...files.map(file => `${dir}/${file}`)];
+  } catch (error) {
+    console.warn('[sw] City data not cached:', error);
+    return [];
+  }
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    await addAll(SHELL_CACHE, SHELL);
+    await addAll(DATA_CACHE, await cityFiles());
+    await self.skipWaiting();
+  })());
+});
+
+// Caches of older versions are dropped
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keep = [SHELL_CACHE, DATA_CACHE, RUNTIME_CACHE];
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => !keep.includes(name)).map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+// 206 response with the requested bytes of a cached file
+async function rangeResponse(request, response) {
+  const match = /^bytes=(\d+)-(\d*)$/.exec(request.headers.get('range') || '');
+  if (!match) return response;
+  const blob = await response.blob();
+  const start = Number(match[1]);
+  const end = match[2] ? Math.min(Number(match[2]), blob.size - 1) : blob.size - 1;
+  if (start >= blob.size) {
+    return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${blob.size}` } });
+  }
+  return new Response(blob.slice(start, end + 1), {
+    status: 206,
+    headers: {
+      'Content-Type': response.headers.get('Content-Type') || 'application/octet-stream',
+      'Content-Length': String(end - start + 1),
+      'Content-Range': `bytes ${start}-${end}/${blob.size}`
+    }
+  });
+}
+
+// Only complete responses are stored (range requests return partial ones)
+async function store(cacheName, request, response) {
+  if (request.headers.has('range') || !(response.ok || response.type === 'opaque') || response.status === 206) return;
+  const cache = await caches.open(cacheName);
+  await cache.put(request, response);
+  if (cacheName === RUNTIME_CACHE) await trim(cache);
+}
+
+let puts = 0;
+async function trim(cache) {
+  if (++puts % 100) return;
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_RUNTIME_ENTRIES)).map(key => cache.delete(key)));
+}
+
+// Network, then the cache (for the shell and cross-origin files)
+async function networkFirst(event, cacheName) {
+  const { request } = event;
+  try {
+    const response = await fetch(request);
+    event.waitUntil(store(cacheName, request, response.clone()));
+    return response;
+  } catch (error) {
+    const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+// Cache, then the network (for city data; range requests are served from the whole file)
+async function cacheFirst(event, cacheName) {
+  const { request } = event;
+  const cached = await caches.match(request.url);
+  if (cached) return rangeResponse(request, cached);
+  const response = await fetch(request);
+  event.waitUntil(store(cacheName, request, response.clone()));
+  return response;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin) {
+    const path = url.pathname.slice(new URL(self.registration.scope).pathname.length);
+    event.respondWith(path.startsWith('data/') ? cacheFirst(event, DATA_CACHE) : networkFirst(event, SHELL_CACHE));
+  } else if (RUNTIME_HOSTS.some(host => url.hostname === host || url.hostname.endsWith(`.${host}`))) {
+    event.respondWith(networkFirst(event, RUNTIME_CACHE));
+  }
+});